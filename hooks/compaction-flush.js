@@ -4,18 +4,25 @@
  * before_compaction: Summarizes the full conversation into structured
  *   memory entries and persists them to MemOS before context is lost.
  * after_compaction:  Marks a timestamp so the next before_agent_start
- *   switches to enriched context mode.
+ *   in the same session switches to enriched context mode.
  *
  * v3.0: Uses info field for structured metadata on compaction events.
+ * Writes are durable: when the backend is down, segments and entries are
+ * journaled to the outbox and replayed once it recovers.
  *
  * @module hooks/compaction-flush
  */
 import { isHealthy } from "../lib/health.js";
-import { addMemory, addMemoryAwait } from "../lib/memory.js";
+import { addMemory, addMemoryDurable } from "../lib/memory.js";
+import { enqueueSummarization } from "../lib/outbox.js";
 import { summarizeConversation, flattenMessages } from "../lib/summarize.js";
-import { LOG_PREFIX, isDuplicateMemory, markMemoryAdded, callApi, getMemosUserId, getMemosCubeId, Timeouts } from "../lib/client.js";
+import { LOG_PREFIX, isDuplicateMemory, markMemoryAdded, Timeouts, getMemosUserId, getMemosCubeId } from "../lib/client.js";
+import { getBackend } from "../lib/backend.js";
+import { invalidateSearchCache } from "../lib/search-cache.js";
 import { segmentConversation } from "../lib/retrieval.js";
 import { inc, timing } from "../lib/stats.js";
+import { getSessionState } from "../lib/session-state.js";
+import { getConfig } from "../lib/config.js";
 
 /**
  * Rough token estimate from message character count.
@@ -40,10 +47,11 @@ function estimateTokens(messages) {
 
 /**
  * @param {object} state - Shared plugin state
- * @returns {(event: object) => Promise<void>}
+ * @returns {(event: object, ctx?: object) => Promise<void>}
  */
 export function createBeforeCompactionHandler(state) {
-  return async (event) => {
+  return async (event, ctx) => {
+    const session = getSessionState(event, ctx);
     const messages = event?.messages || event?.session?.messages;
     const tokenEstimate = estimateTokens(messages);
     console.log(
@@ -56,18 +64,26 @@ export function createBeforeCompactionHandler(state) {
       return;
     }
 
-    if (!(await isHealthy())) {
-      console.error(LOG_PREFIX, "MemOS unhealthy during compaction flush — memories may be lost!");
-      return;
-    }
-
     const t0 = Date.now();
     try {
       // Segment long conversations for better extraction quality
       const flat = flattenMessages(messages);
-      const segments = segmentConversation(flat, { minSegment: 4, maxSegment: 12 });
+      const segments = segmentConversation(flat, getConfig().compaction);
       const segmentCount = segments.length;
 
+      // Summarization needs the backend's LLM — journal raw segments instead
+      if (!(await isHealthy())) {
+        for (const segment of segments) {
+          await enqueueSummarization(
+            segment.map((m) => ({ role: m.role, content: m.text })),
+            { userId: getMemosUserId(), cubeId: getMemosCubeId() },
+          );
+        }
+        inc("compaction.segmentsQueued", segmentCount);
+        console.warn(LOG_PREFIX, `Backend unhealthy during compaction flush — ${segmentCount} segment(s) queued to outbox`);
+        return;
+      }
+
       console.log(
         LOG_PREFIX,
         `Summarizing conversation for compaction flush (${segmentCount} segment${segmentCount > 1 ? "s" : ""})...`,
@@ -88,6 +104,7 @@ export function createBeforeCompactionHandler(state) {
       }
 
       let saved = 0;
+      let queued = 0;
       let failed = 0;
       let skipped = 0;
       await Promise.allSettled(
@@ -98,10 +115,18 @@ export function createBeforeCompactionHandler(state) {
               inc("compaction.entriesSkipped");
               return;
             }
-            await addMemoryAwait(entry.content, entry.tags);
+            const outcome = await addMemoryDurable(entry.content, entry.tags);
             markMemoryAdded(entry.content);
-            saved++;
-            inc("compaction.entriesSaved");
+            if (outcome === "duplicate") {
+              skipped++;
+              inc("compaction.entriesSkipped");
+            } else if (outcome === "queued") {
+              queued++;
+              inc("compaction.entriesQueued");
+            } else {
+              saved++;
+              inc("compaction.entriesSaved");
+            }
           } catch (err) {
             failed++;
             inc("compaction.entriesFailed");
@@ -110,14 +135,15 @@ export function createBeforeCompactionHandler(state) {
         }),
       );
 
-      state.compactionCount++;
+      session.compactionCount++;
       addMemory(
-        `Compaction #${state.compactionCount}: ${saved} entries saved from ${messages.length} messages`,
+        `Compaction #${session.compactionCount}: ${saved} entries saved from ${messages.length} messages`,
         ["compaction_summary"],
         {
           _type: "compaction_summary",
-          compaction_number: state.compactionCount,
+          compaction_number: session.compactionCount,
           entries_saved: saved,
+          entries_queued: queued,
           entries_failed: failed,
           entries_skipped: skipped,
           message_count: messages.length,
@@ -130,22 +156,18 @@ export function createBeforeCompactionHandler(state) {
 
       console.log(
         LOG_PREFIX,
-        `Compaction flush: ${saved} saved, ${skipped} skipped, ${failed} failed (#${state.compactionCount})`,
+        `Compaction flush: ${saved} saved, ${queued} queued, ${skipped} skipped, ${failed} failed (#${session.compactionCount})`,
       );
 
       // Send structured messages for preference memory extraction (fire-and-forget)
       // Requires messages as [{role, content}] array — string skips pref extraction
       const chatMessages = flat.slice(-20).map((m) => ({ role: m.role, content: m.text.slice(0, 2000) }));
       if (chatMessages.length >= 4) {
-        callApi(
-          "/product/add",
-          {
-            user_id: getMemosUserId(),
-            writable_cube_ids: [getMemosCubeId()],
-            messages: chatMessages,
-          },
-          { timeoutMs: Timeouts.ADD },
-        ).catch((err) => {
+        const cubeId = getMemosCubeId();
+        getBackend().add(
+          { messages: chatMessages },
+          { retries: 2, timeoutMs: Timeouts.ADD },
+        ).then(() => invalidateSearchCache({ cubeId, info: {} })).catch((err) => {
           console.warn(LOG_PREFIX, "Preference extraction call failed:", err.message);
         });
         inc("compaction.prefExtraction");
@@ -158,14 +180,15 @@ export function createBeforeCompactionHandler(state) {
 
 /**
  * @param {object} state - Shared plugin state
- * @returns {(event: object) => Promise<void>}
+ * @returns {(event: object, ctx?: object) => Promise<void>}
  */
 export function createAfterCompactionHandler(state) {
-  return async () => {
-    state.lastCompactionTime = Date.now();
+  return async (event, ctx) => {
+    const session = getSessionState(event, ctx);
+    session.lastCompactionTime = Date.now();
     console.log(
       LOG_PREFIX,
-      `Compaction #${state.compactionCount} completed. Next turn uses enriched context.`,
+      `Compaction #${session.compactionCount} completed (session ${session.sessionKey}). Next turn uses enriched context.`,
     );
   };
 }
@@ -3,53 +3,143 @@
  *
  * Smart retrieval pipeline (inspired by memU):
  * 1. Pre-retrieval decision — skip casual/greeting prompts
- * 2. Query rewriting — enrich search query with entities and intent
- * 3. Semantic search via MemOS
+ * 2. Query rewriting — resolve references ("the second one", "fix it the same
+ *    way") and add entities / project names from the recent turns; optional
+ *    sub-queries whose results are fused
+ * 3. Semantic search via MemOS — restricted to the prompt's time reference
+ *    ("last week", "в прошлый вторник") when it has one
+ * 3.2 Intent routing — prompts about the user's profile, past events or
+ *    habits add `_type`-filtered searches fused with the general hits;
+ *    "what's on my plate" always shows the pending tasks
+ * 3.5 Reranking — local lexical pass and/or LLM judgement; the lexical pass
+ *    skips the LLM call when its top hits already match the query
+ * 3.7 Ranking — relevance × per-type recency decay × importance; of two
+ *    conflicting versions of a fact only the newer is kept
  * 4. Sufficiency filtering — dedupe, drop low-value results
- * 5. Format and inject
- * 6. Todo Auto-Remind — proactively show pending tasks
+ * 5. Todo Auto-Remind — proactively show pending tasks
+ * 6. Assemble all blocks under the `contextBudget` token budget
+ *    ({@link module:lib/context-assembler}) and inject
  *
  * After compaction: enriched mode (summaries + relevant, more items).
+ * Compaction window and todo cooldown are tracked per session.
  *
  * v3.0: Uses task-manager for todo auto-remind, proper filter param for search.
+ * Item counts, char caps, the token budget and the todo cooldown come from
+ * the `retrieval` / `contextBudget` / `todoRemind` / `intentRouting` / `ranking` config and are read per
+ * call (hot-reloadable).
+ * In dry-run mode the block is logged (see {@link module:lib/dry-run}) instead of injected.
+ * Injected memories carry short refs ("[m3f9a2]"); the session remembers
+ * them so agent_end can record which were used ({@link module:hooks/usage-tracking}).
+ * Every run leaves a structured trace (decision, queries, hits, what each
+ * stage dropped and why, the final block) for `memos_explain_injection`
+ * ({@link module:lib/injection-trace}).
  *
  * @module hooks/context-injection
  */
 import { isHealthy } from "../lib/health.js";
-import { searchMemories, formatContextBlock, formatSkillBlock, formatPrefBlock } from "../lib/search.js";
+import {
+  searchMemories,
+  searchFused,
+  contextEntries,
+  skillEntries,
+  prefEntries,
+  CONTEXT_HEADER,
+  SKILL_HEADER,
+  PREF_HEADER,
+} from "../lib/search.js";
+import { assembleContext } from "../lib/context-assembler.js";
 import { LOG_PREFIX } from "../lib/client.js";
 import {
   preRetrievalDecision,
-  rewriteQuery,
+  buildSearchQueries,
   filterBySufficiency,
 } from "../lib/retrieval.js";
+import { getKnownProjects } from "../lib/cube-routing.js";
+import { toCreatedAtFilter } from "../lib/temporal.js";
+import { classifyIntent, intentTypes } from "../lib/intent.js";
+import { fuseRankedLists, getMemoryKey, getMemoryContent } from "../lib/utils.js";
+import { rememberInjected } from "../lib/usage-tracking.js";
+import { createTrace, traceHits, dropRecorder, traceBlock, recordTrace } from "../lib/injection-trace.js";
 import { rerankMemories } from "../lib/reranker.js";
-import { findTasks, formatTaskList } from "../lib/task-manager.js";
+import { lexicalRerank } from "../lib/lexical-rerank.js";
+import { decayRank } from "../lib/decay-rank.js";
+import { findTasks, taskEntries, TASK_HEADER } from "../lib/task-manager.js";
 import { inc, timing } from "../lib/stats.js";
+import { getSessionState } from "../lib/session-state.js";
+import { getConfig } from "../lib/config.js";
+import { isDryRun, recordDryRun } from "../lib/dry-run.js";
 
-// ─── Todo Auto-Remind Config ────────────────────────────────────────
-const TODO_REMIND_COOLDOWN_MS = 5 * 60 * 1000; // 5 min between reminds (tasks are lightweight)
+/** Pending tasks listed before the rest collapse into an "omitted" hint. */
+const MAX_TASKS_SHOWN = 8;
 
 /**
+ * Rerank text memories: local lexical pass (`lexicalRerank` config), then the
+ * LLM reranker unless it is off or the lexical gate is confident.
+ * @param {string} query
+ * @param {Array} memories
  * @param {object} state - Shared plugin state
- * @returns {(event: object) => Promise<{prependContext: string}|undefined>}
+ * @param {import("../lib/injection-trace.js").InjectionTrace} trace
+ * @returns {Promise<Array>}
+ */
+async function _rerank(query, memories, state, trace) {
+  const { lexicalRerank: lexical } = getConfig();
+  let confident = false;
+
+  if (lexical.enabled) {
+    const before = memories.length;
+    ({ memories, confident } = lexicalRerank(query, memories, { ...lexical, onDrop: dropRecorder(trace, "lexical") }));
+    inc("rerank.lexical");
+    if (memories.length < before) {
+      console.log(LOG_PREFIX, `Lexical rerank: ${memories.length}/${before} memories above coverage floor`);
+    }
+  }
+
+  if (!state.rerankerEnabled) return memories;
+  if (lexical.enabled && lexical.llmGate.enabled && confident) {
+    inc("rerank.llmSkipped");
+    return memories;
+  }
+
+  const t0r = Date.now();
+  const before = memories.length;
+  memories = await rerankMemories(query, memories, { onDrop: dropRecorder(trace, "llm_rerank") });
+  timing("rerank", Date.now() - t0r);
+  inc("rerank.kept", memories.length);
+  inc("rerank.total", before);
+  return memories;
+}
+
+/**
+ * @param {object} state - Shared plugin state
+ * @returns {(event: object, ctx?: object) => Promise<{prependContext: string}|undefined>}
  */
 export function createContextInjectionHandler(state) {
-  return async (event) => {
+  return async (event, ctx) => {
     if (!event.prompt || event.prompt.length < 5) return;
+    const session = getSessionState(event, ctx);
+    const { retrieval, todoRemind, contextBudget, intentRouting, ranking, usageTracking } = getConfig();
+    const trace = createTrace({ prompt: event.prompt, agentId: session.agentId, sessionKey: session.sessionKey });
+    session.injected = null;
 
     // ── Step 1: Pre-retrieval decision ──
-    const postCompaction = state.isPostCompaction();
+    const postCompaction = session.isPostCompaction();
     const decision = postCompaction ? "force" : preRetrievalDecision(event.prompt);
+    trace.decision = decision;
+    trace.postCompaction = postCompaction;
 
     if (decision === "skip") {
       inc("injection.skip");
       console.log(LOG_PREFIX, "Pre-retrieval: skipping (casual/greeting)");
+      if (isDryRun()) recordDryRun("injection_skip", { prompt: event.prompt.slice(0, 500), decision });
+      trace.outcome = "skipped";
+      recordTrace(trace);
       return;
     }
 
     if (!(await isHealthy())) {
       console.warn(LOG_PREFIX, "MemOS unhealthy, skipping context injection");
+      trace.outcome = "unhealthy";
+      recordTrace(trace);
       return;
     }
 
@@ -59,22 +149,29 @@ export function createContextInjectionHandler(state) {
 
       let skillMemories = [];
       let prefMemories = [];
+      let intents = [];
 
       if (postCompaction) {
         // ── Post-compaction: enriched mode ──
         inc("injection.postCompaction");
         console.log(LOG_PREFIX, "Post-compaction mode: fetching enriched context");
-        const enrichedQuery = rewriteQuery(event.prompt, true);
+        const enrichedQuery = buildSearchQueries(event.prompt, event.messages, {
+          isPostCompaction: true,
+          contextTurns: retrieval.contextTurns,
+          maxSubQueries: 1,
+          knownProjects: getKnownProjects(),
+        }).query;
+        trace.queries = { query: enrichedQuery, subQueries: [enrichedQuery] };
 
         const t0s = Date.now();
         const emptyResult = { textMemories: [], skillMemories: [], prefMemories: [] };
         const [summaryResult, relevantResult] = await Promise.all([
           searchMemories(
             "compaction summary decisions progress pending tasks",
-            8,
+            retrieval.postCompactionTopK,
             { filter: { _type: "compaction_summary" } },
           ).catch(() => emptyResult),
-          searchMemories(enrichedQuery, 8).catch(() => emptyResult),
+          searchMemories(enrichedQuery, retrieval.postCompactionTopK).catch(() => emptyResult),
         ]);
         timing("search", Date.now() - t0s);
 
@@ -91,114 +188,206 @@ export function createContextInjectionHandler(state) {
           }
         }
 
-        if (state.rerankerEnabled) {
-          const t0r = Date.now();
-          const before = memories.length;
-          memories = await rerankMemories(enrichedQuery, memories);
-          timing("rerank", Date.now() - t0r);
-          inc("rerank.kept", memories.length);
-          inc("rerank.total", before);
-        }
+        trace.hits = traceHits(memories);
+        memories = await _rerank(enrichedQuery, memories, state, trace);
       } else {
         // ── Step 2: Query rewriting ──
-        const searchQuery = rewriteQuery(event.prompt, false);
-        const topK = decision === "force" ? 10 : 8;
+        const { query: searchQuery, subQueries, contextual, entities, timeRange } = buildSearchQueries(event.prompt, event.messages, {
+          contextTurns: retrieval.contextTurns,
+          maxSubQueries: retrieval.maxSubQueries,
+          knownProjects: getKnownProjects(),
+          temporal: retrieval.temporalFilter,
+        });
+        if (contextual) {
+          console.log(LOG_PREFIX, `Query rewrite: contextual, ${subQueries.length} sub-queries${entities.length ? `, entities: ${entities.join(", ")}` : ""}`);
+        }
+        const topK = decision === "force" ? retrieval.forceTopK : retrieval.topK;
+        trace.queries = { query: searchQuery, subQueries, entities };
+        if (timeRange) {
+          trace.timeRange = { expression: timeRange.expression, from: timeRange.from?.toISOString() ?? null, to: timeRange.to?.toISOString() ?? null };
+        }
 
-        // ── Step 3: Semantic search ──
+        // Intent classification runs alongside the general search
+        const intentPromise = intentRouting.enabled
+          ? classifyIntent(event.prompt, intentRouting)
+          : Promise.resolve({ intents: [], source: null });
+
+        // ── Step 3: Semantic search (sub-query results fused, time-filtered) ──
         const t0s = Date.now();
-        const searchResult = await searchMemories(searchQuery, topK);
+        let searchResult;
+        let timeFilter;
+        if (timeRange) {
+          inc("injection.temporal");
+          console.log(LOG_PREFIX, `Temporal filter "${timeRange.expression}": ${timeRange.from?.toISOString() ?? "…"} → ${timeRange.to?.toISOString() ?? "now"}`);
+          timeFilter = { created_at: toCreatedAtFilter(timeRange) };
+          searchResult = await searchFused(subQueries, topK, { filter: timeFilter });
+          if (searchResult.textMemories.length === 0) {
+            console.log(LOG_PREFIX, "Temporal filter: no memories in range, searching without it");
+            timeFilter = undefined;
+            searchResult = await searchFused(subQueries, topK);
+          }
+        } else {
+          searchResult = await searchFused(subQueries, topK);
+        }
+
+        // ── Step 3.2: Intent routing — typed searches fused into the general hits ──
+        const { intents: routed, source: intentSource } = await intentPromise;
+        intents = routed;
+        if (intents.length > 0) trace.intents = intents;
+        const types = intentTypes(intents);
+        let textMemories = searchResult.textMemories;
+        if (intents.length > 0) {
+          inc("intent.routed");
+          console.log(LOG_PREFIX, `Intent (${intentSource}): ${intents.join(", ")}${types.length ? ` → _type ${types.join(", ")}` : ""}`);
+        }
+        if (types.length > 0) {
+          const emptyResult = { textMemories: [] };
+          const typed = await Promise.all(types.map((type) =>
+            searchMemories(searchQuery, intentRouting.typedTopK, { filter: { ...timeFilter, _type: type } }).catch(() => emptyResult),
+          ));
+          inc("intent.typedSearches", types.length);
+          textMemories = fuseRankedLists(
+            [textMemories, ...typed.map((r) => r.textMemories)],
+            { weights: [1, ...types.map(() => intentRouting.weight)] },
+          );
+        }
         timing("search", Date.now() - t0s);
 
-        memories = searchResult.textMemories;
+        memories = textMemories;
         skillMemories = searchResult.skillMemories;
         prefMemories = searchResult.prefMemories;
+        trace.hits = traceHits(memories);
 
-        // ── Step 3.5: LLM reranking (text memories only) ──
-        if (state.rerankerEnabled) {
-          const t0r = Date.now();
-          const before = memories.length;
-          memories = await rerankMemories(searchQuery, memories);
-          timing("rerank", Date.now() - t0r);
-          inc("rerank.kept", memories.length);
-          inc("rerank.total", before);
+        // ── Step 3.5: Reranking (text memories only) ──
+        memories = await _rerank(searchQuery, memories, state, trace);
+      }
+
+      // ── Step 3.7: Recency decay × importance; newer version of a fact wins ──
+      if (ranking.enabled && memories.length > 0) {
+        let superseded;
+        ({ memories, superseded } = decayRank(memories, { ...ranking, onDrop: dropRecorder(trace, "ranking") }));
+        inc("ranking.count");
+        if (superseded > 0) {
+          inc("ranking.superseded", superseded);
+          console.log(LOG_PREFIX, `Ranking: ${superseded} older conflicting memories dropped`);
         }
       }
 
       // ── Step 4: Sufficiency filtering (text memories) ──
       memories = filterBySufficiency(memories, {
-        minLength: 20,
-        maxDuplicateOverlap: 0.80,
+        minLength: retrieval.minLength,
+        maxDuplicateOverlap: retrieval.maxDuplicateOverlap,
+        onDrop: dropRecorder(trace, "sufficiency"),
       });
+      trace.kept = memories.map(getMemoryKey);
 
       const hasAny = memories.length > 0 || skillMemories.length > 0 || prefMemories.length > 0;
 
-      // ── Step 5: Format and inject ──
-      const contextBlock = formatContextBlock(memories, {
-        maxItems: postCompaction ? 12 : 6,
-        maxChars: postCompaction ? 800 : 500,
-        header: postCompaction
-          ? "Context restored from MemOS after compaction:"
-          : "Relevant memories from MemOS:",
-      });
-
-      const skillBlock = formatSkillBlock(skillMemories, {
-        maxItems: postCompaction ? 3 : 2,
-      });
-
-      const prefBlock = formatPrefBlock(prefMemories, {
-        maxItems: postCompaction ? 3 : 2,
-      });
-
-      // ── Step 6: Todo Auto-Remind (always, with short cooldown) ──
-      let todoReminder = "";
+      // ── Step 5: Todo Auto-Remind (always, with short cooldown) ──
+      let pendingTasks = [];
       const now = Date.now();
-      if (now - state.lastTodoRemindTime > TODO_REMIND_COOLDOWN_MS) {
+      // A "what's on my plate" prompt always gets the task list
+      if (intents.includes("tasks") || now - session.lastTodoRemindTime > todoRemind.cooldownMs) {
         try {
-          const pendingTasks = await findTasks({ status: "pending" });
+          pendingTasks = await findTasks({ status: "pending" });
           if (pendingTasks.length > 0) {
-            todoReminder = formatTaskList(pendingTasks);
             console.log(LOG_PREFIX, `Todo Auto-Remind: ${pendingTasks.length} pending tasks`);
           }
-          state.lastTodoRemindTime = now; // set AFTER success, so retries on failure
+          session.lastTodoRemindTime = now; // set AFTER success, so retries on failure
         } catch (taskErr) {
           console.warn(LOG_PREFIX, `Todo Auto-Remind failed (will retry next prompt): ${taskErr.message}`);
         }
       }
 
-      if (!hasAny && !todoReminder) return;
+      trace.pendingTasks = pendingTasks.length;
+      if (!hasAny && pendingTasks.length === 0) {
+        trace.outcome = "empty";
+        return;
+      }
+
+      // ── Step 6: Assemble under the token budget and inject ──
+      const maxItems = postCompaction ? retrieval.postCompactionMaxItems : retrieval.maxItems;
+      const extrasMaxItems = postCompaction ? retrieval.postCompactionExtrasMaxItems : retrieval.extrasMaxItems;
+      const capped = (list, n) => ({ items: list.slice(0, n), omittedExtra: Math.max(0, list.length - n) });
+      const text = capped(memories, maxItems);
+      const skills = capped(skillMemories, extrasMaxItems);
+      const prefs = capped(prefMemories, extrasMaxItems);
+      const tasks = capped(pendingTasks, MAX_TASKS_SHOWN);
+
+      const assembled = assembleContext([
+        {
+          name: "memories",
+          header: postCompaction ? "Context restored from MemOS after compaction:" : CONTEXT_HEADER,
+          entries: contextEntries(text.items, {
+            maxChars: postCompaction ? retrieval.postCompactionMaxChars : retrieval.maxChars,
+            refs: usageTracking.enabled,
+          }),
+          omittedLabel: "related memories",
+          omittedExtra: text.omittedExtra,
+        },
+        { name: "skills", header: SKILL_HEADER, entries: skillEntries(skills.items), omittedLabel: "skills", omittedExtra: skills.omittedExtra },
+        { name: "preferences", header: PREF_HEADER, entries: prefEntries(prefs.items), omittedLabel: "preferences", omittedExtra: prefs.omittedExtra },
+        { name: "tasks", header: TASK_HEADER, entries: taskEntries(tasks.items), omittedLabel: "pending tasks", omittedExtra: tasks.omittedExtra },
+      ], {
+        ...contextBudget,
+        maxTokens: postCompaction ? contextBudget.postCompactionMaxTokens : contextBudget.maxTokens,
+      });
+      if (!assembled.text) {
+        trace.outcome = "empty";
+        return;
+      }
 
-      const parts = [];
-      if (contextBlock) parts.push(contextBlock);
-      if (skillBlock) parts.push(skillBlock);
-      if (prefBlock) parts.push(prefBlock);
-      if (todoReminder) parts.push(todoReminder);
+      const shown = Object.fromEntries(assembled.blocks.map((b) => [b.name, b.shown]));
+      const omitted = assembled.blocks.reduce((sum, b) => sum + b.omitted, 0);
 
       inc("injection.count");
       inc(`injection.${decision}`);
-      inc("injection.memoriesInjected", memories.length);
-      if (skillMemories.length) inc("injection.skillMemories", skillMemories.length);
-      if (prefMemories.length) inc("injection.prefMemories", prefMemories.length);
+      inc("injection.memoriesInjected", shown.memories);
+      inc("injection.tokens", assembled.tokens);
+      if (omitted) inc("injection.omitted", omitted);
+      if (shown.skills) inc("injection.skillMemories", shown.skills);
+      if (shown.preferences) inc("injection.prefMemories", shown.preferences);
 
-      const contextStr = parts.join("\n\n");
+      const contextStr = assembled.text;
       timing("hooks", Date.now() - t0hook);
 
       const extras = [
-        skillMemories.length ? `${skillMemories.length} skills` : "",
-        prefMemories.length ? `${prefMemories.length} prefs` : "",
-        todoReminder ? "todo" : "",
+        shown.skills ? `${shown.skills} skills` : "",
+        shown.preferences ? `${shown.preferences} prefs` : "",
+        shown.tasks ? "todo" : "",
       ].filter(Boolean).join(", ");
 
       console.log(
         LOG_PREFIX,
-        `Injecting ${memories.length} memories (${postCompaction ? "post-compaction" : "normal"}, decision=${decision}, ${contextStr.length} chars)${extras ? ` + ${extras}` : ""}`,
+        `Injecting ${shown.memories} memories (${postCompaction ? "post-compaction" : "normal"}, decision=${decision}, ~${assembled.tokens} tokens${omitted ? `, ${omitted} omitted` : ""})${extras ? ` + ${extras}` : ""}`,
       );
 
-      return {
-        prependContext: `<user_memory_context>\n${contextStr}\n</user_memory_context>`,
-      };
+      const prependContext = `<user_memory_context>\n${contextStr}\n</user_memory_context>`;
+      traceBlock(trace, prependContext, assembled.blocks);
+      if (usageTracking.enabled && !isDryRun()) {
+        rememberInjected(session, text.items.filter((m) => getMemoryContent(m)).slice(0, shown.memories));
+      }
+      trace.outcome = isDryRun() ? "dry_run" : "injected";
+      if (isDryRun()) {
+        recordDryRun("injection", {
+          prompt: event.prompt.slice(0, 500),
+          decision,
+          post_compaction: postCompaction,
+          counts: { text: shown.memories, skill: shown.skills, pref: shown.preferences, todo: shown.tasks, omitted },
+          tokens: assembled.tokens,
+          block: prependContext,
+        });
+        return;
+      }
+      return { prependContext };
     } catch (err) {
       inc("search.errors");
       console.warn(LOG_PREFIX, "Context injection failed:", err.message);
+      trace.outcome = "error";
+      trace.error = err.message;
+    } finally {
+      trace.durationMs = Date.now() - t0hook;
+      recordTrace(trace);
     }
   };
 }
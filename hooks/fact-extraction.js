@@ -3,44 +3,111 @@
  *
  * Extracts typed memories (profile, behavior, skill, event, task) from
  * completed conversations and persists them to MemOS.
- * Throttled to avoid excessive LLM calls.
- * Skipped when a compaction just happened (the flush already covered it).
+ * Throttled per session to avoid excessive LLM calls.
+ * Skipped when a compaction just happened in the same session (the flush
+ * already covered it).
+ *
+ * Profile / behavior facts are checked against stored ones before saving:
+ * a fact the extractor marks as replacing an earlier one ("moved to
+ * Berlin"), or one the LLM judges to contradict or refine a similar stored
+ * fact (`extraction.reconcile`), is written as a correction of it
+ * ({@link module:lib/supersession}) — refinements as the merged fact — so
+ * retrieval shows only the new version and the old one stays as history.
+ * The supersession takes effect once the correction is saved or queued.
+ * Facts judged duplicates are skipped and bump the stored fact's `seen_count`.
  *
  * v3.0: Uses info field for structured metadata instead of tag prefix hacks.
  *
  * @module hooks/fact-extraction
  */
-import { addMemory } from "../lib/memory.js";
+import { addMemory, addMemoryDurable } from "../lib/memory.js";
 import { flattenMessages } from "../lib/summarize.js";
-import { extractAllTypedMemories } from "../lib/typed-extraction.js";
-import { LOG_PREFIX, isDuplicateMemory, markMemoryAdded } from "../lib/client.js";
-import { generateTaskId } from "../lib/utils.js";
+import { extractAllTypedMemories, reconcileWithStored } from "../lib/typed-extraction.js";
+import { importanceFor } from "../lib/memory-types.js";
+import { LOG_PREFIX, isDuplicateMemory, markMemoryAdded, computeContentHash } from "../lib/client.js";
+import { findReplacedMemory } from "../lib/memory-tools.js";
+import { correctionInfo, addSupersessions } from "../lib/supersession.js";
+import { isDryRun } from "../lib/dry-run.js";
+import { generateTaskId, getInfo } from "../lib/utils.js";
+import { markMemorySeenAgain } from "../lib/dedup-index.js";
+import { resolveWriteCube } from "../lib/cube-routing.js";
 import { inc } from "../lib/stats.js";
 import { normalizeDate } from "../lib/ticktick.js";
+import { getSessionState } from "../lib/session-state.js";
+import { getConfig } from "../lib/config.js";
+
+/** Stats counter per correction kind. */
+const CORRECTION_STATS = {
+  replaces: "extraction.corrections",
+  contradiction: "extraction.contradictions",
+  refinement: "extraction.refinements",
+};
 
-const THROTTLE_MS = 5 * 60 * 1000; // 5 min
+/**
+ * Compare an extracted profile / behavior fact with stored ones: the
+ * extractor's explicit `replaces`, else the LLM reconciliation.
+ * Lookup or LLM failures just save the fact as new.
+ *
+ * @param {{ replaces?: string }} mem - Extracted memory
+ * @param {string} content
+ * @param {string} type
+ * @param {{ enabled?: boolean, topK?: number }} [reconcile] - `extraction.reconcile` config
+ * @returns {Promise<{ relation: "replaces"|"duplicate"|"refinement"|"contradiction", old?: object, content: string }|null>}
+ *   null when the fact is new
+ */
+async function _checkAgainstStored(mem, content, type, reconcile) {
+  try {
+    if (mem.replaces) {
+      const old = await findReplacedMemory(mem.replaces, type);
+      if (old) return { relation: "replaces", old, content };
+    }
+    if (!reconcile?.enabled) return null;
+    const result = await reconcileWithStored(content, type, { topK: reconcile.topK });
+    return result.relation === "new" ? null : { relation: result.relation, old: result.existing, content: result.content };
+  } catch (err) {
+    console.warn(LOG_PREFIX, "Comparing with stored facts failed, saving as new:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Write a correction — fire-and-forget like {@link addMemory} — and register
+ * the supersession only once the new version is saved or queued, so a
+ * failed or deduplicated write never hides the old memory.
+ * @param {string} content
+ * @param {string[]} [tags]
+ * @param {object} info - With the {@link correctionInfo} fields
+ */
+function _storeCorrection(content, tags, info) {
+  const hash = computeContentHash(content, info._type);
+  addMemoryDurable(content, tags, info)
+    .then((status) => {
+      if (status === "duplicate" || isDryRun()) return;
+      addSupersessions([{ hash, supersedes: info.supersedes, supersedes_hash: info.supersedes_hash }]);
+    })
+    .catch((err) => console.warn(LOG_PREFIX, "Storing correction failed:", err.message));
+}
 
 /**
  * @param {object} state - Shared plugin state
- * @returns {(event: object) => Promise<void>}
+ * @returns {(event: object, ctx?: object) => Promise<void>}
  */
 export function createFactExtractionHandler(state) {
-  let lastRunTime = 0;
-
-  return async (event) => {
+  return async (event, ctx) => {
     if (!event.success || !event.messages || event.messages.length < 2) return;
+    const session = getSessionState(event, ctx);
 
-    if (state.isPostCompaction()) {
+    if (session.isPostCompaction()) {
       console.log(LOG_PREFIX, "Post-compaction, skipping fact extraction (already flushed)");
       return;
     }
 
     const now = Date.now();
-    if (now - lastRunTime < THROTTLE_MS) {
+    if (now - session.lastExtractionTime < getConfig().extraction.throttleMs) {
       inc("extraction.throttled");
       return;
     }
-    lastRunTime = now;
+    session.lastExtractionTime = now;
 
     const flat = flattenMessages(event.messages);
     if (flat.length < 2) return;
@@ -60,7 +127,7 @@ export function createFactExtractionHandler(state) {
         for (const mem of memories) {
           const memType = mem.type || "fact";
           // For tasks, use title from structured extraction; fallback to content
-          const contentText = (memType === "task" && mem.title)
+          let contentText = (memType === "task" && mem.title)
             ? `TASK: ${mem.title}`
             : mem.content;
 
@@ -82,8 +149,30 @@ export function createFactExtractionHandler(state) {
             if (mem.project) info.project = mem.project;
             if (mem.desc) info.desc = mem.desc;
           }
+          info.importance = importanceFor(memType, info);
 
-          addMemory(contentText, mem.tags, info);
+          if (memType === "profile" || memType === "behavior") {
+            const check = await _checkAgainstStored(mem, contentText, memType, getConfig().extraction.reconcile);
+            if (check?.relation === "duplicate") {
+              if (check.old) await markMemorySeenAgain(check.old, check.old.cube_id || resolveWriteCube(info));
+              skipped++;
+              inc("extraction.dedupSkips");
+              continue;
+            }
+            if (check?.old) {
+              contentText = check.content;
+              Object.assign(info, correctionInfo({ id: check.old.id || check.old.memory_id, info: getInfo(check.old) }));
+              info.correction_kind = check.relation;
+              inc(CORRECTION_STATS[check.relation]);
+              console.log(LOG_PREFIX, `Correction (${check.relation}): "${contentText.slice(0, 60)}" supersedes ${info.supersedes || info.supersedes_hash}`);
+            }
+          }
+
+          if (info.supersedes || info.supersedes_hash) {
+            _storeCorrection(contentText, mem.tags, info);
+          } else {
+            addMemory(contentText, mem.tags, info);
+          }
           markMemoryAdded(contentText, memType);
           saved++;
           inc("extraction.memoriesSaved");
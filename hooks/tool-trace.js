@@ -3,6 +3,8 @@
  *
  * Captures tool execution results and persists them to MemOS
  * for future reference. Skips memory-related tools to avoid recursion.
+ * Traces carry `_type: "tool_trace"` so cube routing can send them to
+ * the ephemeral cube.
  *
  * @module hooks/tool-trace
  */
@@ -42,5 +44,6 @@ export async function handleToolTrace(event, ctx) {
       ts: new Date().toISOString(),
     }),
     ["tool_trace", toolName],
+    { _type: "tool_trace", tool: toolName },
   );
 }
@@ -0,0 +1,44 @@
+/**
+ * Hook: agent_end — Memory Usage Tracking
+ *
+ * Compares the assistant's reply with the memories injected at
+ * before_agent_start in the same session and records which were used and
+ * which were ignored ({@link module:lib/usage-tracking}).
+ *
+ * Failed runs are not counted (the memories were never really "ignored").
+ *
+ * @module hooks/usage-tracking
+ */
+import { LOG_PREFIX } from "../lib/client.js";
+import { flattenMessages } from "../lib/summarize.js";
+import { lastReply, recordUsage } from "../lib/usage-tracking.js";
+import { getSessionState } from "../lib/session-state.js";
+import { getConfig } from "../lib/config.js";
+
+/**
+ * @param {object} state - Shared plugin state
+ * @returns {(event: object, ctx?: object) => Promise<void>}
+ */
+export function createUsageTrackingHandler(state) {
+  return async (event, ctx) => {
+    const session = getSessionState(event, ctx);
+    if (!session.injected) return;
+    const { usageTracking } = getConfig();
+
+    if (!usageTracking.enabled || !event.success) {
+      session.injected = null;
+      return;
+    }
+
+    try {
+      const reply = lastReply(flattenMessages(event.messages));
+      const { used, ignored } = recordUsage(session, reply, usageTracking);
+      if (used + ignored > 0) {
+        console.log(LOG_PREFIX, `Memory usage: ${used} used, ${ignored} ignored`);
+      }
+    } catch (err) {
+      session.injected = null;
+      console.warn(LOG_PREFIX, "Usage tracking failed:", err.message);
+    }
+  };
+}
@@ -16,36 +16,82 @@
  *   memos_create_task   → create a task with priority/deadline
  *   memos_complete_task → mark a task as completed
  *   memos_list_tasks    → list tasks by status/priority
+ *   memos_search        → filtered memory search on demand
+ *   memos_remember      → store a memory right away
+ *   memos_forget        → forget memories (preview, then confirm)
+ *   memos_correct_memory → replace a memory with a corrected version
  *   memos_stats         → show operation statistics, optionally reset
+ *   memos_explain_injection → explain recent context injections
  *   memos_list_projects → list TickTick projects (dynamic from API)
  *
  * Architecture:
  *   index.js              — thin orchestrator (this file)
- *   hooks/*               — one handler per lifecycle event
+ *   hooks/*               — lifecycle event handlers
  *   lib/client.js         — HTTP transport, auth, config, dedup cache
- *   lib/health.js         — cached liveness probe
+ *   lib/config.js         — config schema (from the manifest), validation, hot reload
+ *   lib/circuit-breaker.js — per-endpoint circuit breaker for callApi
+ *   lib/backend.js        — pluggable storage backend (memos | local)
+ *   lib/backend-memos.js  — MemOS REST backend
+ *   lib/info-overlay.js   — local info counters for MemOS memories (no update endpoint)
+ *   lib/backend-local.js  — local JSONL file backend
+ *   lib/cube-routing.js   — type/scope → cube mapping, weighted read cubes
+ *   lib/session-state.js  — per-session/agent hook state with idle eviction
+ *   lib/health.js         — cached liveness probe (triggers outbox replay)
+ *   lib/outbox.js         — durable write-ahead journal for failed writes
+ *   lib/dedup-index.js    — persistent content_hash index (cross-restart dedup)
+ *   lib/llm.js            — per-job LLM provider chain (backend | OpenAI-compatible)
+ *   lib/dry-run.js        — shadow mode: log would-be writes/injections instead
  *   lib/search.js         — semantic search + formatting
- *   lib/memory.js         — write-path (fire-and-forget + awaitable)
+ *   lib/search-cache.js   — search result cache, invalidated by writes
+ *   lib/temporal.js       — EN/RU time expressions → created_at ranges
+ *   lib/intent.js         — prompt intent → memory-type routing (rules + optional LLM)
+ *   lib/memory.js         — write-path (fire-and-forget, awaitable, durable)
+ *   lib/write-batcher.js  — coalesces adds into batched / bounded-concurrency writes
  *   lib/task-manager.js   — task CRUD with append-only reconciliation
+ *   lib/memory-tools.js   — agent memory tools (search / remember / forget / correct)
+ *   lib/tombstones.js     — append-only forget records excluded from retrieval
+ *   lib/supersession.js   — correction chains, collapsed to the newest version on read
  *   lib/summarize.js      — conversation summarization + fact extraction
- *   lib/retrieval.js      — smart retrieval pipeline
- *   lib/reranker.js       — LLM-based relevance filtering of search results
+ *   lib/retrieval.js      — smart retrieval pipeline (conversation-aware rewriting)
+ *   lib/context-assembler.js — token-budgeted assembly of the injected context
+ *   lib/reranker.js       — graded (0–3) LLM relevance filtering, cached judgements
+ *   lib/lexical-rerank.js — local BM25 + score-fusion reranker, gates the LLM reranker
+ *   lib/decay-rank.js     — relevance × recency decay × importance ranking, newest-wins conflicts
+ *   lib/injection-trace.js — ring buffer of per-turn injection traces (memos_explain_injection)
+ *   lib/usage-tracking.js — memory refs in injected context, used / ignored counts
  *   lib/stats.js          — in-memory operation counters and timings
  *   lib/memory-types.js   — memory type definitions and prompts
- *   lib/typed-extraction.js — typed memory extraction logic
+ *   lib/typed-extraction.js — typed memory extraction and stored-fact reconciliation
  *   lib/ticktick.js       — TickTick API client, project resolution
  *
  * Every hook is non-fatal: MemOS outages never crash the host agent.
  */
 import { LOG_PREFIX, applyConfig } from "./lib/client.js";
+import { ConfigSchema, getConfig, setConfig, watchConfig, readPluginConfigFile } from "./lib/config.js";
+import { configureBackend, getBackend, setBackend } from "./lib/backend.js";
+import { configureDryRun, createDryRunBackend } from "./lib/dry-run.js";
+import { configureLlm } from "./lib/llm.js";
+import { configureReranker } from "./lib/reranker.js";
+import { configureSearchCache } from "./lib/search-cache.js";
+import { configureInjectionTrace, getTraces } from "./lib/injection-trace.js";
+import { configureOutbox, replayOutbox } from "./lib/outbox.js";
+import { configureDedupIndex } from "./lib/dedup-index.js";
+import { isHealthy, configureHealth } from "./lib/health.js";
+import { configureCircuitBreaker } from "./lib/circuit-breaker.js";
+import { configureWriteBatcher } from "./lib/write-batcher.js";
+import { configureCubeRouting } from "./lib/cube-routing.js";
+import { configureSessionState, scopedHandler, scopedTool } from "./lib/session-state.js";
 import { createContextInjectionHandler } from "./hooks/context-injection.js";
 import { createFactExtractionHandler } from "./hooks/fact-extraction.js";
+import { createUsageTrackingHandler } from "./hooks/usage-tracking.js";
 import {
   createBeforeCompactionHandler,
   createAfterCompactionHandler,
 } from "./hooks/compaction-flush.js";
 import { handleToolTrace } from "./hooks/tool-trace.js";
 import { createTask, completeTask, findTasks } from "./lib/task-manager.js";
+import { recallMemories, rememberMemory, forgetMemories, correctMemory } from "./lib/memory-tools.js";
+import { MemoryTypes } from "./lib/memory-types.js";
 import { getStats, formatStats, resetStats } from "./lib/stats.js";
 import {
   isAvailable as isTickTickAvailable,
@@ -59,70 +105,99 @@ import {
 import { inc } from "./lib/stats.js";
 
 // ─── Shared State ───────────────────────────────────────────────────
-const POST_COMPACTION_WINDOW_MS = 2 * 60 * 1000;
-
+// Plugin-wide flags only. Per-conversation state (compaction window,
+// todo cooldown, extraction throttle) lives in lib/session-state.js.
 const state = {
-  lastCompactionTime: 0,
-  compactionCount: 0,
-  lastTodoRemindTime: 0,
   rerankerEnabled: false,
   ticktickSyncEnabled: false,
-  isPostCompaction() {
-    return (
-      this.lastCompactionTime > 0 &&
-      Date.now() - this.lastCompactionTime < POST_COMPACTION_WINDOW_MS
-    );
-  },
 };
 
+const PLUGIN_ID = "openclaw-memos-lifecycle-plugin";
+
+let _statsTimer = null;
+
+/**
+ * Push a resolved config into every module. Runs at registration and on
+ * each hot reload; the backend is only recreated when its settings change.
+ *
+ * @param {object} config - Resolved plugin config (defaults applied)
+ * @param {object} [prev] - Previously applied config
+ */
+function applyPluginConfig(config, prev) {
+  applyConfig(config);
+  configureDryRun(config.dryRun);
+  if (
+    !prev ||
+    prev.backend !== config.backend ||
+    prev.localStorePath !== config.localStorePath ||
+    prev.memosInfoPath !== config.memosInfoPath ||
+    prev.dryRun.enabled !== config.dryRun.enabled
+  ) {
+    const backend = configureBackend(config);
+    if (config.dryRun.enabled) {
+      setBackend(createDryRunBackend(backend));
+      console.warn(LOG_PREFIX, `Dry-run mode: no writes or injection, logging to ${config.dryRun.logPath || "~/.openclaw/memos-dry-run.jsonl"}`);
+    }
+  }
+  configureOutbox(config);
+  configureDedupIndex(config.dedup);
+  configureCircuitBreaker(config.circuitBreaker);
+  configureWriteBatcher(config.writeBatch);
+  configureCubeRouting(config.cubeRouting);
+  configureSessionState(config.sessions);
+  configureHealth(config.health);
+  configureLlm(config.llm);
+  configureReranker(config.llmRerank);
+  configureSearchCache(config.searchCache);
+  configureInjectionTrace(config.injectionTrace);
+  state.rerankerEnabled = config.reranker === true;
+
+  if (!prev || prev.statsLogIntervalMs !== config.statsLogIntervalMs) {
+    clearInterval(_statsTimer);
+    _statsTimer = null;
+    if (config.statsLogIntervalMs > 0) {
+      _statsTimer = setInterval(() => {
+        console.log(LOG_PREFIX, "=== Periodic Stats ===\n" + formatStats());
+      }, config.statsLogIntervalMs);
+      _statsTimer.unref?.();
+    }
+  }
+}
+
 // ─── Plugin ─────────────────────────────────────────────────────────
 export default {
-  id: "openclaw-memos-lifecycle-plugin",
+  id: PLUGIN_ID,
   name: "MemOS Lifecycle",
   description:
     "Memory bridge: context injection, compaction flush, fact extraction, tool traces, task management",
-  configSchema: {
-    type: "object",
-    properties: {
-      memosApiUrl: { type: "string", default: "http://127.0.0.1:8000" },
-      memosUserId: { type: "string", default: "default" },
-      memosCubeId: { type: "string", default: "default" },
-      internalServiceSecret: { type: "string" },
-      contextInjection: { type: "boolean", default: true },
-      factExtraction: { type: "boolean", default: true },
-      compactionFlush: { type: "boolean", default: true },
-      toolTraces: { type: "boolean", default: true },
-      taskManager: { type: "boolean", default: true },
-      reranker: { type: "boolean", default: false },
-      ticktickSync: { type: "boolean", default: true },
-    },
-    additionalProperties: false,
-  },
+  configSchema: ConfigSchema,
 
   register(api) {
-    const config = api.pluginConfig || {};
-    applyConfig(config);
-    state.rerankerEnabled = config.reranker === true;
+    // Throws with every validation error listed — a bad config should fail loudly at startup
+    const config = setConfig(api.pluginConfig || {});
+    applyPluginConfig(config);
+    const backend = getBackend();
     state.ticktickSyncEnabled = config.ticktickSync !== false && isTickTickAvailable();
 
     let hookCount = 0;
-    console.log(LOG_PREFIX, `Registering lifecycle plugin v3.4 (TickTick sync: ${state.ticktickSyncEnabled ? "on" : "off"})...`);
+    console.log(LOG_PREFIX, `Registering lifecycle plugin v3.4 (backend: ${backend.name}, TickTick sync: ${state.ticktickSyncEnabled ? "on" : "off"})...`);
 
     if (config.contextInjection !== false) {
-      api.on("before_agent_start", createContextInjectionHandler(state));
-      hookCount++;
+      api.on("before_agent_start", scopedHandler(createContextInjectionHandler(state)));
+      api.on("agent_end", scopedHandler(createUsageTrackingHandler(state)));
+      hookCount += 2;
     }
     if (config.factExtraction !== false) {
-      api.on("agent_end", createFactExtractionHandler(state));
+      api.on("agent_end", scopedHandler(createFactExtractionHandler(state)));
       hookCount++;
     }
     if (config.compactionFlush !== false) {
-      api.on("before_compaction", createBeforeCompactionHandler(state));
-      api.on("after_compaction", createAfterCompactionHandler(state));
+      api.on("before_compaction", scopedHandler(createBeforeCompactionHandler(state)));
+      api.on("after_compaction", scopedHandler(createAfterCompactionHandler(state)));
       hookCount += 2;
     }
     if (config.toolTraces !== false) {
-      api.registerHook(["tool_result_persist"], handleToolTrace, {
+      api.registerHook(["tool_result_persist"], scopedHandler(handleToolTrace), {
         name: "memos-tool-trace",
       });
       hookCount++;
@@ -130,7 +205,7 @@ export default {
 
     // ─── Task Management Tools ──────────────────────────────────────
     if (config.taskManager !== false) {
-      api.registerTool({
+      api.registerTool(scopedTool({
         name: "memos_create_task",
         description: "Create a new task/todo with priority, deadline, project. Syncs to TickTick automatically. Project must exist in TickTick — use memos_list_projects to see available projects. If project not found, task syncs to default (Personal).",
         parameters: {
@@ -186,9 +261,9 @@ export default {
           }
           return result;
         },
-      });
+      }));
 
-      api.registerTool({
+      api.registerTool(scopedTool({
         name: "memos_complete_task",
         description: "Mark a task as completed with optional outcome notes",
         parameters: {
@@ -205,9 +280,9 @@ export default {
           // (we don't store TickTick task IDs in MemOS yet)
           return result;
         },
-      });
+      }));
 
-      api.registerTool({
+      api.registerTool(scopedTool({
         name: "memos_list_tasks",
         description: "List tasks filtered by status, priority, and/or project",
         parameters: {
@@ -219,13 +294,96 @@ export default {
           },
         },
         execute: async (params) => findTasks(params),
-      });
+      }));
 
       console.log(LOG_PREFIX, "Task management tools registered (create/complete/list)");
     }
 
+    // ─── Memory Search Tool ──────────────────────────────────────────
+    api.registerTool(scopedTool({
+      name: "memos_search",
+      description: "Search long-term memory on demand, with filters. Use when the injected context doesn't cover what you need: look up a specific fact, everything about a project, events in a time window, or only certain memory types. Returns memories with IDs, timestamps, tags and info.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "What to look for" },
+          types: {
+            type: "array",
+            items: { type: "string" },
+            description: "Only these memory types (info._type): profile, behavior, event, fact, task, task_update, compaction_summary, tool_trace",
+          },
+          tags: { type: "array", items: { type: "string" }, description: "Only memories carrying all of these tags" },
+          when: { type: "string", description: "Time window in words, e.g. 'last week', 'yesterday', 'since March', 'на прошлой неделе'" },
+          since: { type: "string", description: "Created on or after this date (YYYY-MM-DD or ISO)" },
+          until: { type: "string", description: "Created before this date (YYYY-MM-DD or ISO)" },
+          project: { type: "string", description: "Only memories of this project (searches its cube too)" },
+          cube: { type: "string", description: "Search only this one of the configured read cubes" },
+          top_k: { type: "integer", minimum: 1, maximum: 50, default: 10, description: "Max results" },
+          rerank: { type: "boolean", default: false, description: "Filter the results with the LLM reranker (slower, drops off-topic hits)" },
+          include_superseded: { type: "boolean", default: false, description: "Also return older versions replaced by a correction (marked superseded_by) — to see a fact's history" },
+        },
+        required: ["query"],
+      },
+      execute: async (params) => recallMemories(params),
+    }));
+
+    api.registerTool(scopedTool({
+      name: "memos_remember",
+      description: "Store something in long-term memory right away — use when the user asks you to remember something, or states a fact, preference or decision worth keeping. Returns the stored memory's ID (or the existing one if it was already stored).",
+      parameters: {
+        type: "object",
+        properties: {
+          content: { type: "string", description: "The memory, as a self-contained statement (e.g. 'User prefers metric units')" },
+          type: {
+            type: "string",
+            enum: Object.values(MemoryTypes),
+            default: MemoryTypes.FACT,
+            description: "profile = stable fact about the user, behavior = habit / preference pattern, event = something that happened or was decided, task = something to do (prefer memos_create_task), fact = anything else",
+          },
+          tags: { type: "array", items: { type: "string" }, description: "Extra tags" },
+          importance: { type: "number", minimum: 0, maximum: 1, description: "0–1, how much this should outrank other memories (default: per type)" },
+          project: { type: "string", description: "Project this belongs to (events are stored in the project's cube)" },
+        },
+        required: ["content"],
+      },
+      execute: async (params) => rememberMemory(params),
+    }));
+
+    api.registerTool(scopedTool({
+      name: "memos_forget",
+      description: "Forget memories — a wrong fact, an outdated detail, a secret pasted by accident. Two steps: first call with a query (or ids) to get the candidates and show them to the user; after the user confirms, call again with confirm: true and the chosen ids. Never confirm without asking the user.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Find candidates by content" },
+          ids: { type: "array", items: { type: "string" }, description: "Memory IDs (from memos_search, memos_remember or the candidate list)" },
+          types: { type: "array", items: { type: "string" }, description: "Limit the query to these memory types" },
+          top_k: { type: "integer", minimum: 1, maximum: 20, default: 5, description: "Max candidates for a query" },
+          confirm: { type: "boolean", default: false, description: "Actually forget the given ids (only after the user confirmed)" },
+          reason: { type: "string", description: "Why, kept on the tombstone record" },
+        },
+      },
+      execute: async (params) => forgetMemories(params, getConfig().forget),
+    }));
+
+    api.registerTool(scopedTool({
+      name: "memos_correct_memory",
+      description: "Correct a stored memory that is no longer true (\"I moved to Berlin\", \"we switched to Postgres 16\"). Writes the new version and keeps the old one as history; from then on only the new version is recalled. Get the old memory's ID from memos_search first.",
+      parameters: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "ID of the memory being corrected" },
+          content: { type: "string", description: "The corrected memory, as a self-contained statement" },
+          type: { type: "string", description: "Memory type, if the stored memory has none" },
+          reason: { type: "string", description: "Why it changed (kept on the new version)" },
+        },
+        required: ["id", "content"],
+      },
+      execute: async (params) => correctMemory(params),
+    }));
+
     // ─── Stats Tool ──────────────────────────────────────────────────
-    api.registerTool({
+    api.registerTool(scopedTool({
       name: "memos_stats",
       description: "Show plugin operation statistics (search/rerank/injection/extraction/compaction/tool trace counters and timings). Optionally reset counters.",
       parameters: {
@@ -240,11 +398,38 @@ export default {
         if (params?.reset) resetStats();
         return { stats: snapshot, formatted };
       },
-    });
+    }));
+
+    // ─── Injection Explain Tool ──────────────────────────────────────
+    api.registerTool(scopedTool({
+      name: "memos_explain_injection",
+      description: "Explain what memory context was injected on recent turns and why: pre-retrieval decision, rewritten queries, raw search hits with scores, which memories the reranker / ranking / sufficiency filter dropped and the reason, and the final block with its size. Use when an answer seems influenced by wrong or stale memories.",
+      parameters: {
+        type: "object",
+        properties: {
+          last: { type: "integer", minimum: 1, default: 1, description: "How many recent turns to explain (newest first)" },
+          session_key: { type: "string", description: "Turns from this session of the agent instead of the current one" },
+          include_block: { type: "boolean", default: true, description: "Include the injected block text" },
+        },
+      },
+      execute: async (params, scope) => {
+        // Never another agent's turns: prompts and memories are theirs
+        const traces = getTraces({ last: params?.last ?? 1, sessionKey: params?.session_key || scope.sessionKey, agentId: scope.agentId });
+        if (traces.length === 0) {
+          return { count: 0, message: getConfig().injectionTrace.enabled ? "No injections recorded yet" : "Injection tracing is disabled (injectionTrace.enabled)" };
+        }
+        return {
+          count: traces.length,
+          traces: params?.include_block === false
+            ? traces.map((t) => (t.block ? { ...t, block: { ...t.block, text: undefined } } : t))
+            : traces,
+        };
+      },
+    }));
 
     // ─── TickTick Project Tool ────────────────────────────────────────
     if (state.ticktickSyncEnabled) {
-      api.registerTool({
+      api.registerTool(scopedTool({
         name: "memos_list_projects",
         description: "List TickTick projects (fetched dynamically from API). Shows project names and IDs for task sync.",
         parameters: { type: "object", properties: {} },
@@ -260,14 +445,22 @@ export default {
             return { error: err.message };
           }
         },
-      });
+      }));
       console.log(LOG_PREFIX, "TickTick project tool registered (memos_list_projects)");
     }
 
-    // ─── Periodic Stats Log (every 30 min) ───────────────────────────
-    setInterval(() => {
-      console.log(LOG_PREFIX, "=== Periodic Stats ===\n" + formatStats());
-    }, 30 * 60 * 1000);
+    // ─── Outbox: replay writes left over from a previous run ─────────
+    isHealthy()
+      .then((ok) => ok && replayOutbox())
+      .catch((err) => console.warn(LOG_PREFIX, "Startup outbox replay failed:", err.message));
+
+    // ─── Config Hot Reload ───────────────────────────────────────────
+    if (config.configReload.enabled) {
+      const loadPluginConfig = api.runtime?.config?.loadConfig
+        ? () => api.runtime.config.loadConfig()?.plugins?.entries?.[PLUGIN_ID]?.config ?? {}
+        : () => readPluginConfigFile(PLUGIN_ID);
+      watchConfig(loadPluginConfig, applyPluginConfig, config.configReload.intervalMs);
+    }
 
     console.log(LOG_PREFIX, `Lifecycle plugin v3.4 registered (${hookCount} hooks, TickTick: ${state.ticktickSyncEnabled ? "on" : "off"})`);
   },
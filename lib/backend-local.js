@@ -0,0 +1,266 @@
+/**
+ * Local File Backend
+ *
+ * {@link module:lib/backend} implementation that keeps memories in an
+ * append-only JSONL log on disk. No server, no network — meant for laptops
+ * without a MemOS instance and for deterministic hook testing.
+ *
+ * Log format (one op per line):
+ *   { "op": "add", "record": { id, memory, tags, info, user_id, cube_id, created_at, updated_at } }
+ *   { "op": "delete", "ids": [...] }
+ *   { "op": "update", "id": "...", "info": {...}, "updated_at": "..." }  (info is merged; no updated_at with touch: false)
+ *
+ * delete() rewrites the log without the deleted records (and with updates
+ * folded in), so forgotten text does not linger on disk.
+ *
+ * Supports addBatch() — a batch is written with a single append.
+ * Search is lexical (query term overlap), filters match info fields exactly.
+ * There is no chat model: chatComplete() throws so LLM callers take their
+ * existing fallback paths.
+ *
+ * @module lib/backend-local
+ */
+import { readFile, appendFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { homedir } from "node:os";
+import { randomUUID } from "node:crypto";
+import { getMemosUserId, getMemosCubeId, LOG_PREFIX } from "./client.js";
+import { inTimeRange } from "./temporal.js";
+
+const DEFAULT_PATH = join(homedir(), ".openclaw", "memos-local", "memories.jsonl");
+
+/**
+ * Lowercased word tokens (unicode-aware, so Russian works too).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function _tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Exact-match filter on info fields. Array-valued info fields match
+ * when they contain the filter value. `created_at` takes a range
+ * (`{ gte, gt, lte, lt }`) on the record's own timestamp.
+ * @param {object} record
+ * @param {object} [filter]
+ * @returns {boolean}
+ */
+function _matchesFilter(record, filter) {
+  if (!filter) return true;
+  for (const [key, expected] of Object.entries(filter)) {
+    if (key === "created_at" && expected && typeof expected === "object") {
+      if (!inTimeRange(Date.parse(record.created_at), expected)) return false;
+      continue;
+    }
+    const actual = record.info?.[key];
+    if (Array.isArray(actual) ? !actual.includes(expected) : actual !== expected) return false;
+  }
+  return true;
+}
+
+/**
+ * Flatten add() messages into stored text.
+ * @param {string|Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+function _messagesToText(messages) {
+  if (typeof messages === "string") return messages;
+  if (!Array.isArray(messages)) return "";
+  return messages.map((m) => `${m.role}: ${m.content}`).join("\n");
+}
+
+/**
+ * Build a stored record for an add request, scoped to the current user/cube.
+ * @param {import("./backend.js").AddRequest} req
+ * @returns {object}
+ */
+function _newRecord({ messages, tags = [], info, cubeId, userId }) {
+  const now = new Date().toISOString();
+  return {
+    id: randomUUID(),
+    memory: _messagesToText(messages),
+    tags,
+    info: info || {},
+    user_id: userId || getMemosUserId(),
+    cube_id: cubeId || getMemosCubeId(),
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Merge an update op into a stored record (no-op for unknown IDs).
+ * @param {object|undefined} record
+ * @param {{ info?: object, updated_at: string }} op
+ */
+function _applyUpdate(record, op) {
+  if (!record) return;
+  record.info = { ...record.info, ...op.info };
+  if (op.updated_at) record.updated_at = op.updated_at;
+}
+
+/**
+ * Shape a stored record like a MemOS search hit.
+ * @param {object} record
+ * @param {number} relativity
+ * @returns {object}
+ */
+function _toResult(record, relativity) {
+  return {
+    id: record.id,
+    memory: record.memory,
+    cube_id: record.cube_id,
+    metadata: {
+      tags: record.tags,
+      info: record.info,
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+      relativity,
+    },
+  };
+}
+
+/**
+ * @param {{ localStorePath?: string }} [cfg]
+ * @returns {import("./backend.js").MemoryBackend}
+ */
+export function createLocalBackend(cfg = {}) {
+  const filePath = cfg.localStorePath || DEFAULT_PATH;
+  /** @type {Map<string, object>|null} */
+  let _records = null;
+  let _loading = null;
+
+  async function load() {
+    if (_records) return _records;
+    if (!_loading) {
+      _loading = (async () => {
+        const records = new Map();
+        let content = "";
+        try {
+          content = await readFile(filePath, "utf-8");
+        } catch (_) { /* first run — empty store */ }
+        for (const line of content.split("\n")) {
+          if (!line.trim()) continue;
+          try {
+            const entry = JSON.parse(line);
+            if (entry.op === "add") records.set(entry.record.id, entry.record);
+            else if (entry.op === "delete") for (const id of entry.ids) records.delete(id);
+            else if (entry.op === "update") _applyUpdate(records.get(entry.id), entry);
+          } catch {
+            console.warn(LOG_PREFIX, `Local backend: skipping corrupt line in ${filePath}`);
+          }
+        }
+        _records = records;
+        return records;
+      })();
+    }
+    return _loading;
+  }
+
+  let _fileOp = Promise.resolve();
+
+  /** Serialize file writes so an append never races a rewrite. */
+  function serial(fn) {
+    const run = _fileOp.then(fn);
+    _fileOp = run.catch(() => {});
+    return run;
+  }
+
+  /** @param {object[]} entries - Written with a single append */
+  function append(entries) {
+    return serial(async () => {
+      await mkdir(dirname(filePath), { recursive: true });
+      await appendFile(filePath, entries.map((e) => JSON.stringify(e) + "\n").join(""), "utf-8");
+    });
+  }
+
+  /** Rewrite the log as one add per live record (tmp file + rename). */
+  function rewrite(records) {
+    return serial(async () => {
+      const tmp = `${filePath}.tmp`;
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(tmp, [...records.values()].map((record) => JSON.stringify({ op: "add", record }) + "\n").join(""), "utf-8");
+      await rename(tmp, filePath);
+    });
+  }
+
+  return {
+    name: "local",
+    capabilities: { dateFilter: true },
+
+    async add(req) {
+      const records = await load();
+      const record = _newRecord(req);
+      await append([{ op: "add", record }]);
+      records.set(record.id, record);
+      return { id: record.id };
+    },
+
+    async addBatch(reqs) {
+      const records = await load();
+      const batch = reqs.map(_newRecord);
+      await append(batch.map((record) => ({ op: "add", record })));
+      for (const record of batch) records.set(record.id, record);
+      return batch.map((record) => ({ id: record.id }));
+    },
+
+    async search({ query, topK = 5, filter, cubeIds }) {
+      const records = await load();
+      const userId = getMemosUserId();
+      const cubes = new Set(cubeIds?.length ? cubeIds : [getMemosCubeId()]);
+      const terms = new Set(_tokenize(query));
+
+      const scored = [];
+      for (const record of records.values()) {
+        if (record.user_id !== userId || !cubes.has(record.cube_id)) continue;
+        if (!_matchesFilter(record, filter)) continue;
+
+        let score = 1;
+        if (terms.size > 0) {
+          const words = new Set(_tokenize(record.memory));
+          let hits = 0;
+          for (const t of terms) if (words.has(t)) hits++;
+          score = hits / terms.size;
+          // Filtered lookups (e.g. all tasks) keep zero-overlap records
+          if (score === 0 && !filter) continue;
+        }
+        scored.push({ record, score });
+      }
+
+      scored.sort((a, b) => b.score - a.score || b.record.updated_at.localeCompare(a.record.updated_at));
+      return {
+        textMemories: scored.slice(0, topK).map(({ record, score }) => _toResult(record, score)),
+        skillMemories: [],
+        prefMemories: [],
+      };
+    },
+
+    async chatComplete() {
+      throw new Error("Local backend has no chat model");
+    },
+
+    async delete(ids) {
+      const records = await load();
+      const existing = (ids || []).filter((id) => records.has(id));
+      if (existing.length === 0) return { deleted: 0 };
+      for (const id of existing) records.delete(id);
+      await rewrite(records);
+      return { deleted: existing.length };
+    },
+
+    async update(id, { info } = {}, { touch = true } = {}) {
+      const records = await load();
+      if (!records.has(id)) return { updated: false };
+      const op = { op: "update", id, info: info || {} };
+      if (touch) op.updated_at = new Date().toISOString();
+      await append([op]);
+      _applyUpdate(records.get(id), op);
+      return { updated: true };
+    },
+
+    async ping() {
+      return true;
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * MemOS REST Backend
+ *
+ * Default {@link module:lib/backend} implementation.
+ * Maps the backend interface onto the MemOS /product/* endpoints.
+ *
+ * MemOS cannot change a stored memory, so update() goes to a local
+ * {@link module:lib/info-overlay} that search() merges into the hits.
+ *
+ * @module lib/backend-memos
+ */
+import { callApi, getMemosApiUrl, getMemosUserId, getMemosCubeId, Timeouts } from "./client.js";
+import { createInfoOverlay } from "./info-overlay.js";
+
+const PROBE_TIMEOUT_MS = 3_000;
+
+/**
+ * Pull the first memory ID out of a /product/add response.
+ * MemOS has returned both a bare list and a { data: [...] } envelope.
+ * @param {object} result
+ * @returns {string|null}
+ */
+function _extractAddedId(result) {
+  const items = Array.isArray(result?.data) ? result.data : Array.isArray(result) ? result : [];
+  const first = items[0];
+  return first?.memory_id || first?.id || null;
+}
+
+/**
+ * Merge MemOS per-cube result buckets ([{ cube_id, memories }]) into one
+ * list, tagging each hit with the cube it came from.
+ * @param {Array<{ cube_id?: string, memories?: Array }>} [buckets]
+ * @returns {Array}
+ */
+function _flattenBuckets(buckets) {
+  if (!Array.isArray(buckets)) return [];
+  const out = [];
+  for (const bucket of buckets) {
+    for (const mem of bucket?.memories || []) {
+      if (bucket.cube_id && !mem.cube_id) mem.cube_id = bucket.cube_id;
+      out.push(mem);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {{ memosInfoPath?: string }} [cfg]
+ * @returns {import("./backend.js").MemoryBackend}
+ */
+export function createMemosBackend(cfg = {}) {
+  const overlay = createInfoOverlay({ path: cfg.memosInfoPath });
+
+  return {
+    name: "memos",
+
+    async add({ messages, tags, info, mode, cubeId, userId }, { retries = 3, timeoutMs = Timeouts.ADD } = {}) {
+      const body = {
+        user_id: userId || getMemosUserId(),
+        writable_cube_ids: [cubeId || getMemosCubeId()],
+        messages,
+      };
+      if (tags) body.custom_tags = tags;
+      if (info) body.info = info;
+      if (mode) body.mode = mode;
+
+      const result = await callApi("/product/add", body, { retries, timeoutMs });
+      return { id: _extractAddedId(result) };
+    },
+
+    async search({ query, topK = 5, filter, cubeIds }, { timeoutMs = Timeouts.SEARCH } = {}) {
+      const body = {
+        query,
+        user_id: getMemosUserId(),
+        readable_cube_ids: cubeIds?.length ? cubeIds : [getMemosCubeId()],
+        top_k: topK,
+        include_skill_memory: true,
+        skill_mem_top_k: 3,
+        include_preference: true,
+        dedup: "mmr",
+        internet_search: true,
+      };
+      if (filter) body.filter = filter;
+
+      const result = await callApi("/product/search", body, { timeoutMs });
+      return {
+        textMemories: await overlay.apply(_flattenBuckets(result?.data?.text_mem)),
+        skillMemories: _flattenBuckets(result?.data?.skill_mem),
+        prefMemories: _flattenBuckets(result?.data?.pref_mem),
+      };
+    },
+
+    async chatComplete(prompt, { retries = 1, timeoutMs = Timeouts.DEFAULT, maxTokens, temperature } = {}) {
+      const body = {
+        query: prompt,
+        user_id: getMemosUserId(),
+        readable_cube_ids: [getMemosCubeId()],
+        enable_memory: false,
+        add_message_on_answer: false,
+      };
+      if (maxTokens) body.max_tokens = maxTokens;
+      if (temperature != null) body.temperature = temperature;
+
+      const result = await callApi("/product/chat/complete", body, { retries, timeoutMs });
+      return result?.data?.response || result?.response || "";
+    },
+
+    async delete(ids, { cubeId, timeoutMs = Timeouts.DEFAULT } = {}) {
+      if (!ids?.length) return { deleted: 0 };
+      await callApi(
+        "/product/delete_memory",
+        { user_id: getMemosUserId(), writable_cube_ids: [cubeId || getMemosCubeId()], memory_ids: ids },
+        { retries: 1, timeoutMs },
+      );
+      await overlay.forget(ids);
+      return { deleted: ids.length };
+    },
+
+    // Local only: `touch` has no effect, MemOS keeps its own updated_at
+    async update(id, { info } = {}) {
+      if (!id) return { updated: false };
+      await overlay.update(id, info || {});
+      return { updated: true };
+    },
+
+    async ping() {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+      try {
+        const res = await fetch(`${getMemosApiUrl()}/openapi.json`, {
+          method: "HEAD",
+          signal: controller.signal,
+        });
+        clearTimeout(timer);
+        return res.ok;
+      } catch {
+        clearTimeout(timer);
+        return false;
+      }
+    },
+  };
+}
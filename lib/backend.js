@@ -0,0 +1,97 @@
+/**
+ * Memory Backend Registry
+ *
+ * Pluggable storage interface behind every read/write/LLM call.
+ * Modules talk to {@link getBackend} instead of hardcoding MemOS paths,
+ * so the plugin can run against a local file store without a MemOS server.
+ *
+ * Backends:
+ *   memos — MemOS REST API (default); update() is a local info overlay
+ *   local — append-only JSONL file under ~/.openclaw
+ *
+ * @module lib/backend
+ */
+import { LOG_PREFIX } from "./client.js";
+import { createMemosBackend } from "./backend-memos.js";
+import { createLocalBackend } from "./backend-local.js";
+
+/**
+ * @typedef {object} AddRequest
+ * @property {string|Array<{role: string, content: string}>} messages - Memory text or chat messages
+ * @property {string[]} [tags]
+ * @property {object} [info] - Structured metadata (searchable via filter)
+ * @property {string} [mode] - MemOS add mode ("fast" skips server-side LLM processing)
+ * @property {string} [cubeId] - Writable cube (default: memosCubeId)
+ * @property {string} [userId] - Owner (default: memosUserId at send time)
+ */
+
+/**
+ * @typedef {object} SearchRequest
+ * @property {string} query
+ * @property {number} [topK=5]
+ * @property {object} [filter] - Structured filter on info fields; `created_at: { gte, lt }` only
+ *   where the backend declares `capabilities.dateFilter`
+ * @property {string[]} [cubeIds] - Readable cubes (default: [memosCubeId]); hits carry `cube_id`
+ */
+
+/**
+ * @typedef {object} SearchResult
+ * @property {Array} textMemories
+ * @property {Array} skillMemories
+ * @property {Array} prefMemories
+ */
+
+/**
+ * @typedef {object} MemoryBackend
+ * @property {string} name
+ * @property {(req: AddRequest, opts?: { retries?: number, timeoutMs?: number }) => Promise<{ id: string|null }>} add
+ * @property {(reqs: AddRequest[], opts?: { retries?: number, timeoutMs?: number }) => Promise<Array<{ id?: string|null, error?: Error }>>} [addBatch] - Optional: one request for many adds, per-item results
+ * @property {(req: SearchRequest, opts?: { timeoutMs?: number }) => Promise<SearchResult>} search
+ * @property {(prompt: string, opts?: { retries?: number, timeoutMs?: number, maxTokens?: number, temperature?: number }) => Promise<string>} chatComplete
+ * @property {(ids: string[], opts?: { cubeId?: string, timeoutMs?: number }) => Promise<{ deleted: number }>} delete
+ * @property {(id: string, patch: { info: object }, opts?: { cubeId?: string, timeoutMs?: number, touch?: boolean }) => Promise<{ updated: boolean }>} [update] - Optional: merge `patch.info` into a stored memory's info; `touch: false` leaves `updated_at` alone (bookkeeping counters)
+ * @property {() => Promise<boolean>} ping - Liveness probe
+ * @property {{ dateFilter?: boolean }} [capabilities] - Optional features; without `dateFilter`,
+ *   search.js post-filters `created_at` ranges itself
+ */
+
+/** @type {Record<string, (cfg: object) => MemoryBackend>} */
+const FACTORIES = {
+  memos: createMemosBackend,
+  local: createLocalBackend,
+};
+
+/** @type {MemoryBackend} */
+let _backend = createMemosBackend();
+
+/**
+ * Select the active backend from plugin config.
+ * Unknown names fall back to MemOS with a warning.
+ *
+ * @param {{ backend?: string, localStorePath?: string }} [cfg]
+ * @returns {MemoryBackend}
+ */
+export function configureBackend(cfg = {}) {
+  const name = cfg.backend || "memos";
+  const factory = FACTORIES[name];
+  if (!factory) {
+    console.warn(LOG_PREFIX, `Unknown backend "${name}", falling back to memos`);
+    _backend = createMemosBackend(cfg);
+  } else {
+    _backend = factory(cfg);
+  }
+  return _backend;
+}
+
+/** @returns {MemoryBackend} */
+export function getBackend() {
+  return _backend;
+}
+
+/**
+ * Replace the active backend instance (e.g. a scripted backend when exercising hooks).
+ * @param {MemoryBackend} backend
+ */
+export function setBackend(backend) {
+  _backend = backend;
+}
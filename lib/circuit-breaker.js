@@ -0,0 +1,159 @@
+/**
+ * Per-Endpoint Circuit Breaker
+ *
+ * Tracks consecutive failures per API endpoint and stops calling an
+ * endpoint that is already failing, instead of letting every hook time out
+ * on its own.
+ *
+ * States:
+ *   closed    — requests flow; failures are counted
+ *   open      — requests are rejected until the cooldown (or Retry-After) expires
+ *   half_open — a single trial request is let through; success closes, failure re-opens
+ *
+ * Only retryable failures (network, timeout, 408/429/5xx) count — a 4xx
+ * validation error or a malformed response body means the server is up
+ * and answering.
+ *
+ * @module lib/circuit-breaker
+ */
+import { LOG_PREFIX } from "./client.js";
+import { inc } from "./stats.js";
+
+/** @enum {string} */
+export const BreakerState = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+const _settings = {
+  failureThreshold: 5,
+  cooldownMs: 30_000,
+};
+
+/** @type {Map<string, { state: string, failures: number, openUntil: number, trialInFlight: boolean }>} */
+const _breakers = new Map();
+
+/**
+ * Apply breaker tunables from plugin config.
+ * @param {{ failureThreshold?: number, cooldownMs?: number }} [cfg]
+ */
+export function configureCircuitBreaker(cfg = {}) {
+  if (cfg.failureThreshold > 0) _settings.failureThreshold = cfg.failureThreshold;
+  if (cfg.cooldownMs > 0) _settings.cooldownMs = cfg.cooldownMs;
+}
+
+/** @param {string} endpoint */
+function _get(endpoint) {
+  let b = _breakers.get(endpoint);
+  if (!b) {
+    b = { state: BreakerState.CLOSED, failures: 0, openUntil: 0, trialInFlight: false };
+    _breakers.set(endpoint, b);
+  }
+  return b;
+}
+
+/**
+ * Ask permission to call an endpoint. Moves an expired open breaker to
+ * half-open and admits exactly one trial request.
+ *
+ * @param {string} endpoint
+ * @returns {boolean} false when the call should be rejected without a request
+ */
+export function acquire(endpoint) {
+  const b = _get(endpoint);
+  if (b.state === BreakerState.CLOSED) return true;
+
+  if (b.state === BreakerState.OPEN) {
+    if (Date.now() < b.openUntil) return false;
+    b.state = BreakerState.HALF_OPEN;
+    b.trialInFlight = false;
+  }
+  // half-open: one trial at a time
+  if (b.trialInFlight) return false;
+  b.trialInFlight = true;
+  return true;
+}
+
+/**
+ * Record a successful call — closes the breaker.
+ * @param {string} endpoint
+ */
+export function recordSuccess(endpoint) {
+  const b = _get(endpoint);
+  if (b.state !== BreakerState.CLOSED) {
+    console.log(LOG_PREFIX, `Circuit closed: ${endpoint}`);
+  }
+  b.state = BreakerState.CLOSED;
+  b.failures = 0;
+  b.openUntil = 0;
+  b.trialInFlight = false;
+}
+
+/**
+ * Record a retryable failure. Opens the breaker once the threshold is hit,
+ * or immediately when a half-open trial fails or `retryAfterMs` is given
+ * (server asked us to back off longer than we retry inline).
+ *
+ * @param {string} endpoint
+ * @param {{ retryAfterMs?: number }} [opts] - Open for this long instead of the default cooldown
+ */
+export function recordFailure(endpoint, { retryAfterMs } = {}) {
+  const b = _get(endpoint);
+  b.failures++;
+  b.trialInFlight = false;
+
+  const shouldOpen =
+    b.state === BreakerState.HALF_OPEN ||
+    b.failures >= _settings.failureThreshold ||
+    retryAfterMs > 0;
+  if (!shouldOpen) return;
+
+  const wasOpen = b.state === BreakerState.OPEN;
+  b.state = BreakerState.OPEN;
+  b.openUntil = Date.now() + (retryAfterMs || _settings.cooldownMs);
+  if (!wasOpen) {
+    inc("circuit.opened");
+    console.warn(LOG_PREFIX, `Circuit opened: ${endpoint} (${b.failures} failures, retry in ${Math.round((b.openUntil - Date.now()) / 1000)}s)`);
+  }
+}
+
+/**
+ * Settle a call that got a non-retryable answer (4xx). The server is up,
+ * so a half-open trial counts as a success; closed breakers are untouched.
+ * @param {string} endpoint
+ */
+export function release(endpoint) {
+  const b = _get(endpoint);
+  if (b.state === BreakerState.HALF_OPEN) recordSuccess(endpoint);
+}
+
+/**
+ * True if any of the given endpoints (default: all known) has an open breaker
+ * whose cooldown has not yet expired.
+ *
+ * @param {string[]} [endpoints]
+ * @returns {boolean}
+ */
+export function isCircuitOpen(endpoints) {
+  const now = Date.now();
+  const keys = endpoints || [..._breakers.keys()];
+  return keys.some((k) => {
+    const b = _breakers.get(k);
+    return b?.state === BreakerState.OPEN && now < b.openUntil;
+  });
+}
+
+/**
+ * Snapshot of every breaker that is not closed.
+ * @returns {Array<{ endpoint: string, state: string, failures: number, openUntil: number }>}
+ */
+export function getOpenCircuits() {
+  const out = [];
+  for (const [endpoint, b] of _breakers) {
+    if (b.state !== BreakerState.CLOSED) {
+      out.push({ endpoint, state: b.state, failures: b.failures, openUntil: b.openUntil });
+    }
+  }
+  return out;
+}
@@ -2,7 +2,8 @@
  * MemOS HTTP Client
  *
  * Low-level HTTP transport for the MemOS REST API.
- * Handles authentication, retries with exponential back-off, and timeouts.
+ * Handles authentication, timeouts, and error-aware retries (jittered
+ * exponential back-off, Retry-After) behind a per-endpoint circuit breaker.
  *
  * Configuration priority (highest → lowest):
  *   1. openclaw.plugin.json configSchema values (via applyConfig)
@@ -16,19 +17,35 @@ import { readFileSync } from "node:fs";
 import { join } from "node:path";
 import { homedir } from "node:os";
 import { createHash } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { acquire, recordSuccess, recordFailure, release } from "./circuit-breaker.js";
+import { inc } from "./stats.js";
 
 // ─── Constants ──────────────────────────────────────────────────────
 export const LOG_PREFIX = "[MEMOS]";
 
-/** @enum {number} Named timeouts (ms) */
-export const Timeouts = Object.freeze({
+/**
+ * @enum {number} Named timeouts (ms).
+ * Overridable via the `timeouts` config; read at call time, so reloads apply.
+ */
+export const Timeouts = {
   DEFAULT: 10_000,
   SEARCH: 8_000,
   RERANK: 15_000,   // LLM reranking of search results (fail-fast, no retries)
   ADD: 15_000,    // increased for typed extraction (multiple memories)
   EXTRACTION: 20_000, // single-type extraction / fact extraction
   SUMMARIZE: 60_000,  // multi-segment conversation summarization
-});
+};
+
+/** Config key (`timeouts.*`) → {@link Timeouts} entry. */
+const TIMEOUT_KEYS = {
+  default: "DEFAULT",
+  search: "SEARCH",
+  rerank: "RERANK",
+  add: "ADD",
+  extraction: "EXTRACTION",
+  summarize: "SUMMARIZE",
+};
 
 // ─── Configuration ──────────────────────────────────────────────────
 
@@ -37,7 +54,7 @@ export const Timeouts = Object.freeze({
  * @param {string} name
  * @returns {string|null}
  */
-function loadEnvVar(name) {
+export function loadEnvVar(name) {
   if (process.env[name]) return process.env[name];
   try {
     const envPath = join(homedir(), ".openclaw", ".env");
@@ -56,16 +73,77 @@ const _config = {
   internalSecret: loadEnvVar("INTERNAL_SERVICE_SECRET"),
 };
 
+// ─── Per-Agent Scope ────────────────────────────────────────────────
+
+/**
+ * When set, user/cube IDs are derived per agent from these templates
+ * ({userId}, {cubeId}, {agentId} placeholders), so several agents on one
+ * gateway keep separate memories. Null = every agent shares one identity.
+ * @type {{ userIdTemplate: string, cubeIdTemplate: string }|null}
+ */
+let _agentScope = null;
+
+/** Agent ID of the hook currently executing (see {@link runWithAgentScope}). */
+const _scopeStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `agentId` as the active agent for ID derivation.
+ * @template T
+ * @param {string} agentId
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithAgentScope(agentId, fn) {
+  return _scopeStorage.run(agentId, fn);
+}
+
+/**
+ * Agent ID of the hook currently executing, or null outside a hook.
+ * @returns {string|null}
+ */
+export function getActiveAgentId() {
+  return _scopeStorage.getStore() ?? null;
+}
+
+/**
+ * Expand a scope template for the active agent, or return the base ID.
+ * @param {string} base
+ * @param {"userIdTemplate"|"cubeIdTemplate"} key
+ * @returns {string}
+ */
+function _scoped(base, key) {
+  const agentId = _scopeStorage.getStore();
+  if (!_agentScope || !agentId || agentId === "default") return base;
+  return _agentScope[key]
+    .replace("{userId}", _config.memosUserId)
+    .replace("{cubeId}", _config.memosCubeId)
+    .replace("{agentId}", agentId);
+}
+
+/**
+ * Expand `{userId}` / `{agentId}` in a configured cube ID (e.g. routing's
+ * `personalCubeId: "personal-{agentId}"`) for the active agent, so routed
+ * cubes stay per agent like `memosCubeId`. `{agentId}` is "default" when
+ * agent scoping is off or outside a hook / tool.
+ * @param {string} id
+ * @returns {string}
+ */
+export function expandScopedId(id) {
+  if (!id || !id.includes("{")) return id;
+  const agentId = (_agentScope && _scopeStorage.getStore()) || "default";
+  return id.replaceAll("{userId}", _config.memosUserId).replaceAll("{agentId}", agentId);
+}
+
 /** @returns {string} */
 export function getMemosApiUrl() { return _config.memosApiUrl; }
-/** @returns {string} */
-export function getMemosUserId() { return _config.memosUserId; }
-/** @returns {string} */
-export function getMemosCubeId() { return _config.memosCubeId; }
+/** @returns {string} User ID for the active agent scope */
+export function getMemosUserId() { return _scoped(_config.memosUserId, "userIdTemplate"); }
+/** @returns {string} Cube ID for the active agent scope */
+export function getMemosCubeId() { return _scoped(_config.memosCubeId, "cubeIdTemplate"); }
 
 /**
  * Apply plugin configuration from openclaw.plugin.json.
- * Called once during {@link register()}.
+ * Called during {@link register()} and again on config hot reload.
  * @param {object} cfg - pluginConfig from OpenClaw API
  */
 export function applyConfig(cfg = {}) {
@@ -73,6 +151,17 @@ export function applyConfig(cfg = {}) {
   if (cfg.memosUserId) _config.memosUserId = cfg.memosUserId;
   if (cfg.memosCubeId) _config.memosCubeId = cfg.memosCubeId;
   if (cfg.internalServiceSecret) _config.internalSecret = cfg.internalServiceSecret;
+  for (const [key, name] of Object.entries(TIMEOUT_KEYS)) {
+    if (cfg.timeouts?.[key] > 0) Timeouts[name] = cfg.timeouts[key];
+  }
+  if (cfg.dedup?.windowMs >= 0) _dedup.windowMs = cfg.dedup.windowMs;
+  if (cfg.dedup?.maxSize > 0) _dedup.maxSize = cfg.dedup.maxSize;
+  _agentScope = cfg.agentScope?.enabled
+    ? {
+        userIdTemplate: cfg.agentScope.userIdTemplate || "{userId}",
+        cubeIdTemplate: cfg.agentScope.cubeIdTemplate || "{cubeId}-{agentId}",
+      }
+    : null;
 }
 
 // ─── Content Hash Deduplication (memU pattern) ──────────────────────
@@ -90,20 +179,22 @@ export function computeContentHash(content, type = "memory") {
 }
 
 const _recentHashes = new Map();  // hash → { count, lastSeen }
-const DEDUP_WINDOW_MS = 300_000;  // 5 minutes
-const DEDUP_MAX_SIZE = 200;       // hard limit — evict oldest on overflow
+const _dedup = {
+  windowMs: 300_000,  // 5 minutes
+  maxSize: 200,       // hard limit — evict oldest on overflow
+};
 
 /** Evict expired entries; if still over limit, drop oldest. */
 function _cleanupHashes() {
-  const cutoff = Date.now() - DEDUP_WINDOW_MS;
+  const cutoff = Date.now() - _dedup.windowMs;
   for (const [key, entry] of _recentHashes) {
     if (entry.lastSeen < cutoff) _recentHashes.delete(key);
   }
   // Hard cap: drop oldest if still over limit
-  if (_recentHashes.size > DEDUP_MAX_SIZE) {
-    const excess = _recentHashes.size - DEDUP_MAX_SIZE;
-    const iter = _recentHashes.keys();
-    for (let i = 0; i < excess; i++) iter.next().value && _recentHashes.delete(iter.next().value);
+  if (_recentHashes.size > _dedup.maxSize) {
+    const excess = _recentHashes.size - _dedup.maxSize;
+    const oldest = [..._recentHashes.keys()].slice(0, excess);
+    for (const key of oldest) _recentHashes.delete(key);
   }
 }
 
@@ -117,7 +208,7 @@ export function isDuplicateMemory(text, type = "memory") {
   if (!text || text.length < 20) return false;
   const hash = computeContentHash(text, type);
   const entry = _recentHashes.get(hash);
-  if (entry && Date.now() - entry.lastSeen < DEDUP_WINDOW_MS) {
+  if (entry && Date.now() - entry.lastSeen < _dedup.windowMs) {
     entry.count++;
     entry.lastSeen = Date.now();
     return true;
@@ -134,19 +225,66 @@ export function markMemoryAdded(text, type = "memory") {
   if (!text || text.length < 20) return;
   const hash = computeContentHash(text, type);
   _recentHashes.set(hash, { count: 1, lastSeen: Date.now() });
-  if (_recentHashes.size > DEDUP_MAX_SIZE) _cleanupHashes();
+  if (_recentHashes.size > _dedup.maxSize) _cleanupHashes();
+}
+
+/**
+ * Forget recently-added hashes (the memories were deleted).
+ * @param {string[]} hashes - Content hashes from `info.content_hash`
+ */
+export function forgetMemoryHashes(hashes) {
+  for (const hash of hashes) _recentHashes.delete(hash);
 }
 
 // ─── HTTP ───────────────────────────────────────────────────────────
 
+const BACKOFF_BASE_MS = 150;
+/** Longest server-requested Retry-After we are willing to wait inline. */
+const MAX_INLINE_RETRY_AFTER_MS = 5_000;
+
 /**
- * Call a MemOS REST endpoint with retries and exponential back-off.
+ * Parse a Retry-After header (delta-seconds or HTTP date) into ms.
+ * @param {string|null} header
+ * @returns {number} 0 when absent or unparseable
+ */
+function _parseRetryAfter(header) {
+  if (!header) return 0;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed call is worth retrying.
+ * Network errors, timeouts, 408, 425, 429 and 5xx are transient;
+ * other 4xx responses are caller errors and will fail the same way again,
+ * as will a response body that is not valid JSON (`code: "BAD_RESPONSE"`).
+ *
+ * @param {Error & { status?: number, code?: string }} err
+ * @returns {boolean}
+ */
+export function isRetryableError(err) {
+  if (err?.code === "BAD_RESPONSE") return false;
+  if (err?.status == null) return true; // network failure or abort
+  const s = err.status;
+  return s === 408 || s === 425 || s === 429 || s >= 500;
+}
+
+/**
+ * Call a MemOS REST endpoint with error-aware retries.
+ *
+ * Retryable failures back off exponentially with full jitter, honouring
+ * Retry-After on 429/503. Non-retryable 4xx errors and malformed response
+ * bodies throw immediately and don't count towards opening the circuit.
+ * Calls to an endpoint whose circuit is open are rejected without a
+ * request (`err.code === "CIRCUIT_OPEN"`).
  *
  * @param {string} endpoint - API path (e.g. "/product/search")
  * @param {object} body     - JSON payload
  * @param {{ retries?: number, timeoutMs?: number }} [opts]
  * @returns {Promise<object>} Parsed JSON response
- * @throws {Error} After all retries are exhausted
+ * @throws {Error} After all retries are exhausted; `err.status` is set for HTTP errors
  */
 export async function callApi(endpoint, body, opts = {}) {
   const { retries = 2, timeoutMs = Timeouts.DEFAULT } = opts;
@@ -157,6 +295,15 @@ export async function callApi(endpoint, body, opts = {}) {
 
   let lastError;
   for (let attempt = 0; attempt <= retries; attempt++) {
+    if (!acquire(endpoint)) {
+      inc("circuit.rejected");
+      if (lastError) throw lastError;
+      const err = new Error(`Circuit open for ${endpoint}`);
+      err.code = "CIRCUIT_OPEN";
+      throw err;
+    }
+
+    let retryAfterMs = 0;
     try {
       const controller = new AbortController();
       const timer = setTimeout(() => controller.abort(), timeoutMs);
@@ -171,14 +318,34 @@ export async function callApi(endpoint, body, opts = {}) {
 
       if (!response.ok) {
         const text = await response.text().catch(() => "");
-        throw new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+        const err = new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+        err.status = response.status;
+        retryAfterMs = _parseRetryAfter(response.headers.get("retry-after"));
+        throw err;
+      }
+      let json;
+      try {
+        json = await response.json();
+      } catch (parseErr) {
+        const err = new Error(`Malformed response from ${endpoint}: ${parseErr.message}`);
+        err.code = "BAD_RESPONSE";
+        throw err;
       }
-      return await response.json();
+      recordSuccess(endpoint);
+      return json;
     } catch (err) {
       lastError = err;
-      if (attempt < retries) {
-        await new Promise((r) => setTimeout(r, 150 * 2 ** attempt));
+      if (!isRetryableError(err)) {
+        release(endpoint);
+        throw err;
       }
+      // A long Retry-After is not worth waiting for inline — open the circuit for that long instead
+      const tooLong = retryAfterMs > MAX_INLINE_RETRY_AFTER_MS;
+      recordFailure(endpoint, { retryAfterMs: tooLong ? retryAfterMs : 0 });
+      if (attempt >= retries || tooLong) break;
+
+      const backoff = Math.random() * BACKOFF_BASE_MS * 2 ** (attempt + 1);
+      await new Promise((r) => setTimeout(r, Math.max(backoff, retryAfterMs)));
     }
   }
   throw lastError;
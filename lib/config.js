@@ -0,0 +1,253 @@
+/**
+ * Plugin Configuration
+ *
+ * Single source of truth for the config schema: the `configSchema` block
+ * of openclaw.plugin.json. This module loads it, validates plugin config
+ * against it with readable error messages, fills in defaults, and polls
+ * for changes so tunables can be hot-reloaded without a gateway restart.
+ *
+ * Hooks read tunables via {@link getConfig} at call time, so a reload
+ * takes effect on the next invocation.
+ *
+ * @module lib/config
+ */
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { LOG_PREFIX } from "./client.js";
+
+/** Manifest `configSchema` — also exported as the plugin's configSchema. */
+export const ConfigSchema = JSON.parse(
+  readFileSync(new URL("../openclaw.plugin.json", import.meta.url), "utf-8"),
+).configSchema;
+
+/**
+ * Keys that only take effect at registration (hooks/tools are registered once).
+ * Changing them on a running gateway logs a restart hint.
+ */
+const RESTART_KEYS = ["contextInjection", "factExtraction", "compactionFlush", "toolTraces", "taskManager", "ticktickSync"];
+
+// ─── Validation ─────────────────────────────────────────────────────
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function _typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema: type, enum,
+ * minimum/maximum, properties, required, additionalProperties, items.
+ *
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path - Dotted path for messages
+ * @param {string[]} errors - Collected messages
+ */
+function _validate(value, schema, path, errors) {
+  const actual = _typeOf(value);
+  const expected = schema.type;
+  const typeOk =
+    !expected ||
+    actual === expected ||
+    (expected === "number" && actual === "integer");
+  if (!typeOk) {
+    errors.push(`${path}: expected ${expected}, got ${actual} (${JSON.stringify(value)})`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (actual === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) {
+        _validate(v, props[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(props);
+        errors.push(`${path}.${key}: unknown option${known.length ? ` (known: ${known.join(", ")})` : ""}`);
+      } else if (typeof schema.additionalProperties === "object") {
+        _validate(v, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => _validate(item, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validate plugin config against {@link ConfigSchema}.
+ * @param {object} cfg
+ * @returns {string[]} Human-readable errors (empty when valid)
+ */
+export function validateConfig(cfg) {
+  const errors = [];
+  _validate(cfg ?? {}, ConfigSchema, "config", errors);
+  // A fixed routed cube would put every agent's memories back in one place
+  if (cfg?.agentScope?.enabled) {
+    for (const key of ["personalCubeId", "ephemeralCubeId"]) {
+      const cubeId = cfg.cubeRouting?.[key];
+      if (typeof cubeId === "string" && !cubeId.includes("{agentId}")) {
+        errors.push(`config.cubeRouting.${key}: must contain {agentId} when agentScope is enabled, got "${cubeId}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+// ─── Defaults ───────────────────────────────────────────────────────
+
+/**
+ * Fill schema defaults into a copy of `value`. Nested objects are created
+ * when their schema declares defaults, so callers can read
+ * `getConfig().retrieval.topK` without null checks.
+ *
+ * @param {any} value
+ * @param {object} schema
+ * @returns {any}
+ */
+function _withDefaults(value, schema) {
+  if (value === undefined && schema.default !== undefined) return structuredClone(schema.default);
+  if (schema.type !== "object" || !schema.properties) return value;
+  if (value !== undefined && _typeOf(value) !== "object") return value;
+
+  const out = { ...(value || {}) };
+  for (const [key, sub] of Object.entries(schema.properties)) {
+    const filled = _withDefaults(out[key], sub);
+    if (filled !== undefined) out[key] = filled;
+  }
+  return value === undefined && Object.keys(out).length === 0 ? undefined : out;
+}
+
+/**
+ * Resolve raw plugin config into a complete config with defaults applied.
+ * Does not validate — call {@link validateConfig} first.
+ * @param {object} [cfg]
+ * @returns {object}
+ */
+export function resolveConfig(cfg = {}) {
+  return _withDefaults(cfg, ConfigSchema) || {};
+}
+
+// ─── Current Config ─────────────────────────────────────────────────
+
+let _current = resolveConfig({});
+
+/**
+ * Current resolved config (defaults applied).
+ * @returns {object}
+ */
+export function getConfig() {
+  return _current;
+}
+
+/**
+ * Validate and install a new config. Throws with every problem listed
+ * when the config is invalid — the previous config stays active.
+ *
+ * @param {object} cfg - Raw plugin config
+ * @returns {object} Resolved config
+ * @throws {Error}
+ */
+export function setConfig(cfg) {
+  const errors = validateConfig(cfg);
+  if (errors.length > 0) {
+    throw new Error(`Invalid plugin config:\n  - ${errors.join("\n  - ")}`);
+  }
+  _current = resolveConfig(cfg);
+  return _current;
+}
+
+// ─── Hot Reload ─────────────────────────────────────────────────────
+
+/**
+ * Parse JSON that may contain comments and trailing commas (openclaw.json style).
+ * @param {string} text
+ * @returns {any}
+ */
+function _parseLooseJson(text) {
+  const stripped = text
+    .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (m, str) => str ?? "")
+    .replace(/("(?:\\.|[^"\\])*")|,(\s*[}\]])/g, (m, str, close) => str ?? close);
+  return JSON.parse(stripped);
+}
+
+/**
+ * Read this plugin's config block straight from the OpenClaw config file.
+ * Path: $OPENCLAW_CONFIG_PATH or ~/.openclaw/openclaw.json.
+ *
+ * @param {string} pluginId
+ * @returns {object|null} null when the file or entry cannot be read
+ */
+export function readPluginConfigFile(pluginId) {
+  const path = process.env.OPENCLAW_CONFIG_PATH || join(homedir(), ".openclaw", "openclaw.json");
+  try {
+    const root = _parseLooseJson(readFileSync(path, "utf-8"));
+    return root?.plugins?.entries?.[pluginId]?.config ?? {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Poll a config source and apply changes.
+ * Invalid configs are rejected with an error log and the running config kept.
+ *
+ * @param {() => object|null} load - Returns the raw plugin config (null = unavailable)
+ * @param {(cfg: object, prev: object) => void} onChange - Called with the new resolved config
+ * @param {number} intervalMs
+ * @returns {() => void} Stop watching
+ */
+export function watchConfig(load, onChange, intervalMs) {
+  const safeLoad = () => {
+    try {
+      return load();
+    } catch {
+      return null;
+    }
+  };
+  let lastRaw = JSON.stringify(safeLoad() ?? null);
+  const timer = setInterval(() => {
+    const raw = safeLoad();
+    if (raw == null) return;
+    const key = JSON.stringify(raw);
+    if (key === lastRaw) return;
+    lastRaw = key;
+
+    const prev = _current;
+    try {
+      setConfig(raw);
+    } catch (err) {
+      console.error(LOG_PREFIX, `Config reload rejected, keeping previous config. ${err.message}`);
+      return;
+    }
+    const needsRestart = RESTART_KEYS.filter((k) => prev[k] !== _current[k]);
+    if (needsRestart.length > 0) {
+      console.warn(LOG_PREFIX, `Config reload: ${needsRestart.join(", ")} take effect after a gateway restart`);
+    }
+    console.log(LOG_PREFIX, "Config reloaded");
+    try {
+      onChange(_current, prev);
+    } catch (err) {
+      console.error(LOG_PREFIX, "Applying reloaded config failed:", err.message);
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
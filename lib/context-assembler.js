@@ -0,0 +1,177 @@
+/**
+ * Token-Budgeted Context Assembler
+ *
+ * Builds the injected `<user_memory_context>` body from all sections
+ * (memories, skills, preferences, tasks) under one token budget.
+ *
+ * Allocation:
+ *   1. every non-empty block is guaranteed `minShare` of the budget
+ *      (or what it needs, if less)
+ *   2. the rest goes to blocks by `priority` (higher first) up to their need
+ *   3. blocks render in priority order; tokens a block leaves unused roll
+ *      over to the next one
+ *
+ * Within a block, entries are added in rank order. An entry that doesn't
+ * fit is cut at a sentence boundary if at least `minItemTokens` remain;
+ * everything after it is replaced by one hint line ("- … 3 more related
+ * memories omitted"). A block that can't fit its header and one entry is
+ * dropped. Tokens are estimated ({@link module:lib/utils.estimateTokens}).
+ *
+ * Blocks keep their given order in the output regardless of priority.
+ *
+ * @module lib/context-assembler
+ */
+import { estimateTokens, truncateAtSentence } from "./utils.js";
+import { renderEntry } from "./search.js";
+
+/**
+ * @typedef {object} ContextBlockInput
+ * @property {string} name - "memories" | "skills" | "preferences" | "tasks"
+ * @property {string} header
+ * @property {import("./search.js").ContextEntry[]} entries - In rank order
+ * @property {string} omittedLabel - e.g. "related memories" → "… 3 more related memories omitted"
+ * @property {number} [omittedExtra=0] - Items already cut before assembly (item caps), counted in the hint
+ */
+
+/**
+ * @typedef {object} BlockBudget
+ * @property {number} [priority=1] - Higher is filled first
+ * @property {number} [minShare=0] - Guaranteed share of the total budget (0–1)
+ */
+
+/**
+ * @typedef {object} AssembledBlock
+ * @property {string} name
+ * @property {number} shown - Entries included (fully or cut)
+ * @property {number} omitted - Entries replaced by the hint
+ * @property {number} tokens - Estimated tokens used
+ */
+
+const SEPARATOR = "\n\n";
+
+/** @param {number} n @param {string} label @returns {string} */
+function _hint(n, label) {
+  return `- … ${n} more ${label} omitted`;
+}
+
+/**
+ * Cut text so it fits `maxTokens`, at a sentence boundary where possible.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+function _truncateToTokens(text, maxTokens) {
+  let tokens = estimateTokens(text);
+  if (tokens <= maxTokens) return text;
+  let maxChars = Math.floor(text.length * maxTokens / tokens);
+  let out = truncateAtSentence(text, maxChars);
+  while (maxChars > 1 && (tokens = estimateTokens(out)) > maxTokens) {
+    maxChars = Math.floor(maxChars * 0.9);
+    out = truncateAtSentence(text, maxChars);
+  }
+  return out;
+}
+
+/**
+ * Render one block within `allowance` tokens.
+ * @param {ContextBlockInput} block
+ * @param {number} allowance
+ * @param {number} minItemTokens
+ * @returns {{ text: string, shown: number, omitted: number, tokens: number }}
+ */
+function _renderBlock(block, allowance, minItemTokens) {
+  const extra = block.omittedExtra || 0;
+  const lines = [block.header];
+  let used = estimateTokens(block.header);
+  let shown = 0;
+
+  for (const [i, entry] of block.entries.entries()) {
+    const remainingAfter = block.entries.length - i - 1 + extra;
+    // Keep room for the hint line if anything would be left out
+    const hintCost = remainingAfter > 0 ? estimateTokens(_hint(remainingAfter + 1, block.omittedLabel)) : 0;
+    const line = renderEntry(entry);
+    const cost = estimateTokens(line);
+    if (used + cost + hintCost <= allowance) {
+      lines.push(line);
+      used += cost;
+      shown++;
+      continue;
+    }
+    // Doesn't fit whole — cut the body if enough room is left
+    const cutHint = estimateTokens(_hint(remainingAfter + 1, block.omittedLabel));
+    const fixed = estimateTokens(entry.prefix + (entry.suffix || ""));
+    const room = allowance - used - fixed - (remainingAfter > 0 ? cutHint : 0);
+    if (room >= minItemTokens) {
+      const cut = renderEntry({ ...entry, text: _truncateToTokens(entry.text, room) });
+      lines.push(cut);
+      used += estimateTokens(cut);
+      shown++;
+    }
+    break;
+  }
+
+  if (shown === 0) return { text: "", shown: 0, omitted: block.entries.length + extra, tokens: 0 };
+  const omitted = block.entries.length - shown + extra;
+  if (omitted > 0) {
+    const hint = _hint(omitted, block.omittedLabel);
+    lines.push(hint);
+    used += estimateTokens(hint);
+  }
+  return { text: lines.join("\n"), shown, omitted, tokens: used };
+}
+
+/**
+ * Assemble all context blocks under a total token budget.
+ *
+ * @param {ContextBlockInput[]} blocks - In output order
+ * @param {{ maxTokens: number, blocks?: Record<string, BlockBudget>, minItemTokens?: number }} opts
+ * @returns {{ text: string, tokens: number, blocks: AssembledBlock[] }}
+ */
+export function assembleContext(blocks, { maxTokens, blocks: budgets = {}, minItemTokens = 24 }) {
+  const present = blocks.filter((b) => b.entries.length > 0);
+  const sepCost = estimateTokens(SEPARATOR);
+  const budget = Math.max(0, maxTokens - sepCost * Math.max(present.length - 1, 0));
+
+  // Full cost of each block if nothing were cut
+  const need = new Map(present.map((b) => [
+    b,
+    estimateTokens(b.header) + b.entries.reduce((sum, e) => sum + estimateTokens(renderEntry(e)), 0)
+      + (b.omittedExtra ? estimateTokens(_hint(b.omittedExtra, b.omittedLabel)) : 0),
+  ]));
+  const cfg = (b) => ({ priority: 1, minShare: 0, ...budgets[b.name] });
+
+  // 1. Guaranteed shares (scaled down if they over-commit the budget)
+  const alloc = new Map(present.map((b) => [b, Math.min(need.get(b), Math.floor(budget * cfg(b).minShare))]));
+  const reserved = [...alloc.values()].reduce((a, b) => a + b, 0);
+  if (reserved > budget) {
+    for (const [b, v] of alloc) alloc.set(b, Math.floor(v * budget / reserved));
+  }
+
+  // 2. Remainder by priority
+  const byPriority = [...present].sort((a, b) => cfg(b).priority - cfg(a).priority);
+  let left = budget - [...alloc.values()].reduce((a, b) => a + b, 0);
+  for (const b of byPriority) {
+    const extra = Math.min(need.get(b) - alloc.get(b), left);
+    alloc.set(b, alloc.get(b) + extra);
+    left -= extra;
+  }
+
+  // 3. Render by priority, rolling unused tokens forward
+  const rendered = new Map();
+  let carry = left;
+  for (const b of byPriority) {
+    const r = _renderBlock(b, alloc.get(b) + carry, minItemTokens);
+    carry = alloc.get(b) + carry - r.tokens;
+    rendered.set(b, r);
+  }
+
+  const parts = [];
+  const summary = [];
+  for (const b of blocks) {
+    const r = rendered.get(b);
+    if (r?.text) parts.push(r.text);
+    summary.push({ name: b.name, shown: r?.shown || 0, omitted: r ? r.omitted : b.entries.length + (b.omittedExtra || 0), tokens: r?.tokens || 0 });
+  }
+  const text = parts.join(SEPARATOR);
+  return { text, tokens: estimateTokens(text), blocks: summary };
+}
@@ -0,0 +1,138 @@
+/**
+ * Multi-Cube Routing
+ *
+ * Config-driven mapping of memory types and scopes to MemOS cubes,
+ * so personal memories stay apart from shared project knowledge on a
+ * shared MemOS instance.
+ *
+ * Write routing (first match wins):
+ *   profile / behavior           → personalCubeId
+ *   tool_trace                   → ephemeralCubeId
+ *   event with info.project      → projectCubes[project] or projectCubeTemplate
+ *   everything else              → memosCubeId
+ *
+ * Read routing: searches span `readCubes` (with per-cube weights), or by
+ * default the main cube + personal cube + explicitly mapped project cubes.
+ *
+ * `personalCubeId`, `ephemeralCubeId` and `readCubes` IDs may contain
+ * `{agentId}` / `{userId}`, expanded per agent (see {@link expandScopedId}).
+ *
+ * @module lib/cube-routing
+ */
+import { expandScopedId, getMemosCubeId, getMemosUserId } from "./client.js";
+
+const PERSONAL_TYPES = new Set(["profile", "behavior"]);
+const EPHEMERAL_TYPES = new Set(["tool_trace"]);
+const PROJECT_TYPES = new Set(["event"]);
+
+/**
+ * @typedef {object} CubeRoutingConfig
+ * @property {string} [personalCubeId]
+ * @property {string} [ephemeralCubeId]
+ * @property {Record<string, string>} [projectCubes] - project name → cube ID
+ * @property {string} [projectCubeTemplate] - e.g. "project-{project}"
+ * @property {Array<{ cubeId: string, weight?: number }>} [readCubes]
+ */
+
+/** @type {CubeRoutingConfig} */
+let _routing = {};
+
+/**
+ * Apply routing rules from plugin config.
+ * @param {CubeRoutingConfig} [cfg]
+ */
+export function configureCubeRouting(cfg = {}) {
+  _routing = { ...cfg };
+}
+
+/**
+ * Normalize a project name into a cube-ID-safe slug.
+ * @param {string} project
+ * @returns {string}
+ */
+function _slug(project) {
+  return String(project).toLowerCase().trim().replace(/[^\p{L}\p{N}_-]+/gu, "-").replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Cube for a project, or null when projects are not routed.
+ * @param {string} project
+ * @returns {string|null}
+ */
+export function resolveProjectCube(project) {
+  if (!project) return null;
+  const mapped = _routing.projectCubes?.[project] || _routing.projectCubes?.[_slug(project)];
+  if (mapped) return mapped;
+  if (_routing.projectCubeTemplate) return _routing.projectCubeTemplate.replace("{project}", _slug(project));
+  return null;
+}
+
+/**
+ * Project names that have an explicit cube mapping.
+ * @returns {string[]}
+ */
+export function getKnownProjects() {
+  return Object.keys(_routing.projectCubes || {});
+}
+
+/**
+ * Pick the writable cube for a memory from its info metadata.
+ * @param {object} [info]
+ * @returns {string}
+ */
+export function resolveWriteCube(info = {}) {
+  const type = info?._type;
+  if (PERSONAL_TYPES.has(type) && _routing.personalCubeId) return expandScopedId(_routing.personalCubeId);
+  if (EPHEMERAL_TYPES.has(type) && _routing.ephemeralCubeId) return expandScopedId(_routing.ephemeralCubeId);
+  if (PROJECT_TYPES.has(type) && info.project) {
+    const cube = resolveProjectCube(info.project);
+    if (cube) return cube;
+  }
+  return getMemosCubeId();
+}
+
+/**
+ * Cubes (and weights) that searches read from.
+ * @param {{ project?: string }} [opts] - Add this project's cube to the default set
+ * @returns {Array<{ cubeId: string, weight: number }>}
+ */
+export function getReadCubes({ project } = {}) {
+  let cubes;
+  if (_routing.readCubes?.length) {
+    cubes = _routing.readCubes.map((c) => ({ cubeId: expandScopedId(c.cubeId), weight: c.weight ?? 1 }));
+  } else {
+    cubes = [{ cubeId: getMemosCubeId(), weight: 1 }];
+    if (_routing.personalCubeId) cubes.push({ cubeId: expandScopedId(_routing.personalCubeId), weight: 1 });
+    for (const cubeId of Object.values(_routing.projectCubes || {})) cubes.push({ cubeId, weight: 1 });
+  }
+
+  const projectCube = resolveProjectCube(project);
+  if (projectCube) cubes.push({ cubeId: projectCube, weight: 1 });
+
+  // Deduplicate, keeping the first (configured) weight
+  const seen = new Set();
+  return cubes.filter((c) => c.cubeId && !seen.has(c.cubeId) && seen.add(c.cubeId));
+}
+
+/**
+ * Key of the active read scope — user plus read-cube set — for state
+ * loaded from the read cubes (tombstones, supersessions), so each agent
+ * loads its own cubes when agent scoping is on.
+ * @returns {string}
+ */
+export function getReadScopeKey() {
+  return `${getMemosUserId()}|${getReadCubes().map((c) => c.cubeId).sort().join(",")}`;
+}
+
+/**
+ * Whether an explicitly requested cube may be searched: one of the read
+ * cubes (for `project`) or the tool-trace cube. Keeps `memos_search`
+ * inside the active agent's cubes when agent scoping is on.
+ * @param {string} cubeId
+ * @param {{ project?: string }} [opts]
+ * @returns {boolean}
+ */
+export function isReadableCube(cubeId, { project } = {}) {
+  if (cubeId && cubeId === expandScopedId(_routing.ephemeralCubeId)) return true;
+  return getReadCubes({ project }).some((c) => c.cubeId === cubeId);
+}
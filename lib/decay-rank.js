@@ -0,0 +1,210 @@
+/**
+ * Recency Decay + Importance Ranking
+ *
+ * Final ordering of text memories before they are filtered and injected:
+ *
+ *   score = relevance × decay × importance × usage
+ *
+ *   relevance  — the LLM reranker's grade (0–3, scaled to 0–1) when present,
+ *                else the incoming rank (backend or lexical order) averaged
+ *                with the backend score relative to the best hit
+ *   decay      — minDecay + (1 − minDecay) · 0.5^(age / halfLife), with a
+ *                per-`_type` half-life (events fade in weeks, profile facts
+ *                over a year). Age counts from the latest of updated_at,
+ *                created_at and `info.last_seen` (dedup re-confirmations).
+ *                Tasks with a due date decay by distance to the due date
+ *                instead, so overdue and imminent tasks rank first.
+ *   importance — `info.importance` (0–1, written at extraction / task
+ *                creation), else the type default; 0.5 is neutral
+ *   usage      — from `info.used_count` / `ignored_count` recorded at
+ *                agent_end ({@link module:lib/usage-tracking}): memories
+ *                the agent keeps using rise, ones injected and ignored
+ *                again and again sink
+ *
+ * Conflicts: memories of the same `_type` whose wording overlaps by at
+ * least `conflictOverlap` are treated as versions of one fact ("uses
+ * Postgres 15" / "uses Postgres 16"); only the newest is kept.
+ *
+ * @module lib/decay-rank
+ */
+import { getMemoryContent, getMemoryKey, getInfo, getRelevance } from "./utils.js";
+import { MemoryTypes, importanceFor } from "./memory-types.js";
+
+const DAY_MS = 86_400_000;
+
+/** Half-lives in days; `default` covers unknown and untyped memories. */
+const DEFAULT_HALF_LIFE_DAYS = {
+  profile: 365,
+  behavior: 180,
+  fact: 90,
+  compaction_summary: 30,
+  event: 14,
+  task: 14,
+  task_update: 14,
+  tool_trace: 3,
+  default: 60,
+};
+
+/**
+ * @typedef {object} DecayRankOptions
+ * @property {Record<string, number>} [halfLifeDays] - `_type` → half-life, merged over the defaults
+ * @property {number} [minDecay=0.2] - Floor of the decay factor, so old but relevant memories survive
+ * @property {number} [importanceWeight=1] - 0 ignores importance; 1 maps importance 0–1 to ×0.5–×1.5
+ * @property {number} [usageWeight=0.3] - 0 ignores usage counts; at most ×(1 ± usageWeight)
+ * @property {number} [conflictOverlap=0.6] - Word overlap at which same-type memories conflict (1 = off)
+ * @property {number} [now=Date.now()]
+ * @property {(mem: object, reason: string) => void} [onDrop] - Called for each superseded older version
+ */
+
+/**
+ * Parse a timestamp as written by the backends or normalizeDate() ("…+0000").
+ * @param {string|undefined} ts
+ * @returns {number} epoch ms, NaN when missing or invalid
+ */
+function _parseTime(ts) {
+  if (!ts || typeof ts !== "string") return NaN;
+  return Date.parse(ts.replace(/([+-]\d{2})(\d{2})$/, "$1:$2"));
+}
+
+/**
+ * When a memory was last written or confirmed.
+ * @param {object} mem
+ * @returns {number} epoch ms, 0 when unknown
+ */
+export function lastTouched(mem) {
+  const meta = mem.metadata || mem;
+  const times = [meta.updated_at, meta.created_at, mem.created_at, getInfo(mem).last_seen]
+    .map(_parseTime)
+    .filter((t) => !Number.isNaN(t));
+  return times.length > 0 ? Math.max(...times) : 0;
+}
+
+/**
+ * Decay factor for one memory.
+ * @param {object} mem
+ * @param {Record<string, number>} halfLives
+ * @param {number} minDecay
+ * @param {number} now
+ * @returns {number} minDecay–1
+ */
+function _decay(mem, halfLives, minDecay, now) {
+  const info = getInfo(mem);
+  const type = info._type || "default";
+  const halfLife = (halfLives[type] ?? halfLives.default) * DAY_MS;
+  if (!(halfLife > 0)) return 1;
+
+  const due = type === MemoryTypes.TASK ? _parseTime(info.due_date) : NaN;
+  let distance;
+  if (!Number.isNaN(due)) {
+    // Overdue counts as due now
+    distance = Math.max(0, due - now);
+  } else {
+    const touched = lastTouched(mem);
+    if (!touched) return 1;
+    distance = Math.max(0, now - touched);
+  }
+  return minDecay + (1 - minDecay) * 0.5 ** (distance / halfLife);
+}
+
+/**
+ * Importance multiplier: 1 + weight · (importance − 0.5).
+ * @param {object} mem
+ * @param {number} weight
+ * @returns {number}
+ */
+function _importanceFactor(mem, weight) {
+  const info = getInfo(mem);
+  const raw = typeof info.importance === "number" ? info.importance : importanceFor(info._type, info);
+  const importance = Math.max(0, Math.min(1, raw));
+  return Math.max(0, 1 + weight * (importance - 0.5));
+}
+
+/**
+ * Usage multiplier: 1 + weight · (2p − 1), where p = (used + 1) / (used + ignored + 2)
+ * (no history → p = 0.5 → neutral).
+ * @param {object} mem
+ * @param {number} weight
+ * @returns {number}
+ */
+function _usageFactor(mem, weight) {
+  const info = getInfo(mem);
+  const used = info.used_count || 0;
+  const ignored = info.ignored_count || 0;
+  const p = (used + 1) / (used + ignored + 2);
+  return Math.max(0, 1 + weight * (2 * p - 1));
+}
+
+/** @param {string} text @returns {Set<string>} */
+function _words(text) {
+  return new Set((text.toLowerCase().match(/[\p{L}\p{N}_.]+/gu) || []).filter((w) => w.length >= 2));
+}
+
+/** Jaccard overlap of two word sets. */
+function _overlap(a, b) {
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Rank memories by relevance × recency decay × importance and drop the older
+ * side of same-type conflicts.
+ *
+ * @param {Array} memories - Text memories (after reranking)
+ * @param {DecayRankOptions} [opts]
+ * @returns {{ memories: Array, superseded: number }}
+ *   Reordered memories and how many conflicting older versions were dropped
+ */
+export function decayRank(memories, opts = {}) {
+  if (!memories || memories.length === 0) return { memories: [], superseded: 0 };
+  const {
+    minDecay = 0.2,
+    importanceWeight = 1,
+    usageWeight = 0.3,
+    conflictOverlap = 0.6,
+    now = Date.now(),
+  } = opts;
+  const halfLives = { ...DEFAULT_HALF_LIFE_DAYS, ...opts.halfLifeDays };
+
+  const maxRelevance = Math.max(...memories.map(getRelevance));
+  const items = memories.map((mem, i) => {
+    const position = 1 / (1 + i * 0.1);
+    const relevance = mem.rerank
+      ? mem.rerank.score / 3
+      : maxRelevance > 0 ? (position + getRelevance(mem) / maxRelevance) / 2 : position;
+    return {
+      mem,
+      i,
+      type: getInfo(mem)._type || "",
+      touched: lastTouched(mem),
+      words: _words(getMemoryContent(mem)),
+      score: relevance
+        * _decay(mem, halfLives, minDecay, now)
+        * _importanceFactor(mem, importanceWeight)
+        * _usageFactor(mem, usageWeight),
+    };
+  });
+
+  // Newer version of a fact wins, regardless of score
+  const dropped = new Set();
+  if (conflictOverlap < 1) {
+    for (const a of items) {
+      if (dropped.has(a)) continue;
+      for (const b of items) {
+        if (a === b || dropped.has(b) || a.type !== b.type) continue;
+        if (b.touched >= a.touched || _overlap(a.words, b.words) < conflictOverlap) continue;
+        // b is older and says nearly the same thing
+        dropped.add(b);
+        opts.onDrop?.(b.mem, `older version of ${getMemoryKey(a.mem)} (${new Date(a.touched).toISOString().slice(0, 10)})`);
+        a.score = Math.max(a.score, b.score);
+      }
+    }
+  }
+
+  const ranked = items
+    .filter((it) => !dropped.has(it))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map((it) => it.mem);
+  return { memories: ranked, superseded: dropped.size };
+}
@@ -0,0 +1,269 @@
+/**
+ * Persistent Deduplication Index
+ *
+ * Cross-restart dedup keyed by `info.content_hash`. The in-process cache in
+ * client.js only remembers recent writes; this module answers "is this fact
+ * already stored?" from a persisted local index (cube + hash → memory ID),
+ * falling back to a filtered backend search on an index miss.
+ *
+ * A re-extracted fact bumps `seen_count` / `last_seen` on the existing
+ * memory instead of creating a new one. The counters are kept in the index
+ * and pushed to the backend via `update()` (for MemOS, a local info overlay).
+ *
+ * In dry-run mode lookups still run but the index is not modified.
+ *
+ * Index file: JSON at `dedup.indexPath` (default ~/.openclaw/memos-dedup-index.json),
+ * capped at `dedup.indexMaxSize` entries (least recently seen evicted).
+ *
+ * @module lib/dedup-index
+ */
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { homedir } from "node:os";
+import { LOG_PREFIX, Timeouts } from "./client.js";
+import { getBackend } from "./backend.js";
+import { inc } from "./stats.js";
+import { isDryRun } from "./dry-run.js";
+import { invalidateSearchCache } from "./search-cache.js";
+import { loadTombstones, isTombstoned } from "./tombstones.js";
+import { getInfo } from "./utils.js";
+
+const DEFAULT_PATH = join(homedir(), ".openclaw", "memos-dedup-index.json");
+const SAVE_DELAY_MS = 1_000;
+
+const _settings = {
+  indexPath: DEFAULT_PATH,
+  indexMaxSize: 5_000,
+  backendLookup: true,
+};
+
+/**
+ * @typedef {object} IndexEntry
+ * @property {string|null} id - Backend memory ID (null if the backend did not return one)
+ * @property {string} cube_id
+ * @property {number} seen_count
+ * @property {string} first_seen - ISO timestamp
+ * @property {string} last_seen - ISO timestamp
+ */
+
+/** @type {Map<string, IndexEntry>|null} "cube:hash" → entry */
+let _index = null;
+let _loading = null;
+let _saveTimer = null;
+
+/**
+ * Apply index settings from plugin config (`dedup` block).
+ * A changed path drops the in-memory index so the next lookup reloads it.
+ * @param {{ indexPath?: string, indexMaxSize?: number, backendLookup?: boolean }} [cfg]
+ */
+export function configureDedupIndex(cfg = {}) {
+  const path = cfg.indexPath || DEFAULT_PATH;
+  if (path !== _settings.indexPath) {
+    _index = null;
+    _loading = null;
+  }
+  _settings.indexPath = path;
+  if (cfg.indexMaxSize > 0) _settings.indexMaxSize = cfg.indexMaxSize;
+  if (typeof cfg.backendLookup === "boolean") _settings.backendLookup = cfg.backendLookup;
+}
+
+/** @returns {Promise<Map<string, IndexEntry>>} */
+async function _load() {
+  if (_index) return _index;
+  if (!_loading) {
+    _loading = (async () => {
+      const index = new Map();
+      try {
+        const data = JSON.parse(await readFile(_settings.indexPath, "utf-8"));
+        for (const [key, entry] of Object.entries(data?.entries || {})) index.set(key, entry);
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.warn(LOG_PREFIX, `Dedup index unreadable, starting empty: ${err.message}`);
+        }
+      }
+      _index = index;
+      return index;
+    })();
+  }
+  return _loading;
+}
+
+/** Write the index (tmp file + rename, so a crash never leaves it half-written). */
+async function _save() {
+  _saveTimer = null;
+  if (!_index) return;
+  const tmp = `${_settings.indexPath}.tmp`;
+  try {
+    await mkdir(dirname(_settings.indexPath), { recursive: true });
+    await writeFile(tmp, JSON.stringify({ version: 1, entries: Object.fromEntries(_index) }), "utf-8");
+    await rename(tmp, _settings.indexPath);
+  } catch (err) {
+    console.warn(LOG_PREFIX, "Dedup index save failed:", err.message);
+  }
+}
+
+/** Coalesce bursts of index changes into one write. */
+function _scheduleSave() {
+  if (_saveTimer) return;
+  _saveTimer = setTimeout(_save, SAVE_DELAY_MS);
+  _saveTimer.unref?.();
+}
+
+/** Drop least recently seen entries beyond the cap. */
+function _evict(index) {
+  if (index.size <= _settings.indexMaxSize) return;
+  const byAge = [...index.entries()].sort((a, b) => a[1].last_seen.localeCompare(b[1].last_seen));
+  for (const [key] of byAge.slice(0, index.size - _settings.indexMaxSize)) index.delete(key);
+}
+
+/**
+ * Index entry for a memory found in a backend search.
+ * @param {object} hit
+ * @param {string} cubeId
+ * @returns {IndexEntry}
+ */
+function _entryFromHit(hit, cubeId) {
+  const info = getInfo(hit);
+  const now = new Date().toISOString();
+  return {
+    id: hit.id || hit.memory_id || null,
+    cube_id: cubeId,
+    seen_count: info.seen_count || 1,
+    first_seen: hit.metadata?.created_at || now,
+    last_seen: info.last_seen || now,
+  };
+}
+
+/**
+ * Look for an already-stored memory with this content hash in the cube.
+ * Checks the local index first; on a miss (and when `lookupBackend`)
+ * runs a backend search filtered on `content_hash`; only a hit carrying that
+ * hash counts. Backend errors are swallowed — the caller just writes the memory.
+ *
+ * @param {string} content - Memory text (search query for the backend lookup)
+ * @param {string} hash - `info.content_hash`
+ * @param {string} cubeId - Cube the memory would be written to
+ * @param {{ lookupBackend?: boolean }} [opts]
+ * @returns {Promise<(IndexEntry & { key: string })|null>}
+ */
+export async function findStoredMemory(content, hash, cubeId, { lookupBackend = true } = {}) {
+  const index = await _load();
+  const key = `${cubeId}:${hash}`;
+  const known = index.get(key);
+  if (known) {
+    inc("dedup.indexHits");
+    return { key, ...known };
+  }
+  if (!lookupBackend || !_settings.backendLookup) return null;
+
+  try {
+    const result = await getBackend().search(
+      { query: content, topK: 1, filter: { content_hash: hash }, cubeIds: [cubeId] },
+      { timeoutMs: Timeouts.SEARCH },
+    );
+    await loadTombstones();
+    const hit = result?.textMemories?.find((m) => getInfo(m).content_hash === hash && !isTombstoned(m));
+    if (!hit) return null;
+
+    const entry = _entryFromHit(hit, cubeId);
+    index.set(key, entry);
+    _evict(index);
+    _scheduleSave();
+    inc("dedup.backendHits");
+    return { key, ...entry };
+  } catch (err) {
+    console.warn(LOG_PREFIX, "Dedup backend lookup failed, writing anyway:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Record a freshly written memory in the index.
+ * @param {string} hash
+ * @param {string} cubeId
+ * @param {string|null} id - Backend memory ID
+ */
+export async function recordStoredMemory(hash, cubeId, id) {
+  if (!hash || !cubeId || isDryRun()) return;
+  const index = await _load();
+  const now = new Date().toISOString();
+  index.set(`${cubeId}:${hash}`, { id: id ?? null, cube_id: cubeId, seen_count: 1, first_seen: now, last_seen: now });
+  _evict(index);
+  _scheduleSave();
+}
+
+/**
+ * A known fact came up again: bump `seen_count` / `last_seen` in the index
+ * and, if the backend supports `update()`, on the stored memory itself.
+ *
+ * @param {IndexEntry & { key: string }} stored - From {@link findStoredMemory}
+ * @returns {Promise<IndexEntry>} Updated entry
+ */
+export async function markSeenAgain(stored) {
+  const index = await _load();
+  const { key, ...prev } = stored;
+  const entry = { ...prev, seen_count: (prev.seen_count || 1) + 1, last_seen: new Date().toISOString() };
+  if (key && !isDryRun()) {
+    index.set(key, entry);
+    _scheduleSave();
+  }
+  inc("dedup.seenAgain");
+
+  const backend = getBackend();
+  if (entry.id && typeof backend.update === "function") {
+    backend
+      .update(entry.id, { info: { seen_count: entry.seen_count, last_seen: entry.last_seen } }, { cubeId: entry.cube_id })
+      .then(() => invalidateSearchCache({ cubeId: entry.cube_id }))
+      .catch((err) => console.warn(LOG_PREFIX, `seen_count update for ${entry.id} failed:`, err.message));
+  }
+  return entry;
+}
+
+/**
+ * {@link markSeenAgain} for a memory matched by other means than its hash —
+ * e.g. extraction's reconcile step judged a new fact a duplicate of it.
+ * Without a `content_hash` on the memory only the backend is updated.
+ *
+ * @param {object} mem - Search hit
+ * @param {string} cubeId - Cube it lives in
+ * @returns {Promise<IndexEntry>}
+ */
+export async function markMemorySeenAgain(mem, cubeId) {
+  const hash = getInfo(mem).content_hash;
+  const key = hash ? `${cubeId}:${hash}` : null;
+  const known = key ? (await _load()).get(key) : null;
+  return markSeenAgain({ key, ...(known || _entryFromHit(mem, cubeId)) });
+}
+
+/**
+ * Drop index entries for forgotten memories, so the same content is
+ * written again (not treated as a duplicate of a deleted memory) if it
+ * comes back.
+ *
+ * @param {{ ids?: string[], hashes?: string[] }} targets - Backend IDs and/or content hashes
+ * @returns {Promise<number>} Entries removed
+ */
+export async function forgetStoredMemories({ ids = [], hashes = [] } = {}) {
+  if (isDryRun()) return 0;
+  const index = await _load();
+  const idSet = new Set(ids.filter(Boolean));
+  const hashSet = new Set(hashes.filter(Boolean));
+  let removed = 0;
+  for (const [key, entry] of index) {
+    if ((entry.id && idSet.has(entry.id)) || hashSet.has(key.slice(key.lastIndexOf(":") + 1))) {
+      index.delete(key);
+      removed++;
+    }
+  }
+  if (removed > 0) _scheduleSave();
+  return removed;
+}
+
+/**
+ * Persist pending index changes now (e.g. before shutdown).
+ * @returns {Promise<void>}
+ */
+export async function flushDedupIndex() {
+  if (_saveTimer) clearTimeout(_saveTimer);
+  await _save();
+}
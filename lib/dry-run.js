@@ -0,0 +1,116 @@
+/**
+ * Dry-Run (Shadow) Mode
+ *
+ * Every hook runs its full pipeline — pre-retrieval decision, search,
+ * rerank, formatting, typed extraction, compaction summarization — but
+ * nothing is written to the memory backend or TickTick and nothing is
+ * injected. What would have happened is appended to a JSONL log instead,
+ * so prompt and threshold changes can be evaluated on real traffic.
+ *
+ * Reads (search, chat completion, ping) still hit the real backend.
+ *
+ * Log format (one record per line):
+ *   { "ts": "...", "kind": "injection" | "injection_skip" | "add" | "update" | "delete" | "outbox" | "ticktick", "agent_id": "...", ... }
+ *
+ * @module lib/dry-run
+ */
+import { appendFile, mkdir } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { homedir } from "node:os";
+import { randomUUID } from "node:crypto";
+import { LOG_PREFIX, getActiveAgentId } from "./client.js";
+
+const DEFAULT_PATH = join(homedir(), ".openclaw", "memos-dry-run.jsonl");
+
+const _settings = {
+  enabled: false,
+  logPath: DEFAULT_PATH,
+};
+
+let _lock = Promise.resolve();
+
+/**
+ * Apply dry-run settings from plugin config.
+ * @param {{ enabled?: boolean, logPath?: string }} [cfg]
+ */
+export function configureDryRun(cfg = {}) {
+  _settings.enabled = cfg.enabled === true;
+  _settings.logPath = cfg.logPath || DEFAULT_PATH;
+}
+
+/** @returns {boolean} true when writes and injection are suppressed */
+export function isDryRun() {
+  return _settings.enabled;
+}
+
+/**
+ * Append a "would have done" record to the dry-run log. Never throws.
+ * @param {string} kind
+ * @param {object} payload
+ * @returns {Promise<void>}
+ */
+export function recordDryRun(kind, payload) {
+  const line = JSON.stringify({
+    ts: new Date().toISOString(),
+    kind,
+    agent_id: getActiveAgentId(),
+    ...payload,
+  }) + "\n";
+  // Chain appends so records land in call order
+  _lock = _lock
+    .then(async () => {
+      await mkdir(dirname(_settings.logPath), { recursive: true });
+      await appendFile(_settings.logPath, line, "utf-8");
+    })
+    .catch((err) => console.warn(LOG_PREFIX, "Dry-run log write failed:", err.message));
+  return _lock;
+}
+
+/**
+ * Wrap a backend so writes are logged instead of sent.
+ * Adds resolve with a synthetic `dry-run-…` ID so callers proceed normally.
+ *
+ * @param {import("./backend.js").MemoryBackend} inner
+ * @returns {import("./backend.js").MemoryBackend}
+ */
+export function createDryRunBackend(inner) {
+  const logAdd = (req) => {
+    const id = `dry-run-${randomUUID()}`;
+    recordDryRun("add", {
+      id,
+      memory: req.messages,
+      tags: req.tags,
+      info: req.info,
+      cube_id: req.cubeId,
+      user_id: req.userId,
+    });
+    return { id };
+  };
+
+  return {
+    name: `${inner.name} (dry-run)`,
+    capabilities: inner.capabilities,
+
+    async add(req) {
+      return logAdd(req);
+    },
+
+    async addBatch(reqs) {
+      return reqs.map(logAdd);
+    },
+
+    search: (req, opts) => inner.search(req, opts),
+    chatComplete: (prompt, opts) => inner.chatComplete(prompt, opts),
+    ping: () => inner.ping(),
+
+    async update(id, patch, opts = {}) {
+      await recordDryRun("update", { id, info: patch?.info, cube_id: opts.cubeId });
+      return { updated: true };
+    },
+
+    async delete(ids, opts = {}) {
+      await recordDryRun("delete", { ids, cube_id: opts.cubeId });
+      return { deleted: ids?.length || 0 };
+    },
+  };
+}
@@ -1,50 +1,85 @@
 /**
- * MemOS Health Check
+ * Backend Health Check
  *
  * Lightweight liveness probe with result caching to avoid
  * hammering the API on every hook invocation.
+ * An open circuit on a core endpoint short-circuits to unhealthy without
+ * probing. An unhealthy → healthy transition kicks off an outbox replay,
+ * and while the backend stays healthy the outbox is replayed every
+ * `health.replayIntervalMs` — writes queued after a transient failure
+ * don't have to wait for an outage or a restart.
  *
  * @module lib/health
  */
-import { getMemosApiUrl } from "./client.js";
+import { LOG_PREFIX } from "./client.js";
+import { getBackend } from "./backend.js";
+import { replayOutbox } from "./outbox.js";
+import { isCircuitOpen } from "./circuit-breaker.js";
 
-const CACHE_TTL_MS = 30_000;
-const PROBE_TIMEOUT_MS = 3_000;
 const MAX_RETRIES = 1;
+/** Endpoints whose open circuit means hooks should stop calling the backend. */
+const CORE_ENDPOINTS = ["/product/search", "/product/add"];
+
+const _settings = {
+  cacheTtlMs: 30_000,
+  replayIntervalMs: 300_000,
+};
 
 let _healthy = true;
 let _checkedAt = 0;
+let _replayTimer = null;
 
-/** Single probe attempt. */
-async function _probe() {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
-  try {
-    const res = await fetch(`${getMemosApiUrl()}/openapi.json`, {
-      method: "HEAD",
-      signal: controller.signal,
-    });
-    clearTimeout(timer);
-    return res.ok;
-  } catch {
-    clearTimeout(timer);
-    return false;
+/**
+ * Apply probe tunables from plugin config and (re)start the periodic
+ * outbox replay (`replayIntervalMs: 0` turns it off).
+ * @param {{ cacheTtlMs?: number, replayIntervalMs?: number }} [cfg]
+ */
+export function configureHealth(cfg = {}) {
+  if (cfg.cacheTtlMs >= 0) _settings.cacheTtlMs = cfg.cacheTtlMs;
+  if (cfg.replayIntervalMs >= 0 && (cfg.replayIntervalMs !== _settings.replayIntervalMs || !_replayTimer)) {
+    _settings.replayIntervalMs = cfg.replayIntervalMs;
+    clearInterval(_replayTimer);
+    _replayTimer = null;
+    if (_settings.replayIntervalMs > 0) {
+      _replayTimer = setInterval(() => {
+        isHealthy()
+          .then((ok) => ok && replayOutbox())
+          .catch((err) => console.warn(LOG_PREFIX, "Periodic outbox replay failed:", err.message));
+      }, _settings.replayIntervalMs);
+      _replayTimer.unref?.();
+    }
   }
 }
 
 /**
- * Returns `true` if the MemOS API is reachable.
- * Result is cached for {@link CACHE_TTL_MS} ms. Retries once on failure.
+ * Returns `true` if the active backend is reachable.
+ * Result is cached for `health.cacheTtlMs` (30s). Retries once on failure.
+ * Returns `false` immediately while a core endpoint's circuit is open.
  */
 export async function isHealthy() {
+  if (isCircuitOpen(CORE_ENDPOINTS)) {
+    _healthy = false;
+    _checkedAt = 0; // re-probe as soon as the circuit cools down
+    return false;
+  }
+
   const now = Date.now();
-  if (now - _checkedAt < CACHE_TTL_MS) return _healthy;
+  if (now - _checkedAt < _settings.cacheTtlMs) return _healthy;
 
-  _healthy = await _probe();
+  const wasHealthy = _healthy;
+  const backend = getBackend();
+  _healthy = await backend.ping();
   if (!_healthy && MAX_RETRIES > 0) {
     await new Promise((r) => setTimeout(r, 500));
-    _healthy = await _probe();
+    _healthy = await backend.ping();
   }
   _checkedAt = now;
+
+  if (_healthy && !wasHealthy) {
+    console.log(LOG_PREFIX, "Backend recovered, replaying outbox");
+    replayOutbox().catch((err) => {
+      console.warn(LOG_PREFIX, "Outbox replay failed:", err.message);
+    });
+  }
   return _healthy;
 }
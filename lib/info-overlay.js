@@ -0,0 +1,114 @@
+/**
+ * Local Info Overlay
+ *
+ * MemOS has no endpoint for changing a stored memory, so bookkeeping
+ * counters (`seen_count` / `last_seen` from dedup, `used_count` /
+ * `ignored_count` / `last_used` from usage tracking) are kept in a local
+ * file keyed by memory ID and merged into search hits' `metadata.info`.
+ * The counters live per gateway: another gateway on the same MemOS
+ * instance keeps its own.
+ *
+ * File: JSON at `memosInfoPath` (default ~/.openclaw/memos-info-overlay.json),
+ * capped at `maxSize` memories (least recently updated evicted).
+ *
+ * @module lib/info-overlay
+ */
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { homedir } from "node:os";
+import { LOG_PREFIX } from "./client.js";
+import { getInfo } from "./utils.js";
+
+const DEFAULT_PATH = join(homedir(), ".openclaw", "memos-info-overlay.json");
+const DEFAULT_MAX_SIZE = 10_000;
+const SAVE_DELAY_MS = 1_000;
+
+/**
+ * @typedef {object} InfoOverlay
+ * @property {(id: string, info: object) => Promise<void>} update - Merge `info` into the memory's overlay
+ * @property {(memories: Array) => Promise<Array>} apply - Merge overlays into search hits (in place)
+ * @property {(ids: string[]) => Promise<void>} forget - Drop overlays of deleted memories
+ */
+
+/**
+ * @param {{ path?: string, maxSize?: number }} [cfg]
+ * @returns {InfoOverlay}
+ */
+export function createInfoOverlay(cfg = {}) {
+  const filePath = cfg.path || DEFAULT_PATH;
+  const maxSize = cfg.maxSize > 0 ? cfg.maxSize : DEFAULT_MAX_SIZE;
+  /** @type {Map<string, { info: object, updated_at: string }>|null} */
+  let _entries = null;
+  let _loading = null;
+  let _saveTimer = null;
+
+  async function load() {
+    if (_entries) return _entries;
+    if (!_loading) {
+      _loading = (async () => {
+        const entries = new Map();
+        try {
+          const data = JSON.parse(await readFile(filePath, "utf-8"));
+          for (const [id, entry] of Object.entries(data?.entries || {})) entries.set(id, entry);
+        } catch (err) {
+          if (err.code !== "ENOENT") console.warn(LOG_PREFIX, `Info overlay unreadable, starting empty: ${err.message}`);
+        }
+        _entries = entries;
+        return entries;
+      })();
+    }
+    return _loading;
+  }
+
+  /** Write the overlay (tmp file + rename, so a crash never leaves it half-written). */
+  async function save() {
+    _saveTimer = null;
+    const tmp = `${filePath}.tmp`;
+    try {
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(tmp, JSON.stringify({ version: 1, entries: Object.fromEntries(_entries) }), "utf-8");
+      await rename(tmp, filePath);
+    } catch (err) {
+      console.warn(LOG_PREFIX, "Info overlay save failed:", err.message);
+    }
+  }
+
+  function scheduleSave() {
+    if (_saveTimer) return;
+    _saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    _saveTimer.unref?.();
+  }
+
+  return {
+    async update(id, info) {
+      const entries = await load();
+      // Re-insert so Map order stays least → most recently updated
+      const prev = entries.get(id);
+      entries.delete(id);
+      entries.set(id, { info: { ...prev?.info, ...info }, updated_at: new Date().toISOString() });
+      for (const key of entries.keys()) {
+        if (entries.size <= maxSize) break;
+        entries.delete(key);
+      }
+      scheduleSave();
+    },
+
+    async apply(memories) {
+      const entries = await load();
+      if (entries.size === 0) return memories;
+      for (const mem of memories) {
+        const entry = entries.get(mem.id || mem.memory_id);
+        if (!entry) continue;
+        mem.metadata = { ...mem.metadata, info: { ...getInfo(mem), ...entry.info } };
+      }
+      return memories;
+    },
+
+    async forget(ids) {
+      const entries = await load();
+      let changed = false;
+      for (const id of ids || []) changed = entries.delete(id) || changed;
+      if (changed) scheduleSave();
+    },
+  };
+}
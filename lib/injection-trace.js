@@ -0,0 +1,161 @@
+/**
+ * Injection Traces
+ *
+ * Structured record of every before_agent_start run, so "why did the agent
+ * see that memory?" can be answered after the fact: pre-retrieval decision,
+ * rewritten queries, raw hits with scores, what each stage dropped and why
+ * (lexical coverage, LLM grade, newer-version conflict, sufficiency
+ * filter), and the final block with its size.
+ *
+ * The last `injectionTrace.size` traces are kept in memory (ring buffer,
+ * newest last) and read by the `memos_explain_injection` tool.
+ *
+ * @module lib/injection-trace
+ */
+import { estimateTokens, getInfo, getMemoryContent, getMemoryKey, getRelevance } from "./utils.js";
+
+const _settings = {
+  enabled: true,
+  size: 20,
+  snippetChars: 160,
+};
+
+/** @type {InjectionTrace[]} oldest first */
+const _traces = [];
+
+/**
+ * @typedef {object} TraceHit
+ * @property {string} key - Backend ID (or content prefix when the hit has none)
+ * @property {string} [type] - `info._type`
+ * @property {number} relevance - Backend score
+ * @property {string} [cube]
+ * @property {string} snippet
+ */
+
+/**
+ * @typedef {object} TraceDrop
+ * @property {"lexical"|"llm_rerank"|"ranking"|"sufficiency"} stage
+ * @property {string} key
+ * @property {string} snippet
+ * @property {string} reason
+ * @property {number} [score] - LLM grade (0–3) for `llm_rerank` drops
+ */
+
+/**
+ * @typedef {object} InjectionTrace
+ * @property {string} at - ISO timestamp
+ * @property {string} agentId
+ * @property {string} sessionKey
+ * @property {string} prompt - First 300 chars
+ * @property {"skip"|"retrieve"|"force"} [decision]
+ * @property {boolean} [postCompaction]
+ * @property {{ query: string, subQueries: string[], entities?: string[] }} [queries]
+ * @property {{ expression: string, from: string|null, to: string|null }} [timeRange]
+ * @property {string[]} [intents]
+ * @property {TraceHit[]} hits - Raw text hits, in search order
+ * @property {TraceDrop[]} dropped
+ * @property {string[]} kept - Keys of the text memories handed to the assembler
+ * @property {number} [pendingTasks]
+ * @property {{ chars: number, tokens: number, blocks: Array<{ name: string, shown: number, omitted: number, tokens: number }>, text: string }} [block]
+ * @property {"injected"|"dry_run"|"skipped"|"unhealthy"|"empty"|"error"} [outcome]
+ * @property {string} [error]
+ * @property {number} [durationMs]
+ */
+
+/**
+ * Apply trace settings from plugin config (`injectionTrace` block).
+ * Shrinking the buffer drops the oldest traces; disabling clears it.
+ * @param {{ enabled?: boolean, size?: number, snippetChars?: number }} [cfg]
+ */
+export function configureInjectionTrace(cfg = {}) {
+  if (typeof cfg.enabled === "boolean") _settings.enabled = cfg.enabled;
+  if (cfg.size >= 1) _settings.size = cfg.size;
+  if (cfg.snippetChars >= 20) _settings.snippetChars = cfg.snippetChars;
+  if (!_settings.enabled) _traces.length = 0;
+  if (_traces.length > _settings.size) _traces.splice(0, _traces.length - _settings.size);
+}
+
+/** @param {object} mem @returns {string} */
+function _snippet(mem) {
+  const text = getMemoryContent(mem).replace(/\s+/g, " ").trim();
+  return text.length > _settings.snippetChars ? text.slice(0, _settings.snippetChars) + "…" : text;
+}
+
+/**
+ * Start a trace for one hook run.
+ * @param {{ prompt: string, agentId: string, sessionKey: string }} init
+ * @returns {InjectionTrace}
+ */
+export function createTrace({ prompt, agentId, sessionKey }) {
+  return {
+    at: new Date().toISOString(),
+    agentId,
+    sessionKey,
+    prompt: (prompt || "").slice(0, 300),
+    hits: [],
+    dropped: [],
+    kept: [],
+  };
+}
+
+/**
+ * Summaries of raw search hits.
+ * @param {Array} memories
+ * @returns {TraceHit[]}
+ */
+export function traceHits(memories) {
+  return (memories || []).map((mem) => {
+    const hit = { key: getMemoryKey(mem), relevance: Math.round(getRelevance(mem) * 1000) / 1000, snippet: _snippet(mem) };
+    const type = getInfo(mem)._type;
+    if (type) hit.type = type;
+    if (mem.cube_id) hit.cube = mem.cube_id;
+    return hit;
+  });
+}
+
+/**
+ * Callback recording memories a stage removed, for `onDrop` options.
+ * @param {InjectionTrace|null} trace
+ * @param {TraceDrop["stage"]} stage
+ * @returns {(mem: object, reason: string, score?: number) => void}
+ */
+export function dropRecorder(trace, stage) {
+  return (mem, reason, score) => {
+    if (!trace) return;
+    const drop = { stage, key: getMemoryKey(mem), snippet: _snippet(mem), reason };
+    if (typeof score === "number") drop.score = score;
+    trace.dropped.push(drop);
+  };
+}
+
+/**
+ * Attach the assembled block.
+ * @param {InjectionTrace} trace
+ * @param {string} text - The injected `<user_memory_context>` block
+ * @param {Array<{ name: string, shown: number, omitted: number, tokens: number }>} blocks
+ */
+export function traceBlock(trace, text, blocks) {
+  trace.block = { chars: text.length, tokens: estimateTokens(text), blocks, text };
+}
+
+/**
+ * Store a finished trace in the ring buffer.
+ * @param {InjectionTrace} trace
+ */
+export function recordTrace(trace) {
+  if (!_settings.enabled) return;
+  _traces.push(trace);
+  if (_traces.length > _settings.size) _traces.shift();
+}
+
+/**
+ * Most recent traces, newest first.
+ * @param {{ last?: number, sessionKey?: string, agentId?: string }} [opts]
+ * @returns {InjectionTrace[]}
+ */
+export function getTraces({ last = 1, sessionKey, agentId } = {}) {
+  return _traces
+    .filter((t) => (!sessionKey || t.sessionKey === sessionKey) && (!agentId || t.agentId === agentId))
+    .slice(-Math.max(1, last))
+    .reverse();
+}
@@ -0,0 +1,156 @@
+/**
+ * Intent Routing
+ *
+ * Classifies what a prompt is asking about so retrieval can target the
+ * typed memories written by typed extraction ({@link module:lib/memory-types}):
+ *
+ *   profile  — "who am I", "what do I prefer"       → profile
+ *   events   — "when did we…", "what happened"      → event, compaction_summary
+ *   behavior — "how do I usually…", "my workflow"   → behavior
+ *   tasks    — "what's on my plate", "мои задачи"   → pending task list
+ *
+ * Rules (EN/RU) run first. When they find nothing, an optional LLM step
+ * (the `intent` job in {@link module:lib/llm}) labels the prompt. A prompt
+ * can carry several intents. Unclassified prompts use the general search
+ * only.
+ *
+ * Non-fatal — LLM failures classify as "no intent".
+ *
+ * @module lib/intent
+ */
+import { LOG_PREFIX } from "./client.js";
+import { complete } from "./llm.js";
+import { MemoryTypes } from "./memory-types.js";
+import { parseJSON } from "./utils.js";
+import { inc } from "./stats.js";
+
+/** @typedef {"profile"|"events"|"behavior"|"tasks"} Intent */
+
+/**
+ * `_type` values searched per intent. `tasks` has none: task reads go
+ * through findTasks() (append-only reconciliation) instead of raw hits.
+ * @type {Record<Intent, string[]>}
+ */
+export const INTENT_TYPES = {
+  profile: [MemoryTypes.PROFILE],
+  events: [MemoryTypes.EVENT, "compaction_summary"],
+  behavior: [MemoryTypes.BEHAVIOR],
+  tasks: [],
+};
+
+const INTENTS = Object.keys(INTENT_TYPES);
+
+/** Prompts shorter than this (in words) never go to the LLM step. */
+const MIN_LLM_WORDS = 4;
+
+/**
+ * Case-insensitive alternation bounded by non-letters (`\b` is ASCII-only,
+ * so it can't delimit Cyrillic words).
+ * @param {string[]} alternatives - Regex fragments
+ * @returns {RegExp}
+ */
+function _phrases(alternatives) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "iu");
+}
+
+/** @type {Record<Intent, RegExp>} */
+const RULES = {
+  profile: _phrases([
+    "who am i", "about me", "what do you know about me",
+    "what do i (?:prefer|like|use|work on)", "my (?:preferences?|profile|background|role|setup|stack)",
+    "what(?:'s| is) my (?:name|job|role|timezone|title)",
+    "кто я", "обо мне", "что ты (?:знаешь|помнишь) обо мне",
+    "что я (?:предпочитаю|люблю|использую)", "мои (?:предпочтения|настройки)", "мой (?:профиль|стек)",
+  ]),
+  events: _phrases([
+    "when did (?:we|i)", "what happened", "what did (?:we|i) (?:decide|do|ship|deploy|change|fix|agree)",
+    "did (?:we|i) (?:ever|already)", "last time (?:we|i)", "history of",
+    "когда (?:мы|я)", "что (?:произошло|случилось|было)", "что (?:мы|я) (?:решили|решил|сделали|сделал|меняли|выкатили|договорились)",
+    "в прошлый раз",
+  ]),
+  behavior: _phrases([
+    "how do i (?:usually|normally|typically|always)", "what do i (?:usually|normally|typically|always)",
+    "my (?:usual|typical|normal) (?:way|workflow|approach|process|routine)", "my (?:workflow|routine|habits?)",
+    "как я (?:обычно|всегда|привык)", "что я обычно", "мой (?:обычный )?(?:подход|процесс|воркфлоу|распорядок)", "мои привычки",
+  ]),
+  tasks: _phrases([
+    "on my plate", "my (?:tasks|todos?|to-dos?|todo list|backlog)", "pending tasks", "open tasks",
+    "what(?:'s| is) (?:left|pending|next)", "what (?:do|should) i (?:need to )?(?:do|work on) (?:next|today|now)",
+    "мои задачи", "какие (?:у меня )?задачи", "список дел",
+    "что (?:мне )?(?:нужно|надо) сделать", "что осталось",
+  ]),
+};
+
+/**
+ * @typedef {object} IntentResult
+ * @property {Intent[]} intents - Empty when nothing matched
+ * @property {"rules"|"llm"|null} source
+ */
+
+/**
+ * Rule-based classification.
+ * @param {string} prompt
+ * @returns {Intent[]}
+ */
+export function matchIntentRules(prompt) {
+  const text = prompt.replace(/[‘’]/g, "'");
+  return INTENTS.filter((intent) => RULES[intent].test(text));
+}
+
+/**
+ * Ask the `intent` LLM job for labels.
+ * @param {string} prompt
+ * @param {number} timeoutMs
+ * @returns {Promise<Intent[]>}
+ */
+async function _classifyWithLlm(prompt, timeoutMs) {
+  const text = await complete("intent", `Classify what this user message asks the assistant to recall. Labels:
+profile  — who the user is, their preferences, role, setup
+events   — what happened or was decided, and when
+behavior — how the user usually works, habits, routines
+tasks    — the user's open tasks / to-dos
+
+Message: "${prompt.slice(0, 500)}"
+
+Return a JSON array of matching labels, [] if none. Example: ["events"]`, {
+    retries: 0,
+    timeoutMs,
+    maxTokens: 20,
+    temperature: 0,
+    json: true,
+  });
+  const parsed = parseJSON(text, "intent labels");
+  if (!Array.isArray(parsed)) return [];
+  return INTENTS.filter((intent) => parsed.includes(intent));
+}
+
+/**
+ * Classify a prompt into retrieval intents.
+ *
+ * @param {string} prompt
+ * @param {{ llm?: boolean, llmTimeoutMs?: number }} [opts]
+ * @returns {Promise<IntentResult>}
+ */
+export async function classifyIntent(prompt, { llm = false, llmTimeoutMs = 5000 } = {}) {
+  const byRules = matchIntentRules(prompt);
+  if (byRules.length > 0) return { intents: byRules, source: "rules" };
+
+  if (!llm || prompt.trim().split(/\s+/).length < MIN_LLM_WORDS) return { intents: [], source: null };
+  try {
+    inc("intent.llm");
+    const byLlm = await _classifyWithLlm(prompt, llmTimeoutMs);
+    return { intents: byLlm, source: byLlm.length > 0 ? "llm" : null };
+  } catch (err) {
+    console.warn(LOG_PREFIX, "Intent classification failed (general search only):", err.message);
+    return { intents: [], source: null };
+  }
+}
+
+/**
+ * `_type` values to search for a set of intents (deduped, in intent order).
+ * @param {Intent[]} intents
+ * @returns {string[]}
+ */
+export function intentTypes(intents) {
+  return [...new Set(intents.flatMap((intent) => INTENT_TYPES[intent] || []))];
+}
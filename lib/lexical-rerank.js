@@ -0,0 +1,165 @@
+/**
+ * Local Lexical Reranker
+ *
+ * LLM-free reranking tier. Each search hit is ranked on four signals:
+ *   lexical   — BM25 of the query terms against the hit (IDF over the candidate set)
+ *   relevance — the backend's own similarity score
+ *   recency   — updated_at / created_at, newest first
+ *   type      — `info._type` weight (profile facts over tool traces, etc.)
+ * and the four rankings are merged with weighted reciprocal rank fusion
+ * ({@link module:lib/utils.fuseRankedLists}). A weight of 0 drops a signal.
+ *
+ * Runs in well under a millisecond for the usual 8–12 candidates, so it can
+ * be the only reranker or a first pass in front of the LLM reranker: when the
+ * top hits already cover most query terms the result is "confident" and the
+ * LLM call can be skipped.
+ *
+ * @module lib/lexical-rerank
+ */
+import { getMemoryContent, getInfo, getRelevance, fuseRankedLists } from "./utils.js";
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/** Function words that would otherwise dominate short memories. */
+const STOPWORDS = new Set([
+  "the", "and", "for", "are", "was", "were", "you", "your", "with", "that", "this",
+  "what", "which", "who", "how", "why", "when", "where", "did", "does", "do", "have",
+  "has", "had", "about", "from", "into", "our", "out", "can", "could", "would", "should",
+  "will", "not", "but", "all", "any", "its", "it's", "there", "their", "them", "they",
+  "then", "than", "some", "just", "also", "use", "used", "we", "me", "my", "is", "be",
+  "to", "of", "in", "on", "or",
+  "и", "в", "во", "на", "не", "что", "как", "это", "по", "из", "за", "для", "то", "ли",
+  "я", "мне",
+  "мы", "вы", "он", "она", "они", "его", "её", "их", "был", "была", "было", "были",
+  "уже", "ещё", "еще", "так", "там", "тут", "где", "когда", "какой", "какая", "какие",
+]);
+
+/** Default `info._type` weights; unknown types count as 1. */
+const DEFAULT_TYPE_WEIGHTS = {
+  profile: 1.2,
+  behavior: 1.1,
+  event: 1,
+  fact: 1,
+  compaction_summary: 1,
+  task: 0.9,
+  task_update: 0.8,
+  tool_trace: 0.6,
+};
+
+/**
+ * @typedef {object} LexicalRerankOptions
+ * @property {{ lexical?: number, relevance?: number, recency?: number, type?: number }} [weights]
+ *   Per-signal RRF weights (defaults 1 / 1 / 0.3 / 0.3)
+ * @property {Record<string, number>} [typeWeights] - `_type` → weight, merged over the defaults
+ * @property {number} [minCoverage=0] - Drop hits covering less than this share of query terms
+ * @property {{ topN?: number, minCoverage?: number }} [llmGate]
+ *   "Confident" when each of the top `topN` hits covers at least `minCoverage` of the query terms
+ * @property {(mem: object, reason: string) => void} [onDrop] - Called for each hit below `minCoverage`
+ */
+
+/**
+ * Lowercase word tokens, stopwords and 1-char tokens removed.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function _tokenize(text) {
+  return ((text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter((t) => t.length >= 2 && !STOPWORDS.has(t));
+}
+
+/** @param {object} mem @returns {number} epoch ms, 0 when unknown */
+function _timestamp(mem) {
+  const meta = mem.metadata || mem;
+  const t = Date.parse(meta.updated_at || meta.created_at || "");
+  return Number.isNaN(t) ? 0 : t;
+}
+
+/**
+ * BM25 score and query-term coverage for every candidate.
+ * @param {string[]} terms - Unique query terms
+ * @param {string[][]} docs - Tokenized candidates
+ * @returns {Array<{ bm25: number, coverage: number }>}
+ */
+function _scoreBm25(terms, docs) {
+  const n = docs.length;
+  const avgLen = docs.reduce((sum, d) => sum + d.length, 0) / (n || 1) || 1;
+  const tfs = docs.map((doc) => {
+    const tf = new Map();
+    for (const t of doc) tf.set(t, (tf.get(t) || 0) + 1);
+    return tf;
+  });
+  const idf = new Map(terms.map((t) => {
+    const df = tfs.filter((tf) => tf.has(t)).length;
+    return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+  }));
+
+  return tfs.map((tf, i) => {
+    let bm25 = 0;
+    let matched = 0;
+    for (const t of terms) {
+      const f = tf.get(t);
+      if (!f) continue;
+      matched++;
+      bm25 += idf.get(t) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * docs[i].length / avgLen));
+    }
+    return { bm25, coverage: terms.length > 0 ? matched / terms.length : 0 };
+  });
+}
+
+/**
+ * Rerank search hits locally.
+ *
+ * @param {string} query - The search query
+ * @param {Array} memories - Text memories from searchMemories()
+ * @param {LexicalRerankOptions} [opts]
+ * @returns {{ memories: Array, confident: boolean }}
+ *   Reordered (and optionally coverage-filtered) hits; `confident` when the
+ *   LLM reranker is unlikely to change the outcome
+ */
+export function lexicalRerank(query, memories, opts = {}) {
+  if (!memories || memories.length === 0) return { memories: [], confident: true };
+
+  const terms = [...new Set(_tokenize(query))];
+  const scores = _scoreBm25(terms, memories.map((m) => _tokenize(getMemoryContent(m))));
+  const typeWeights = { ...DEFAULT_TYPE_WEIGHTS, ...opts.typeWeights };
+  const w = { lexical: 1, relevance: 1, recency: 0.3, type: 0.3, ...opts.weights };
+
+  const items = memories.map((mem, i) => ({
+    mem,
+    i,
+    ...scores[i],
+    relevance: getRelevance(mem),
+    ts: _timestamp(mem),
+    typeWeight: typeWeights[getInfo(mem)._type] ?? 1,
+  }));
+  // Ties keep backend order
+  const rankBy = (field) => [...items].sort((a, b) => b[field] - a[field] || a.i - b.i).map((it) => it.mem);
+
+  const signals = [
+    ["lexical", terms.length > 0 ? rankBy("bm25") : null],
+    ["relevance", rankBy("relevance")],
+    ["recency", rankBy("ts")],
+    ["type", rankBy("typeWeight")],
+  ].filter(([name, list]) => list && w[name] > 0);
+
+  const coverageOf = new Map(items.map((it) => [it.mem, it.coverage]));
+  let ranked = signals.length > 0
+    ? fuseRankedLists(signals.map(([, list]) => list), { weights: signals.map(([name]) => w[name]) })
+    : memories.slice();
+
+  const minCoverage = opts.minCoverage ?? 0;
+  if (minCoverage > 0 && terms.length > 0) {
+    ranked = ranked.filter((m) => {
+      if (coverageOf.get(m) >= minCoverage) return true;
+      opts.onDrop?.(m, `covers ${Math.round(coverageOf.get(m) * 100)}% of query terms (< ${Math.round(minCoverage * 100)}%)`);
+      return false;
+    });
+  }
+
+  const { topN = 3, minCoverage: gateCoverage = 0.5 } = opts.llmGate || {};
+  const top = ranked.slice(0, topN);
+  const confident = terms.length > 0 && top.length > 0 && top.every((m) => coverageOf.get(m) >= gateCoverage);
+
+  return { memories: ranked, confident };
+}
@@ -0,0 +1,219 @@
+/**
+ * LLM Provider Layer
+ *
+ * Routes every LLM job (rerank, extraction, summarize, intent) through a
+ * configurable provider chain instead of always using MemOS
+ * /product/chat/complete, so model choice, temperature and latency can be
+ * tuned per job — e.g. a local llama.cpp / vLLM server for reranking.
+ *
+ * Provider types:
+ *   backend — the active memory backend's chatComplete() (MemOS by default);
+ *             always available under the name "backend"
+ *   openai  — any OpenAI-compatible POST {baseUrl}/chat/completions endpoint
+ *
+ * Each job tries its providers in order; a provider that fails, times out
+ * or has an open circuit is skipped and the next one is tried. Providers
+ * get their own circuit breaker (`llm:<name>`) and may set their own timeout.
+ *
+ * JSON mode: callers that expect JSON pass `json: true`. Providers with
+ * `jsonMode` send `response_format: { type: "json_object" }`; since that
+ * forces an object at the top level, the answer is requested as
+ * `{"result": ...}` and unwrapped, so callers always get the bare JSON text.
+ *
+ * @module lib/llm
+ */
+import { LOG_PREFIX, Timeouts, isRetryableError, loadEnvVar } from "./client.js";
+import { getBackend } from "./backend.js";
+import { acquire, recordSuccess, recordFailure, release } from "./circuit-breaker.js";
+import { inc } from "./stats.js";
+
+/** @typedef {"rerank"|"extraction"|"summarize"|"intent"} LlmJob */
+
+/**
+ * @typedef {object} ProviderConfig
+ * @property {"backend"|"openai"} type
+ * @property {string} [baseUrl] - e.g. "http://127.0.0.1:8080/v1"
+ * @property {string} [model]
+ * @property {string} [apiKey]
+ * @property {string} [apiKeyEnv] - Env var (or ~/.openclaw/.env key) holding the API key
+ * @property {number} [timeoutMs] - Overrides the job timeout for this provider
+ * @property {boolean} [jsonMode=true] - Send response_format json_object when JSON is requested
+ */
+
+/**
+ * @typedef {object} JobConfig
+ * @property {string[]} [providers] - Provider names in fallback order (default: ["backend"])
+ * @property {string} [model] - Overrides the provider model for this job
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ */
+
+const BACKEND_PROVIDER = "backend";
+
+/** @type {Record<string, ProviderConfig>} */
+let _providers = { [BACKEND_PROVIDER]: { type: "backend" } };
+/** @type {Record<string, JobConfig>} */
+let _jobs = {};
+
+/**
+ * Apply provider and job settings from plugin config (`llm` block).
+ * Unknown provider names in a job chain are dropped with a warning.
+ * @param {{ providers?: Record<string, ProviderConfig>, jobs?: Record<string, JobConfig> }} [cfg]
+ */
+export function configureLlm(cfg = {}) {
+  _providers = { [BACKEND_PROVIDER]: { type: "backend" }, ...cfg.providers };
+  _jobs = {};
+  for (const [job, jobCfg] of Object.entries(cfg.jobs || {})) {
+    const chain = (jobCfg.providers || [BACKEND_PROVIDER]).filter((name) => {
+      if (_providers[name]) return true;
+      console.warn(LOG_PREFIX, `LLM job "${job}": unknown provider "${name}" ignored`);
+      return false;
+    });
+    _jobs[job] = { ...jobCfg, providers: chain.length > 0 ? chain : [BACKEND_PROVIDER] };
+  }
+}
+
+/**
+ * Unwrap a `{"result": ...}` JSON-mode answer back to the bare JSON text.
+ * Anything else is returned unchanged (the caller's parser copes with prose).
+ * @param {string} text
+ * @returns {string}
+ */
+function _unwrapResult(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed) && "result" in parsed) {
+      return JSON.stringify(parsed.result);
+    }
+  } catch { /* not JSON — leave as is */ }
+  return text;
+}
+
+/**
+ * Single chat completion against an OpenAI-compatible endpoint.
+ * @param {string} name
+ * @param {ProviderConfig} provider
+ * @param {string} prompt
+ * @param {{ model?: string, temperature?: number, maxTokens?: number, json?: boolean, timeoutMs: number }} opts
+ * @returns {Promise<string>}
+ */
+async function _openaiComplete(name, provider, prompt, { model, temperature, maxTokens, json, timeoutMs }) {
+  if (!provider.baseUrl) throw new Error(`LLM provider "${name}" has no baseUrl`);
+
+  const useJsonMode = json && provider.jsonMode !== false;
+  const body = {
+    model: model || provider.model,
+    messages: [
+      {
+        role: "user",
+        content: useJsonMode
+          ? `${prompt}\n\nRespond with a JSON object of the form {"result": <your answer>}.`
+          : prompt,
+      },
+    ],
+  };
+  if (temperature != null) body.temperature = temperature;
+  if (maxTokens) body.max_tokens = maxTokens;
+  if (useJsonMode) body.response_format = { type: "json_object" };
+
+  const headers = { "Content-Type": "application/json" };
+  const apiKey = provider.apiKey || (provider.apiKeyEnv && loadEnvVar(provider.apiKeyEnv));
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${provider.baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      const err = new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+      err.status = response.status;
+      throw err;
+    }
+    // A garbled body won't parse any better on a retry — fail fast without counting towards the circuit
+    let data;
+    try {
+      data = await response.json();
+    } catch (parseErr) {
+      const err = new Error(`Malformed response from LLM provider "${name}": ${parseErr.message}`);
+      err.code = "BAD_RESPONSE";
+      throw err;
+    }
+    const message = data?.choices?.[0]?.message;
+    if (!message) {
+      const err = new Error(`Malformed response from LLM provider "${name}": no choices[0].message`);
+      err.code = "BAD_RESPONSE";
+      throw err;
+    }
+    const text = message.content ?? "";
+    return useJsonMode ? _unwrapResult(text) : text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run one LLM job through its provider chain.
+ *
+ * @param {LlmJob} job
+ * @param {string} prompt
+ * @param {{ json?: boolean, timeoutMs?: number, retries?: number, maxTokens?: number, temperature?: number }} [opts]
+ *   Caller defaults; job config (`llm.jobs.<job>`) overrides temperature / maxTokens / model
+ * @returns {Promise<string>} Raw response text
+ * @throws {Error} The last provider's error when every provider failed
+ */
+export async function complete(job, prompt, opts = {}) {
+  const jobCfg = _jobs[job] || { providers: [BACKEND_PROVIDER] };
+  const temperature = jobCfg.temperature ?? opts.temperature;
+  const maxTokens = jobCfg.maxTokens ?? opts.maxTokens;
+  const jobTimeoutMs = opts.timeoutMs ?? Timeouts.DEFAULT;
+
+  inc("llm.calls");
+  let lastError;
+  for (const [i, name] of jobCfg.providers.entries()) {
+    const provider = _providers[name];
+    const timeoutMs = provider.timeoutMs ?? jobTimeoutMs;
+    if (i > 0) inc("llm.fallbacks");
+
+    if (provider.type === "backend") {
+      // callApi already runs the MemOS endpoint breaker + retries
+      try {
+        return await getBackend().chatComplete(prompt, { retries: opts.retries ?? 1, timeoutMs, maxTokens, temperature });
+      } catch (err) {
+        lastError = err;
+        console.warn(LOG_PREFIX, `LLM ${job}: provider "${name}" failed: ${err.message}`);
+        continue;
+      }
+    }
+
+    const breakerKey = `llm:${name}`;
+    if (!acquire(breakerKey)) {
+      inc("circuit.rejected");
+      continue;
+    }
+    try {
+      const text = await _openaiComplete(name, provider, prompt, {
+        model: jobCfg.model,
+        temperature,
+        maxTokens,
+        json: opts.json,
+        timeoutMs,
+      });
+      recordSuccess(breakerKey);
+      return text;
+    } catch (err) {
+      lastError = err;
+      if (isRetryableError(err)) recordFailure(breakerKey);
+      else release(breakerKey);
+      console.warn(LOG_PREFIX, `LLM ${job}: provider "${name}" failed: ${err.name === "AbortError" ? `timeout after ${timeoutMs}ms` : err.message}`);
+    }
+  }
+
+  inc("llm.errors");
+  throw lastError || new Error(`LLM ${job}: no provider available`);
+}
@@ -0,0 +1,508 @@
+/**
+ * Agent Memory Tools
+ *
+ * The operations behind the agent-facing memory tools, so the agent can
+ * work with memory directly instead of relying only on what
+ * before_agent_start injects:
+ *
+ *   recallMemories() — `memos_search`: explicit, filtered search
+ *   rememberMemory() — `memos_remember`: store a typed memory now
+ *   forgetMemories() — `memos_forget`: preview, then delete or tombstone
+ *   correctMemory()  — `memos_correct_memory`: write a superseding version
+ *
+ * Results are structured (ID, short ref, timestamps, tags, info) so the
+ * agent can cite or act on a specific memory.
+ *
+ * @module lib/memory-tools
+ */
+import { LOG_PREFIX, computeContentHash, getActiveAgentId, getMemosUserId, markMemoryAdded, forgetMemoryHashes, isRetryableError } from "./client.js";
+import { getBackend } from "./backend.js";
+import { searchMemories } from "./search.js";
+import { addMemoryAwait } from "./memory.js";
+import { findStoredMemory, markSeenAgain, forgetStoredMemories } from "./dedup-index.js";
+import { TOMBSTONE_TYPE, addTombstones } from "./tombstones.js";
+import { correctionInfo, addSupersessions, supersededBy, supersessionChain } from "./supersession.js";
+import { invalidateSearchCache } from "./search-cache.js";
+import { enqueueWrite } from "./outbox.js";
+import { isHealthy } from "./health.js";
+import { isDryRun } from "./dry-run.js";
+import { MemoryTypes, importanceFor, getTagsForType } from "./memory-types.js";
+import { rerankMemories } from "./reranker.js";
+import { isReadableCube, resolveProjectCube, resolveWriteCube } from "./cube-routing.js";
+import { parseTemporalRange, toCreatedAtFilter } from "./temporal.js";
+import { memoryRef } from "./usage-tracking.js";
+import { getMemoryContent, getInfo, getRelevance, fuseRankedLists, generateTaskId } from "./utils.js";
+import { inc, timing } from "./stats.js";
+
+const MAX_TOP_K = 50;
+/** Over-fetch factor when tags / project are matched after the search. */
+const POSTFILTER_OVERFETCH = 3;
+/** How many memories shown by the tools are remembered for a later forget. */
+const SHOWN_MAX = 500;
+
+/**
+ * Memories the tools returned to the agent (searched or just stored), by
+ * ID, so a confirmed `memos_forget` knows each one's cube and content hash.
+ * @type {Map<string, Partial<MemoryRecord>>}
+ */
+const _shown = new Map();
+
+/**
+ * IDs offered by each agent's last `memos_forget` preview; a confirm may
+ * only forget these.
+ * @type {Map<string, Set<string>>}
+ */
+const _forgetPreviews = new Map();
+
+/** @param {Array<Partial<MemoryRecord>>} records */
+function _noteShown(records) {
+  for (const r of records) {
+    if (!r.id) continue;
+    _shown.delete(r.id);
+    _shown.set(r.id, r);
+  }
+  while (_shown.size > SHOWN_MAX) _shown.delete(_shown.keys().next().value);
+}
+
+/**
+ * @typedef {object} MemoryRecord
+ * @property {string|null} id
+ * @property {string} ref - Short ref, as shown in injected context
+ * @property {string} content
+ * @property {string} [type] - `info._type`
+ * @property {string[]} tags
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {string} [cube]
+ * @property {number} relevance
+ * @property {{ score: number, reason?: string }} [rerank]
+ * @property {string} [superseded_by] - ID of the correction that replaced it (history searches only)
+ * @property {object} info
+ */
+
+/**
+ * Structured view of a search hit for tool output.
+ * @param {object} mem
+ * @returns {MemoryRecord}
+ */
+export function describeMemory(mem) {
+  const meta = mem.metadata || mem;
+  const info = getInfo(mem);
+  const record = {
+    id: mem.id || mem.memory_id || null,
+    ref: memoryRef(mem),
+    content: getMemoryContent(mem),
+    tags: meta.tags || mem.tags || [],
+    created_at: meta.created_at || mem.created_at || null,
+    updated_at: meta.updated_at || null,
+    relevance: Math.round(getRelevance(mem) * 1000) / 1000,
+    info,
+  };
+  if (info._type) record.type = info._type;
+  if (mem.cube_id) record.cube = mem.cube_id;
+  if (mem.rerank) record.rerank = mem.rerank;
+  const newer = supersededBy(mem);
+  if (newer) record.superseded_by = newer;
+  return record;
+}
+
+/**
+ * Resolve the tool's date arguments into a range.
+ * `when` is a natural expression ("last week", "с января"); `since` /
+ * `until` are dates and override its bounds.
+ * @param {{ when?: string, since?: string, until?: string }} args
+ * @returns {{ from: Date|null, to: Date|null, expression: string }|null}
+ * @throws {Error} On unparseable input
+ */
+function _dateRange({ when, since, until }) {
+  let range = null;
+  if (when) {
+    range = parseTemporalRange(when);
+    if (!range) throw new Error(`could not understand when="${when}" (try "last week", "since March", "2026-01-15")`);
+  }
+  const parse = (value, name) => {
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw new Error(`${name} must be a date (YYYY-MM-DD or ISO), got "${value}"`);
+    return d;
+  };
+  if (since || until) {
+    range = {
+      from: since ? parse(since, "since") : range?.from ?? null,
+      to: until ? parse(until, "until") : range?.to ?? null,
+      expression: [when, since && `since ${since}`, until && `until ${until}`].filter(Boolean).join(", "),
+    };
+  }
+  return range;
+}
+
+/**
+ * Explicit memory search for the `memos_search` tool.
+ *
+ * Several `types` run one `_type`-filtered search each, fused by rank.
+ * `tags` (all must match) and `project` are matched on the hits, with an
+ * over-fetch; the date range goes to the backend as a `created_at` filter.
+ * An explicit `cube` must be one of the agent's read cubes.
+ *
+ * @param {{ query: string, types?: string[], tags?: string[], when?: string, since?: string, until?: string,
+ *   project?: string, cube?: string, top_k?: number, rerank?: boolean, include_superseded?: boolean }} params
+ * @returns {Promise<{ count: number, results: MemoryRecord[], time_range?: object } | { error: string }>}
+ */
+export async function recallMemories(params = {}) {
+  const query = (params.query || "").trim();
+  if (!query) return { error: "query is required" };
+  const topK = Math.min(Math.max(1, params.top_k || 10), MAX_TOP_K);
+  const tags = (params.tags || []).filter(Boolean);
+  const types = [...new Set((params.types || []).filter(Boolean))];
+  if (params.cube && !isReadableCube(params.cube, { project: params.project })) {
+    return { error: `cube "${params.cube}" is not one of the cubes this agent reads from` };
+  }
+
+  let range;
+  try {
+    range = _dateRange(params);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const postFilter = tags.length > 0 || !!params.project;
+  const fetchK = postFilter ? Math.min(topK * POSTFILTER_OVERFETCH, MAX_TOP_K) : topK;
+  const baseFilter = range ? { created_at: toCreatedAtFilter(range) } : {};
+  const opts = {
+    project: params.project,
+    cubes: params.cube ? [{ cubeId: params.cube }] : undefined,
+    includeSuperseded: !!params.include_superseded,
+  };
+
+  inc("tools.search");
+  const t0 = Date.now();
+  let memories;
+  try {
+    if (types.length <= 1) {
+      const filter = types.length ? { ...baseFilter, _type: types[0] } : baseFilter;
+      const result = await searchMemories(query, fetchK, { ...opts, filter: Object.keys(filter).length ? filter : undefined });
+      memories = result.textMemories;
+    } else {
+      const results = await Promise.all(types.map((type) =>
+        searchMemories(query, fetchK, { ...opts, filter: { ...baseFilter, _type: type } }),
+      ));
+      memories = fuseRankedLists(results.map((r) => r.textMemories));
+    }
+  } catch (err) {
+    inc("search.errors");
+    console.warn(LOG_PREFIX, "memos_search failed:", err.message);
+    return { error: `search failed: ${err.message}` };
+  } finally {
+    timing("search", Date.now() - t0);
+  }
+
+  if (tags.length > 0) {
+    memories = memories.filter((m) => {
+      const own = (m.metadata || m).tags || m.tags || [];
+      return tags.every((t) => own.includes(t));
+    });
+  }
+  if (params.project) {
+    const projectCube = resolveProjectCube(params.project);
+    memories = memories.filter((m) => getInfo(m).project === params.project || (projectCube && m.cube_id === projectCube));
+  }
+
+  if (params.rerank && memories.length > 0) {
+    memories = await rerankMemories(query, memories);
+  }
+
+  const results = memories.slice(0, topK).map(describeMemory);
+  _noteShown(results);
+  const out = { count: results.length, results };
+  if (range) {
+    out.time_range = { expression: range.expression, from: range.from?.toISOString() ?? null, to: range.to?.toISOString() ?? null };
+  }
+  return out;
+}
+
+/**
+ * Store a memory the agent was explicitly asked to keep (`memos_remember`).
+ *
+ * Written right away (not batched into the next extraction run) with the
+ * type's base tags, `info.source = "agent_tool"` and an importance (given,
+ * else the type default). Content already stored in the target cube — same
+ * `content_hash` — is not written again; the existing memory's
+ * `seen_count` is bumped and its ID returned. When the backend is down the
+ * write goes to the outbox and no ID is returned yet.
+ *
+ * @param {{ content: string, type?: string, tags?: string[], importance?: number, project?: string }} params
+ * @returns {Promise<{ status: "saved"|"duplicate"|"queued", id: string|null, type: string, cube: string, importance: number, dry_run?: boolean } | { error: string }>}
+ */
+export async function rememberMemory(params = {}) {
+  const content = (params.content || "").trim();
+  if (!content) return { error: "content is required" };
+  const type = params.type || MemoryTypes.FACT;
+  if (!Object.values(MemoryTypes).includes(type)) {
+    return { error: `type must be one of: ${Object.values(MemoryTypes).join(", ")}` };
+  }
+  if (params.importance != null && !(params.importance >= 0 && params.importance <= 1)) {
+    return { error: "importance must be between 0 and 1" };
+  }
+
+  // Same shape as extracted tasks, so memos_list_tasks picks it up
+  const text = type === MemoryTypes.TASK && !content.startsWith("TASK:") ? `TASK: ${content}` : content;
+  const info = { _type: type, source: "agent_tool" };
+  if (params.project) info.project = params.project;
+  if (type === MemoryTypes.TASK) {
+    info.task_id = generateTaskId();
+    info.task_status = "pending";
+    info.title = content;
+  }
+  info.importance = params.importance ?? importanceFor(type, info);
+  info.content_hash = computeContentHash(text, type);
+  const tags = getTagsForType(type, (params.tags || []).filter(Boolean));
+
+  inc("tools.remember");
+  try {
+    return { ...(await _storeMemory(text, tags, info, "memos_remember")), type, importance: info.importance };
+  } catch (err) {
+    return { error: `could not store memory: ${err.message}` };
+  }
+}
+
+/**
+ * Write a memory now: dedup by `content_hash` (unless `dedup` is false),
+ * then the backend, else the outbox.
+ * @param {string} text
+ * @param {string[]} tags
+ * @param {object} info - Must carry `_type` and `content_hash`
+ * @param {string} tool - For log lines
+ * @param {{ dedup?: boolean }} [opts]
+ * @returns {Promise<{ status: "saved"|"duplicate"|"queued", id: string|null, cube: string, dry_run?: boolean, message?: string }>}
+ * @throws {Error} When the backend rejects the write (non-retryable) or the outbox cannot be written
+ */
+async function _storeMemory(text, tags, info, tool, { dedup = true } = {}) {
+  const cube = resolveWriteCube(info);
+  const base = { cube };
+  if (isDryRun()) base.dry_run = true;
+
+  const healthy = await isHealthy();
+  const stored = dedup ? await findStoredMemory(text, info.content_hash, cube, { lookupBackend: healthy }) : null;
+  if (stored) {
+    await markSeenAgain(stored);
+    _noteShown([{ id: stored.id, cube, content: text, info }]);
+    return { status: "duplicate", id: stored.id, ...base };
+  }
+
+  if (healthy) {
+    try {
+      const id = await addMemoryAwait(text, tags, info);
+      markMemoryAdded(text, info._type);
+      _noteShown([{ id, cube, content: text, info }]);
+      console.log(LOG_PREFIX, `${tool}: saved ${info._type} memory ${id ?? "(no id)"}`);
+      return { status: "saved", id, ...base };
+    } catch (err) {
+      if (!isRetryableError(err)) throw err;
+      console.warn(LOG_PREFIX, `${tool}: write failed, queued to outbox: ${err.message}`);
+    }
+  }
+  await enqueueWrite(text, tags, info, { userId: getMemosUserId(), cubeId: cube });
+  markMemoryAdded(text, info._type);
+  return { status: "queued", id: null, ...base, message: "Backend unavailable — saved to the outbox, will be written on recovery" };
+}
+
+/**
+ * A memory the tools showed this agent, in a cube it reads — the only kind
+ * `memos_forget` and `memos_correct_memory` act on (its cube and content
+ * hash are known, and it is not another agent's).
+ * @param {string} id
+ * @returns {Partial<MemoryRecord>|null}
+ */
+function _knownMemory(id) {
+  const record = _shown.get(id);
+  if (!record?.cube || !isReadableCube(record.cube, { project: record.info?.project })) return null;
+  return record;
+}
+
+/**
+ * Forget memories (`memos_forget`), in two calls:
+ *
+ *   1. `query` and/or `ids` without `confirm` — returns the candidates
+ *      for the agent to show the user; nothing is changed
+ *   2. `ids` with `confirm: true` — deletes them through the backend, or
+ *      writes a `memory_tombstone` record per ID that retrieval excludes
+ *      (`mode: "tombstone"`, or a backend without delete)
+ *
+ * Only memories the tools returned to this agent are candidates — their
+ * cube and content hash must be known — and a confirm only acts on IDs
+ * from the agent's last preview; other IDs come back in `not_forgotten`.
+ *
+ * Either way the memories' entries in the dedup index and the recent-hash
+ * cache are dropped (the same content, if it comes back, is stored anew
+ * rather than treated as a duplicate of a forgotten memory) and the search
+ * cache is cleared.
+ *
+ * @param {{ ids?: string[], query?: string, types?: string[], top_k?: number, confirm?: boolean, reason?: string }} params
+ * @param {{ mode?: "delete"|"tombstone" }} [opts] - `forget` config block
+ * @returns {Promise<object>}
+ */
+export async function forgetMemories(params = {}, { mode = "delete" } = {}) {
+  const ids = [...new Set((params.ids || []).filter(Boolean))];
+  const agentKey = getActiveAgentId() ?? "default";
+
+  if (!params.confirm) {
+    if (!params.query && ids.length === 0) return { error: "give a query or ids to find the memories to forget" };
+    const candidates = [];
+    const unknown = [];
+    for (const id of ids) {
+      const record = _knownMemory(id);
+      if (record) candidates.push(record);
+      else unknown.push(id);
+    }
+    if (params.query) {
+      const found = await recallMemories({ query: params.query, types: params.types, top_k: params.top_k || 5 });
+      if (found.error) return found;
+      for (const r of found.results) if (!ids.includes(r.id) && _knownMemory(r.id)) candidates.push(r);
+    }
+    _forgetPreviews.set(agentKey, new Set(candidates.map((r) => r.id)));
+    const out = {
+      confirm_required: true,
+      count: candidates.length,
+      candidates,
+      message: candidates.length > 0
+        ? "Nothing was forgotten yet. Show these to the user, then call memos_forget with confirm: true and the ids they chose."
+        : "No matching memories found.",
+    };
+    if (unknown.length > 0) {
+      out.unknown_ids = unknown;
+      out.message += " Unknown ids can't be forgotten — find them with memos_search or a query first.";
+    }
+    return out;
+  }
+
+  if (ids.length === 0) return { error: "confirm: true needs the ids to forget (from the candidate list)" };
+  const preview = _forgetPreviews.get(agentKey) || new Set();
+  /** @type {Array<{ id: string, reason: string }>} */
+  const notForgotten = [];
+  const records = [];
+  for (const id of ids) {
+    const record = preview.has(id) ? _knownMemory(id) : null;
+    if (record) records.push(record);
+    else notForgotten.push({ id, reason: preview.has(id) ? "no longer known here" : "not in the last memos_forget preview" });
+  }
+  if (records.length === 0) {
+    return { error: "none of these ids were in the last memos_forget preview — call it without confirm first", not_forgotten: notForgotten };
+  }
+
+  const backend = getBackend();
+  const tombstone = mode === "tombstone" || typeof backend.delete !== "function";
+  const forgetIds = records.map((r) => r.id);
+
+  try {
+    if (tombstone) {
+      const now = new Date().toISOString();
+      await Promise.all(records.map((r) => {
+        const info = { _type: TOMBSTONE_TYPE, target_id: r.id, target_cube: r.cube, forgotten_at: now };
+        if (params.reason) info.reason = params.reason;
+        return addMemoryAwait(`Forgotten memory ${r.id}`, ["tombstone"], info);
+      }));
+      if (!isDryRun()) addTombstones(forgetIds);
+    } else {
+      /** @type {Map<string, string[]>} cube → IDs */
+      const byCube = new Map();
+      for (const r of records) byCube.set(r.cube, [...(byCube.get(r.cube) || []), r.id]);
+      for (const [cubeId, cubeIds] of byCube) await backend.delete(cubeIds, { cubeId });
+    }
+  } catch (err) {
+    console.warn(LOG_PREFIX, "memos_forget failed:", err.message);
+    return { error: `could not forget: ${err.message}` };
+  }
+
+  const hashes = records.map((r) => r.info?.content_hash).filter(Boolean);
+  await forgetStoredMemories({ ids: forgetIds, hashes });
+  forgetMemoryHashes(hashes);
+  invalidateSearchCache();
+  for (const id of forgetIds) _shown.delete(id);
+  _forgetPreviews.delete(agentKey);
+
+  inc("tools.forgotten", forgetIds.length);
+  console.log(LOG_PREFIX, `memos_forget: ${tombstone ? "tombstoned" : "deleted"} ${forgetIds.length} memories`);
+  const out = { status: tombstone ? "tombstoned" : "deleted", count: forgetIds.length, ids: forgetIds };
+  if (notForgotten.length > 0) out.not_forgotten = notForgotten;
+  if (isDryRun()) out.dry_run = true;
+  return out;
+}
+
+/**
+ * Replace a memory with a corrected version (`memos_correct_memory`).
+ *
+ * The old memory is kept; the new one is written with
+ * {@link correctionInfo} (`supersedes` = old ID) and the old one's type,
+ * tags, project and importance, so retrieval shows only the new version
+ * and `memos_search` with `include_superseded` shows the history. Only
+ * memories the tools showed this agent, in a cube it reads, can be corrected.
+ *
+ * @param {{ id: string, content: string, type?: string, reason?: string }} params
+ * @returns {Promise<{ status: string, id: string|null, supersedes: string, chain: string[] } | { error: string }>}
+ */
+export async function correctMemory(params = {}) {
+  const content = (params.content || "").trim();
+  if (!params.id || !content) return { error: "id and content are required" };
+  const old = _knownMemory(params.id);
+  if (!old) return { error: `memory ${params.id} is unknown here — find it with memos_search first` };
+  const type = old.info?._type || old.type || params.type;
+  if (!type) return { error: `memory ${params.id} has no type — pass its type` };
+  if (old.content && computeContentHash(old.content, type) === computeContentHash(content, type)) {
+    return { error: "the corrected content is the same as the stored memory" };
+  }
+
+  const info = {
+    _type: type,
+    source: "agent_tool",
+    ...correctionInfo(old, { reason: params.reason }),
+  };
+  if (old.info.project) info.project = old.info.project;
+  info.importance = old.info.importance ?? importanceFor(type, info);
+  info.content_hash = computeContentHash(content, type);
+  const tags = old.tags?.length ? old.tags : getTagsForType(type);
+
+  inc("tools.corrected");
+  let stored;
+  try {
+    // A correction is always written, even if the same text exists elsewhere
+    stored = await _storeMemory(content, tags, info, "memos_correct_memory", { dedup: false });
+  } catch (err) {
+    return { error: `could not store correction: ${err.message}` };
+  }
+  if (!stored.dry_run) {
+    addSupersessions([{ id: stored.id, hash: info.content_hash, supersedes: info.supersedes, supersedes_hash: info.supersedes_hash }]);
+  }
+  return { ...stored, type, supersedes: params.id, chain: supersessionChain(stored.id || info.content_hash) };
+}
+
+/** Share of `statement`'s words a stored memory must contain to be the one it replaces. */
+const MIN_REPLACED_OVERLAP = 0.6;
+
+/** @param {string} text @returns {Set<string>} */
+function _words(text) {
+  return new Set((text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter((w) => w.length >= 2));
+}
+
+/**
+ * Find the stored memory an extracted correction replaces.
+ * @param {string} statement - The old fact as the extractor phrased it
+ * @param {string} type - Memory type to search
+ * @returns {Promise<object|null>} The best same-type hit covering most of the statement's words
+ */
+export async function findReplacedMemory(statement, type) {
+  const words = _words(statement);
+  if (words.size === 0) return null;
+  const { textMemories } = await searchMemories(statement, 3, { filter: { _type: type } });
+  let best = null;
+  let bestScore = MIN_REPLACED_OVERLAP;
+  for (const mem of textMemories) {
+    const own = _words(getMemoryContent(mem));
+    let shared = 0;
+    for (const w of words) if (own.has(w)) shared++;
+    const score = shared / words.size;
+    if (score >= bestScore) {
+      best = mem;
+      bestScore = score;
+    }
+  }
+  return best;
+}
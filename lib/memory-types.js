@@ -44,7 +44,9 @@ RULES:
 - Use "The user" to refer to the user
 - Each fact must be self-contained and understandable alone
 - Keep each fact under 30 words
-- Return JSON array of strings. Empty array [] if nothing.
+- If the user says an earlier fact is no longer true (moved, changed jobs, switched tools), return
+  {"fact": "<the new fact>", "replaces": "<the old fact, phrased the same way>"} instead of a string
+- Return JSON array of strings (or objects as above). Empty array [] if nothing.
 
 Max 3 facts.
 
@@ -72,7 +74,9 @@ RULES:
 - Focus on "typically", "usually", "always" behaviors
 - Each pattern must be actionable and reusable
 - Keep each under 50 words
-- Return JSON array of strings. Empty array [] if nothing.
+- If the user says they stopped an earlier habit or changed how they work, return
+  {"fact": "<the new pattern>", "replaces": "<the old pattern, phrased the same way>"} instead of a string
+- Return JSON array of strings (or objects as above). Empty array [] if nothing.
 
 Max 3 patterns.
 
@@ -181,6 +185,57 @@ Conversation:
 {conversation}`,
 };
 
+/**
+ * Compare a newly extracted profile / behavior fact with similar stored
+ * ones (see reconcileWithStored() in typed-extraction.js).
+ */
+export const FactReconcilePrompt = `You compare a NEW fact about the user with EXISTING stored facts.
+
+For each existing fact decide its relation to the new one:
+- "duplicate": says the same thing (wording may differ)
+- "refinement": same subject, the new fact adds detail and both are true together
+- "contradiction": same subject, both cannot be true now (the new fact replaces the old)
+- "unrelated": different subject
+
+NEW fact:
+{fact}
+
+EXISTING facts:
+{existing}
+
+Return JSON array, one object per existing fact:
+[{"index": 1, "relation": "duplicate|refinement|contradiction|unrelated", "merged": "for refinement only: one fact combining both, under 40 words"}]`;
+
+/**
+ * Default importance (0–1) per memory type, stored as `info.importance` on
+ * write and used by the ranking stage for memories written without one.
+ */
+export const DEFAULT_IMPORTANCE = {
+  [MemoryTypes.PROFILE]: 0.8,
+  [MemoryTypes.BEHAVIOR]: 0.7,
+  [MemoryTypes.EVENT]: 0.6,
+  [MemoryTypes.FACT]: 0.5,
+  [MemoryTypes.TASK]: 0.5,
+  compaction_summary: 0.6,
+  tool_trace: 0.3,
+};
+
+/** Task priority → importance. */
+const PRIORITY_IMPORTANCE = { P0: 1, P1: 0.8, P2: 0.5, P3: 0.3 };
+
+/**
+ * Importance of a memory of `type` (task priority counts for tasks).
+ * @param {string} type - Memory type (`info._type`)
+ * @param {{ priority?: string }} [info]
+ * @returns {number} 0–1
+ */
+export function importanceFor(type, info = {}) {
+  if (type === MemoryTypes.TASK && PRIORITY_IMPORTANCE[info.priority] != null) {
+    return PRIORITY_IMPORTANCE[info.priority];
+  }
+  return DEFAULT_IMPORTANCE[type] ?? 0.5;
+}
+
 /**
  * Get tags for a memory type
  * @param {string} type - Memory type
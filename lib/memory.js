@@ -1,38 +1,100 @@
 /**
  * MemOS Memory Persistence
  *
- * Write-path helpers for adding memories to MemOS.
- * Provides both fire-and-forget and awaitable variants.
+ * Write-path helpers for adding memories through the active backend.
+ * Provides fire-and-forget, awaitable and durable variants.
+ * Durable writes fall back to the on-disk outbox when the backend is
+ * unhealthy or the write fails with a transient error, and are replayed on
+ * recovery. They also skip content that is already stored
+ * (see {@link module:lib/dedup-index}).
  *
  * @module lib/memory
  */
-import { callApi, getMemosUserId, getMemosCubeId, Timeouts, LOG_PREFIX, computeContentHash } from "./client.js";
+import { Timeouts, LOG_PREFIX, computeContentHash, getMemosUserId, isRetryableError } from "./client.js";
+import { enqueueAdd } from "./write-batcher.js";
+import { resolveWriteCube } from "./cube-routing.js";
+import { isHealthy } from "./health.js";
+import { enqueueWrite } from "./outbox.js";
+import { findStoredMemory, recordStoredMemory, markSeenAgain } from "./dedup-index.js";
 
 /**
  * Add a memory — fire-and-forget.
- * Failures are logged but never propagated.
+ * Failed writes are journaled to the outbox; rejected writes and journal
+ * errors are logged.
  *
  * @param {string} content
  * @param {string[]} [tags]
  * @param {object} [info] - Structured metadata (stored in MemOS info field, all keys searchable via filter)
  */
 export function addMemory(content, tags = [], info = undefined) {
-  addMemoryAwait(content, tags, info).catch((err) => {
+  addMemoryDurable(content, tags, info).catch((err) => {
     console.warn(LOG_PREFIX, "addMemory (async) failed:", err.message);
   });
 }
 
+/**
+ * Add a memory — durable version.
+ * Content already stored in the target cube (same `content_hash`, found in
+ * the persisted dedup index or by a filtered backend search) is not written
+ * again; the existing memory's `seen_count` / `last_seen` are bumped instead.
+ * Otherwise writes immediately when the backend is healthy, or (when
+ * unhealthy or the write fails with a retryable error) journals it to the
+ * outbox for replay on recovery. Throws when the backend rejects the write
+ * outright (non-retryable, e.g. a 4xx validation error — replaying it would
+ * fail the same way) or the journal itself cannot be written.
+ *
+ * @param {string} content
+ * @param {string[]} [tags]
+ * @param {object} [info] - Structured metadata
+ * @returns {Promise<"saved"|"queued"|"duplicate">}
+ */
+export async function addMemoryDurable(content, tags = [], info = undefined) {
+  const mergedInfo = {
+    content_hash: computeContentHash(content, info?._type || "memory"),
+    ...info,
+  };
+  const healthy = await isHealthy();
+
+  const stored = await findStoredMemory(content, mergedInfo.content_hash, resolveWriteCube(mergedInfo), {
+    lookupBackend: healthy,
+  });
+  if (stored) {
+    await markSeenAgain(stored);
+    return "duplicate";
+  }
+
+  if (healthy) {
+    try {
+      await addMemoryAwait(content, tags, mergedInfo);
+      return "saved";
+    } catch (err) {
+      if (!isRetryableError(err)) throw err;
+      console.warn(LOG_PREFIX, `Write failed, queued to outbox: ${err.message}`);
+    }
+  }
+  await enqueueWrite(content, tags, mergedInfo, {
+    userId: getMemosUserId(),
+    cubeId: resolveWriteCube(mergedInfo),
+  });
+  return "queued";
+}
+
 /**
  * Add a memory — awaitable version.
  * Use this when confirmation of persistence is required
  * (e.g. during the compaction flush).
  *
  * Auto-injects content_hash into info for cross-session deduplication.
+ * The write is coalesced with other adds issued in the same short window
+ * (see {@link module:lib/write-batcher}); the promise still reports this
+ * item's own success or failure. The target cube is picked from `info`
+ * by {@link module:lib/cube-routing}. The written hash is recorded in the
+ * persistent dedup index.
  *
  * @param {string} content
  * @param {string[]} [tags]
  * @param {object} [info] - Structured metadata
- * @returns {Promise<true>}
+ * @returns {Promise<string|null>} Backend memory ID (null if the backend returned none)
  */
 export async function addMemoryAwait(content, tags = [], info = undefined) {
   const mergedInfo = {
@@ -40,17 +102,18 @@ export async function addMemoryAwait(content, tags = [], info = undefined) {
     ...info,
   };
 
-  await callApi(
-    "/product/add",
+  const cubeId = resolveWriteCube(mergedInfo);
+  const { id } = await enqueueAdd(
     {
-      user_id: getMemosUserId(),
-      writable_cube_ids: [getMemosCubeId()],
       messages: content,
-      custom_tags: tags,
+      tags,
       info: mergedInfo,
       mode: "fast",  // Skip LLM processing, avoid duplicate Working/LongTerm nodes
+      cubeId,
+      userId: getMemosUserId(),  // captured now — the batch may flush outside this agent's scope
     },
     { retries: 3, timeoutMs: Timeouts.ADD },
   );
-  return true;
+  await recordStoredMemory(mergedInfo.content_hash, cubeId, id);
+  return id;
 }
@@ -0,0 +1,230 @@
+/**
+ * Durable Write Outbox
+ *
+ * Disk-backed journal for memory writes that could not reach the backend
+ * (write failed with a retryable error, or backend was unhealthy at the
+ * time). Entries are replayed in order once the health probe recovers and
+ * periodically while it stays healthy (see {@link module:lib/health}),
+ * with their original tags, info and content_hash intact. An entry that
+ * fails is kept for the next replay without holding up the ones behind it.
+ *
+ * Journal format (one entry per line, ~/.openclaw/memos-outbox.jsonl):
+ *   { "kind": "add", "content", "tags", "info", "user_id", "cube_id", "queued_at", "attempts" }
+ *   { "kind": "summarize", "messages", "user_id", "cube_id", "queued_at", "attempts" }
+ *
+ * "summarize" entries are compaction segments captured while the backend
+ * was down — they are summarized and persisted on replay.
+ *
+ * In dry-run mode nothing is journaled (the entry goes to the dry-run log)
+ * and replay is paused, so a shadow run never drains real queued writes.
+ *
+ * @module lib/outbox
+ */
+import { readFile, writeFile, appendFile, rename, mkdir } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { homedir } from "node:os";
+import { LOG_PREFIX, Timeouts, computeContentHash, markMemoryAdded, isRetryableError } from "./client.js";
+import { getBackend } from "./backend.js";
+import { resolveWriteCube } from "./cube-routing.js";
+import { summarizeConversation } from "./summarize.js";
+import { recordStoredMemory } from "./dedup-index.js";
+import { invalidateSearchCache } from "./search-cache.js";
+import { isDryRun, recordDryRun } from "./dry-run.js";
+import { getConfig } from "./config.js";
+import { inc } from "./stats.js";
+
+const DEFAULT_PATH = join(homedir(), ".openclaw", "memos-outbox.jsonl");
+
+let _path = DEFAULT_PATH;
+let _lock = Promise.resolve();
+let _replaying = null;
+
+/**
+ * Override the journal location (from plugin config).
+ * @param {{ outboxPath?: string }} [cfg]
+ */
+export function configureOutbox(cfg = {}) {
+  _path = cfg.outboxPath || DEFAULT_PATH;
+}
+
+/**
+ * Serialize file operations so appends never race a replay rewrite.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function _withLock(fn) {
+  const run = _lock.then(fn, fn);
+  _lock = run.catch(() => {});
+  return run;
+}
+
+/** @returns {Promise<object[]>} */
+async function _readEntries() {
+  let content = "";
+  try {
+    content = await readFile(_path, "utf-8");
+  } catch (_) { return []; }
+  const entries = [];
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); }
+    catch { console.warn(LOG_PREFIX, "Outbox: skipping corrupt journal line"); }
+  }
+  return entries;
+}
+
+/** @param {object[]} entries */
+async function _writeEntries(entries) {
+  const tmp = `${_path}.tmp`;
+  await writeFile(tmp, entries.map((e) => JSON.stringify(e) + "\n").join(""), "utf-8");
+  await rename(tmp, _path);
+}
+
+/** @param {object} entry */
+function _append(entry) {
+  // Nested, so the entry's own `kind` does not replace the record's
+  if (isDryRun()) return recordDryRun("outbox", { entry });
+  return _withLock(async () => {
+    await mkdir(dirname(_path), { recursive: true });
+    await appendFile(_path, JSON.stringify({ ...entry, queued_at: new Date().toISOString(), attempts: 0 }) + "\n", "utf-8");
+    inc("outbox.queued");
+  });
+}
+
+/**
+ * Journal a memory write for later replay.
+ * `info` must already carry its content_hash. The owner/cube are recorded
+ * so replay (which runs outside any agent scope) writes to the same place.
+ *
+ * @param {string} content
+ * @param {string[]} tags
+ * @param {object} info
+ * @param {{ userId?: string, cubeId?: string }} [target]
+ * @returns {Promise<void>}
+ */
+export function enqueueWrite(content, tags, info, { userId, cubeId } = {}) {
+  return _append({ kind: "add", content, tags, info, user_id: userId, cube_id: cubeId });
+}
+
+/**
+ * Journal a compaction segment that could not be summarized.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {{ userId?: string, cubeId?: string }} [target]
+ * @returns {Promise<void>}
+ */
+export function enqueueSummarization(messages, { userId, cubeId } = {}) {
+  return _append({ kind: "summarize", messages, user_id: userId, cube_id: cubeId });
+}
+
+/**
+ * Number of entries waiting in the journal.
+ * @returns {Promise<number>}
+ */
+export async function getOutboxSize() {
+  return (await _withLock(_readEntries)).length;
+}
+
+/**
+ * Send one journal entry to the backend. Throws on failure.
+ * @param {object} entry
+ */
+async function _replayEntry(entry) {
+  const backend = getBackend();
+  if (entry.kind === "add") {
+    const cubeId = entry.cube_id || resolveWriteCube(entry.info);
+    const { id } = await backend.add(
+      {
+        messages: entry.content,
+        tags: entry.tags,
+        info: entry.info,
+        mode: "fast",
+        userId: entry.user_id,
+        cubeId,
+      },
+      { retries: 1, timeoutMs: Timeouts.ADD },
+    );
+    invalidateSearchCache({ cubeId, info: entry.info || {} });
+    await recordStoredMemory(entry.info?.content_hash, cubeId, id);
+    return;
+  }
+  if (entry.kind === "summarize") {
+    const summaries = await summarizeConversation(entry.messages);
+    for (const s of summaries) {
+      const info = { content_hash: computeContentHash(s.content) };
+      const cubeId = entry.cube_id || resolveWriteCube(info);
+      const { id } = await backend.add(
+        {
+          messages: s.content,
+          tags: s.tags,
+          info,
+          mode: "fast",
+          userId: entry.user_id,
+          cubeId,
+        },
+        { retries: 1, timeoutMs: Timeouts.ADD },
+      );
+      markMemoryAdded(s.content);
+      invalidateSearchCache({ cubeId, info });
+      await recordStoredMemory(info.content_hash, cubeId, id);
+    }
+    return;
+  }
+  console.warn(LOG_PREFIX, `Outbox: unknown entry kind "${entry.kind}", dropping`);
+}
+
+/**
+ * Replay journaled writes in order. A failing entry stays in the journal
+ * (in place) and replay moves on to the next one; entries the backend
+ * rejects outright (non-retryable) or that fail `outbox.maxReplayAttempts`
+ * times are dropped. An open circuit ends the pass without counting an
+ * attempt against the remaining entries. Concurrent calls share a single
+ * in-flight replay. A no-op in dry-run mode.
+ *
+ * @returns {Promise<{ replayed: number, remaining: number }>}
+ */
+export function replayOutbox() {
+  if (isDryRun()) return getOutboxSize().then((remaining) => ({ replayed: 0, remaining }));
+  if (_replaying) return _replaying;
+  _replaying = (async () => {
+    const entries = await _withLock(_readEntries);
+    if (entries.length === 0) return { replayed: 0, remaining: 0 };
+
+    console.log(LOG_PREFIX, `Outbox: replaying ${entries.length} queued write(s)`);
+    const { maxReplayAttempts } = getConfig().outbox;
+    let replayed = 0;
+    const kept = [];
+    for (const [i, entry] of entries.entries()) {
+      try {
+        await _replayEntry(entry);
+        replayed++;
+        inc("outbox.replayed");
+      } catch (err) {
+        if (err.code === "CIRCUIT_OPEN") {
+          kept.push(...entries.slice(i));
+          console.warn(LOG_PREFIX, `Outbox: replay paused (${err.message}), ${entries.length - i} left`);
+          break;
+        }
+        entry.attempts = (entry.attempts || 0) + 1;
+        if (!isRetryableError(err) || entry.attempts >= maxReplayAttempts) {
+          inc("outbox.dropped");
+          console.error(LOG_PREFIX, `Outbox: dropping entry after ${entry.attempts} attempt(s): ${err.message}`);
+          continue;
+        }
+        kept.push(entry);
+        console.warn(LOG_PREFIX, `Outbox: entry failed (${err.message}), kept for the next replay`);
+      }
+    }
+
+    // Entries appended during replay sit after the ones we read — keep them.
+    const remaining = await _withLock(async () => {
+      const rest = [...kept, ...(await _readEntries()).slice(entries.length)];
+      await _writeEntries(rest);
+      return rest.length;
+    });
+
+    console.log(LOG_PREFIX, `Outbox: ${replayed} replayed, ${remaining} remaining`);
+    return { replayed, remaining };
+  })().finally(() => { _replaying = null; });
+  return _replaying;
+}
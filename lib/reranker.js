@@ -1,20 +1,105 @@
 /**
  * LLM Reranker
  *
- * Filters irrelevant memories by sending search results + query
- * to an LLM (via MemOS /product/chat/complete) for binary relevance
- * judgement. Non-fatal — falls back to unfiltered results on any failure.
+ * Grades search results by sending them with the query to an LLM (the
+ * `rerank` job in {@link module:lib/llm}). Each memory gets a relevance
+ * score from 0 to 3 (optionally with a short reason); memories at or above
+ * `llmRerank.threshold` are kept, best first. If fewer pass, the best
+ * graded ones are kept up to `llmRerank.minKeep` — even if all scored 0 —
+ * so a strict judge never empties the context.
+ *
+ * Judgements are cached (LRU + TTL) per query + memory set, so retries and
+ * follow-up turns over the same hits don't call the LLM again.
+ *
+ * Non-fatal — falls back to unfiltered results on any failure.
  *
  * @module lib/reranker
  */
-import { callApi, getMemosUserId, getMemosCubeId, Timeouts, LOG_PREFIX } from "./client.js";
-import { getMemoryContent, parseJSON } from "./utils.js";
+import { createHash } from "node:crypto";
+import { Timeouts, LOG_PREFIX } from "./client.js";
+import { complete } from "./llm.js";
+import { getMemoryContent, getInfo, parseJSON } from "./utils.js";
+import { inc } from "./stats.js";
 
 const MAX_SNIPPET_CHARS = 300;
 const MIN_MEMORIES_TO_RERANK = 3;
+const MAX_SCORE = 3;
+const MAX_REASON_CHARS = 120;
+
+const _settings = {
+  threshold: 2,
+  minKeep: 1,
+  reasons: false,
+  cacheSize: 200,
+  cacheTtlMs: 600_000,  // 10 minutes
+};
+
+/** @type {Map<string, { at: number, grades: Map<string, Grade> }>} cache key → judgement (insertion order = LRU order) */
+const _cache = new Map();
+
+/**
+ * @typedef {object} Grade
+ * @property {number} score - 0 (unrelated) … 3 (directly answers the query)
+ * @property {string} [reason]
+ */
+
+/**
+ * Apply reranker tunables from plugin config (`llmRerank` block).
+ * @param {{ threshold?: number, minKeep?: number, reasons?: boolean, cacheSize?: number, cacheTtlMs?: number }} [cfg]
+ */
+export function configureReranker(cfg = {}) {
+  if (cfg.threshold >= 0) _settings.threshold = cfg.threshold;
+  if (cfg.minKeep >= 0) _settings.minKeep = cfg.minKeep;
+  if (typeof cfg.reasons === "boolean") _settings.reasons = cfg.reasons;
+  if (cfg.cacheSize >= 0) _settings.cacheSize = cfg.cacheSize;
+  if (cfg.cacheTtlMs >= 0) _settings.cacheTtlMs = cfg.cacheTtlMs;
+  while (_cache.size > _settings.cacheSize) _cache.delete(_cache.keys().next().value);
+}
+
+/**
+ * Identity of a memory for caching: backend ID, else content_hash, else content.
+ * @param {object} mem
+ * @returns {string}
+ */
+function _memoryId(mem) {
+  return mem?.id || mem?.memory_id || getInfo(mem).content_hash || getMemoryContent(mem).slice(0, 200);
+}
 
 /**
- * Build the reranking prompt.
+ * Cache key: query + the set of memories (order-independent).
+ * @param {string} query
+ * @param {string[]} ids
+ * @returns {string}
+ */
+function _cacheKey(query, ids) {
+  return createHash("sha256")
+    .update(`${query.trim().toLowerCase()}\n${[...ids].sort().join("\n")}\n${_settings.reasons}`)
+    .digest("hex");
+}
+
+/** @param {string} key @returns {Map<string, Grade>|null} */
+function _cacheGet(key) {
+  const hit = _cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at > _settings.cacheTtlMs) {
+    _cache.delete(key);
+    return null;
+  }
+  // Refresh LRU position
+  _cache.delete(key);
+  _cache.set(key, hit);
+  return hit.grades;
+}
+
+/** @param {string} key @param {Map<string, Grade>} grades */
+function _cacheSet(key, grades) {
+  if (_settings.cacheSize === 0) return;
+  _cache.set(key, { at: Date.now(), grades });
+  while (_cache.size > _settings.cacheSize) _cache.delete(_cache.keys().next().value);
+}
+
+/**
+ * Build the grading prompt.
  * @param {string} query
  * @param {Array<{memory?: string, content?: string}>} memories
  * @returns {string}
@@ -28,78 +113,150 @@ function buildPrompt(query, memories) {
     return `[${i}] ${truncated}`;
   });
 
-  return `You are a relevance judge. Given a user query and memory snippets from a personal knowledge base, return ONLY the indices of memories that are relevant to the query.
+  const format = _settings.reasons
+    ? `[{"i": 0, "score": 3, "reason": "states the chosen database"}, {"i": 1, "score": 0, "reason": "different project"}]`
+    : `[{"i": 0, "score": 3}, {"i": 1, "score": 0}]`;
+
+  return `You are a relevance judge. Given a user query and memory snippets from a personal knowledge base, grade how relevant each memory is to the query.
 
-RELEVANT = directly relates to the query topic, contains useful info
-NOT RELEVANT = different topic, only shares a keyword, generic/unrelated
+3 = directly answers or is essential context for the query
+2 = clearly related, useful background
+1 = same general area, marginal use
+0 = different topic, only shares a keyword, generic/unrelated
 
 Query: "${query}"
 
 Memories:
 ${snippets.join("\n")}
 
-Return a JSON array of relevant indices. Example: [0, 2, 5]
-If none are relevant, return: []`;
+Return a JSON array with one entry per memory${_settings.reasons ? " and a reason of at most 10 words" : ""}. Example:
+${format}`;
 }
 
 /**
- * Rerank memories using LLM relevance judgement.
+ * Normalize the model's answer to index → grade.
+ * Accepts graded objects, `{ "0": 3, ... }` maps and the legacy bare index
+ * list (listed = 3, unlisted = 0). Memories the model left out score 0.
  *
- * Sends query + memory snippets to Gemini via MemOS chat/complete,
- * parses the returned index array, and filters memories accordingly.
+ * @param {any} parsed
+ * @param {number} count
+ * @returns {Map<number, Grade>|null} null when the shape is unusable
+ */
+function parseGrades(parsed, count) {
+  const grades = new Map();
+  const put = (idx, score, reason) => {
+    const n = typeof idx === "string" ? parseInt(idx, 10) : idx;
+    const s = typeof score === "string" ? parseFloat(score) : score;
+    if (!Number.isInteger(n) || n < 0 || n >= count || grades.has(n)) return;
+    if (typeof s !== "number" || !Number.isFinite(s)) return;
+    const grade = { score: Math.max(0, Math.min(MAX_SCORE, Math.round(s))) };
+    if (typeof reason === "string" && reason.trim()) grade.reason = reason.trim().slice(0, MAX_REASON_CHARS);
+    grades.set(n, grade);
+  };
+
+  if (Array.isArray(parsed)) {
+    if (parsed.every((x) => typeof x === "number" || typeof x === "string")) {
+      for (const idx of parsed) put(idx, MAX_SCORE);
+    } else {
+      for (const x of parsed) {
+        if (x && typeof x === "object") put(x.i ?? x.index ?? x.id, x.score ?? x.s, x.reason);
+      }
+    }
+  } else if (parsed && typeof parsed === "object") {
+    for (const [idx, v] of Object.entries(parsed)) {
+      if (typeof v === "object" && v) put(idx, v.score, v.reason);
+      else put(idx, v);
+    }
+  } else {
+    return null;
+  }
+
+  if (grades.size === 0 && !(Array.isArray(parsed) && parsed.length === 0)) return null;
+  for (let i = 0; i < count; i++) if (!grades.has(i)) grades.set(i, { score: 0 });
+  return grades;
+}
+
+/**
+ * Apply threshold + floor to graded memories.
+ * @param {Array} memories
+ * @param {Grade[]} grades - Aligned with memories
+ * @param {(mem: object, reason: string, score: number) => void} [onDrop]
+ * @returns {Array} Kept memories, best first, each a copy carrying `rerank: Grade`
+ */
+function selectByGrade(memories, grades, onDrop) {
+  const ranked = memories
+    .map((mem, i) => ({ mem, i, grade: grades[i] }))
+    .sort((a, b) => b.grade.score - a.grade.score || a.i - b.i);
+
+  let kept = ranked.filter((r) => r.grade.score >= _settings.threshold);
+  if (kept.length < _settings.minKeep) {
+    kept = ranked.slice(0, _settings.minKeep);
+  }
+  if (onDrop) {
+    const keptSet = new Set(kept);
+    for (const r of ranked) {
+      if (!keptSet.has(r)) onDrop(r.mem, `scored ${r.grade.score} (< ${_settings.threshold})${r.grade.reason ? ` — ${r.grade.reason}` : ""}`, r.grade.score);
+    }
+  }
+  return kept.map(({ mem, grade }) => ({ ...mem, rerank: grade }));
+}
+
+/**
+ * Rerank memories using graded LLM relevance judgement.
+ *
+ * Sends query + memory snippets to the `rerank` LLM job, parses per-memory
+ * scores (0–3), keeps those at or above the threshold (at least the best
+ * `minKeep`) ordered by score. Kept memories carry `rerank: { score, reason? }`.
  * On any failure, returns the original memories unchanged.
  *
  * @param {string} query - The search query
  * @param {Array} memories - Memory results from searchMemories()
+ * @param {{ onDrop?: (mem: object, reason: string, score: number) => void }} [opts]
+ *   onDrop — called with each memory that was not kept, its grade and reason
  * @returns {Promise<Array>} Filtered memories (relevant only)
  */
-export async function rerankMemories(query, memories) {
+export async function rerankMemories(query, memories, { onDrop } = {}) {
   if (!memories || memories.length < MIN_MEMORIES_TO_RERANK) {
     return memories || [];
   }
 
   try {
-    const prompt = buildPrompt(query, memories);
-
-    const result = await callApi("/product/chat/complete", {
-      user_id: getMemosUserId(),
-      readable_cube_ids: [getMemosCubeId()],
-      query: prompt,
-      top_k: 1,
-      include_preference: false,
-      add_message_on_answer: false,
-      max_tokens: 50,
-      temperature: 0,
-    }, { retries: 1, timeoutMs: Timeouts.RERANK });
-
-    const responseText = result?.data?.response || "";
-    const indices = parseJSON(responseText, "reranker");
-
-    if (!Array.isArray(indices)) {
-      console.warn(LOG_PREFIX, "Reranker: could not parse index array, using all memories");
-      return memories;
-    }
+    const ids = memories.map(_memoryId);
+    const key = _cacheKey(query, ids);
+    let byId = _cacheGet(key);
 
-    // Validate and deduplicate indices
-    const seen = new Set();
-    const validIndices = [];
-    for (const idx of indices) {
-      const n = typeof idx === "string" ? parseInt(idx, 10) : idx;
-      if (Number.isInteger(n) && n >= 0 && n < memories.length && !seen.has(n)) {
-        seen.add(n);
-        validIndices.push(n);
+    if (byId) {
+      inc("rerank.cacheHits");
+    } else {
+      const prompt = buildPrompt(query, memories);
+      const responseText = await complete("rerank", prompt, {
+        retries: 1,
+        timeoutMs: Timeouts.RERANK,
+        maxTokens: _settings.reasons ? 40 * memories.length : 12 * memories.length,
+        temperature: 0,
+        json: true,
+      });
+      const grades = parseGrades(parseJSON(responseText, "reranker"), memories.length);
+
+      if (!grades) {
+        console.warn(LOG_PREFIX, "Reranker: could not parse scores, using all memories");
+        return memories;
       }
+
+      byId = new Map(ids.map((id, i) => [id, grades.get(i)]));
+      _cacheSet(key, byId);
+      for (const { score } of byId.values()) inc(`rerank.scores.${score}`);
     }
 
-    if (validIndices.length === 0) {
-      console.log(LOG_PREFIX, "Reranker: 0 relevant memories (all filtered out)");
+    const filtered = selectByGrade(memories, ids.map((id) => byId.get(id) || { score: 0 }), onDrop);
+    if (filtered.length === 0) {
+      console.log(LOG_PREFIX, `Reranker: 0 relevant memories (none scored >= ${_settings.threshold})`);
       return [];
     }
-
-    const filtered = validIndices.map(i => memories[i]);
-    console.log(LOG_PREFIX, `Reranker: ${filtered.length}/${memories.length} memories relevant`);
+    console.log(LOG_PREFIX, `Reranker: ${filtered.length}/${memories.length} memories relevant (scores ${filtered.map((m) => m.rerank.score).join(",")})`);
     return filtered;
   } catch (err) {
+    inc("rerank.errors");
     console.warn(LOG_PREFIX, "Reranker failed (using unfiltered):", err.message);
     return memories;
   }
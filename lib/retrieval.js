@@ -3,13 +3,15 @@
  *
  * Inspired by memU's multi-step retrieval with:
  * 1. Pre-retrieval decision — skip casual/greeting prompts
- * 2. Query rewriting — enrich search query with conversation context
+ * 2. Query rewriting — resolve references and pull entities from recent turns
  * 3. Sufficiency filtering — drop low-relevance results
  *
  * @module lib/retrieval
  */
 import { LOG_PREFIX } from "./client.js";
 import { getMemoryContent } from "./utils.js";
+import { flattenMessages } from "./summarize.js";
+import { parseTemporalRange } from "./temporal.js";
 
 // ─── Pre-retrieval Decision ─────────────────────────────────────────
 
@@ -66,6 +68,9 @@ export function preRetrievalDecision(prompt) {
     return "force";
   }
 
+  // Time references ("last week", "в прошлый вторник") point at stored history
+  if (parseTemporalRange(prompt)) return "force";
+
   // Casual patterns in longer prompts — still skip if the WHOLE prompt is casual
   if (lower.length < 30) {
     const words = lower.split(/\s+/);
@@ -82,25 +87,251 @@ export function preRetrievalDecision(prompt) {
 
 // ─── Query Rewriting ────────────────────────────────────────────────
 
+/**
+ * Phrases that refer back to earlier turns ("fix it the same way", "а что со вторым?").
+ * English only counts explicit back-references and a sentence-initial pronoun
+ * ("That didn't work") — a mid-sentence "that" / "one" / "there" is ordinary
+ * grammar ("configure nginx so that caching works").
+ */
+const REFERENCE_PATTERN_EN =
+  /\b(the same( way| thing)?|same as before|(that|this|the other) ones?|the (first|second|third|last|previous|former|latter|above) ones?|do (it|that) again)\b|(^|[.!?]\s+)(and |but |so )?(it|that|this|they|those|what about|how about)\b/i;
+const REFERENCE_PATTERN_RU =
+  /(?<!\p{L})(это|этот|эта|эти|этим|этого|то|тот|та|те|того|он|она|оно|они|его|её|ее|их|ему|ей|им|там|так же|такой же|тоже|а что|а как|ещё|еще)(?!\p{L})/iu;
+
+/** What an English ordinal must point at to count as a reference ("the second one"). */
+const ORDINAL_NOUNS_EN = "ones?|options?|items?|choices?|links?|results?|suggestions?|variants?";
+
+/**
+ * Ordinal reference pattern: English only in anaphoric form ("the second
+ * one", "the 2nd option", "number two", "#2") — "the second law of
+ * thermodynamics" is prose; Russian as a whole ordinal word, not
+ * "вторник" / "пятница", nor "во-первых".
+ * @param {string} en - Ordinal words, e.g. "second|2nd"
+ * @param {string} [num] - Number forms, e.g. "two|2"
+ * @param {string} ru - Russian ordinal forms (stem + endings)
+ * @returns {RegExp}
+ */
+function _ordinalPattern(en, num, ru) {
+  const parts = [`\\b(?:${en}) (?:${ORDINAL_NOUNS_EN})\\b`, ru];
+  if (num) parts.push(`(?:\\b(?:number|option|item) |#)(?:${num})\\b`);
+  return new RegExp(parts.join("|"), "iu");
+}
+
+/** Ordinal references into a list from the previous answer. */
+const ORDINALS = [
+  { n: 1, pattern: _ordinalPattern("first|1st", "one|1", "(?<!\\p{L}|во-)перв(ый|ая|ое|ую|ого|ом|ому|ой|ые|ых)(?!\\p{L})") },
+  { n: 2, pattern: _ordinalPattern("second|2nd", "two|2", "(?<!\\p{L}|во-)втор(ой|ая|ое|ую|ого|ом|ому|ые|ых)(?!\\p{L})") },
+  { n: 3, pattern: _ordinalPattern("third|3rd", "three|3", "(?<!\\p{L}|в-)трет(ий|ья|ье|ью|ьего|ьем|ьему|ьей|ьи|ьих)(?!\\p{L})") },
+  { n: 4, pattern: _ordinalPattern("fourth|4th", "four|4", "(?<!\\p{L}|в-)четв[её]рт(ый|ая|ое|ую|ого|ом|ому|ой|ые|ых)(?!\\p{L})") },
+  { n: 5, pattern: _ordinalPattern("fifth|5th", "five|5", "(?<!\\p{L}|в-)пят(ый|ая|ое|ую|ого|ом|ому|ой|ые|ых)(?!\\p{L})") },
+  { n: -1, pattern: _ordinalPattern("last", null, "(?<!\\p{L})последн(ий|яя|ее|юю|его|ем|ему|ей|ие|их)(?!\\p{L})") },
+];
+
+/** Capitalized words that are sentence furniture, not entities. */
+const CAPITALIZED_STOPWORDS = new Set([
+  "i", "the", "a", "an", "this", "that", "it", "and", "but", "or", "so", "if", "what", "how", "why",
+  "when", "where", "which", "who", "can", "could", "would", "should", "please", "ok", "okay", "yes",
+  "no", "also", "then", "now", "here", "there", "let", "sure", "thanks", "great", "hi", "hello",
+  "это", "как", "что", "почему", "когда", "где", "да", "нет", "ок", "привет", "спасибо", "и", "а",
+  "но", "или", "если", "так", "теперь", "давай", "можешь", "сделай", "вот", "там", "тут",
+]);
+
+/** Entity-shaped tokens: inline code, file names, identifiers, hashtags, quoted names. */
+const ENTITY_PATTERNS = [
+  /`([^`\n]{2,60})`/g,
+  /["«]([^"»\n]{3,60})["»]/g,
+  /\b([\w.-]+\.(?:js|mjs|ts|tsx|py|md|json|ya?ml|go|rs|java|sh|sql|toml))\b/g,
+  /\b([a-z]+(?:[A-Z][A-Za-z0-9]*)+)\b/g,
+  /\b([A-Z][A-Za-z0-9]*[A-Z][A-Za-z0-9]*)\b/g,
+  /\b([a-z0-9]+(?:_[a-z0-9]+)+)\b/g,
+  /(#[\p{L}\p{N}_-]{2,})/gu,
+];
+const CAPITALIZED_PATTERN = /(?<![\p{L}\p{N}])(\p{Lu}[\p{Ll}\p{N}]+(?:[ -]\p{Lu}[\p{Ll}\p{N}]+)*)(?![\p{L}\p{N}])/gu;
+
+const MAX_QUERY_CHARS = 300;
+const MAX_ENTITIES = 5;
+
+/**
+ * Entity-like tokens in a piece of text, in order of appearance.
+ * @param {string} text
+ * @param {string[]} [knownProjects] - Matched case-insensitively
+ * @returns {string[]}
+ */
+export function extractEntities(text, knownProjects = []) {
+  if (!text) return [];
+  const found = [];
+  for (const pattern of ENTITY_PATTERNS) {
+    for (const m of text.matchAll(pattern)) found.push(m[1]);
+  }
+  for (const m of text.matchAll(CAPITALIZED_PATTERN)) {
+    // A lone capitalized word opening a sentence or list item is just grammar
+    const before = text.slice(0, m.index);
+    if (!m[1].includes(" ") && /(^|[.!?:\n]|^\s*(?:\d+[.)]|[-*•]))\s*$/.test(before)) continue;
+    found.push(m[1]);
+  }
+  const lower = text.toLowerCase();
+  for (const project of knownProjects) {
+    if (project && lower.includes(project.toLowerCase())) found.push(project);
+  }
+  return found
+    .map((e) => e.trim())
+    .filter((e) => e.length >= 2 && !CAPITALIZED_STOPWORDS.has(e.toLowerCase()));
+}
+
+/**
+ * Does the prompt lean on earlier turns (pronouns, "the same way", ordinals,
+ * or too short to stand alone)?
+ * @param {string} prompt
+ * @returns {boolean}
+ */
+export function isContextDependent(prompt) {
+  const words = prompt.trim().split(/\s+/).filter(Boolean);
+  const ownEntities = extractEntities(prompt).length;
+  if (words.length <= 4 && ownEntities === 0) return true;
+  // A prompt that names its own subjects stands alone despite a stray "it" or "the first one"
+  if (ownEntities >= 2) return false;
+  if (ORDINALS.some((o) => o.pattern.test(prompt))) return true;
+  return REFERENCE_PATTERN_EN.test(prompt) || REFERENCE_PATTERN_RU.test(prompt);
+}
+
+/**
+ * Resolve "the second one" against a numbered / bulleted list in the last
+ * assistant message.
+ * @param {string} prompt
+ * @param {string} [lastAssistant]
+ * @returns {string|null} The referenced list item
+ */
+function _resolveOrdinal(prompt, lastAssistant) {
+  if (!lastAssistant) return null;
+  const ordinal = ORDINALS.find((o) => o.pattern.test(prompt));
+  if (!ordinal) return null;
+  const items = [...lastAssistant.matchAll(/^\s*(?:\d+[.)]|[-*•])\s+(.+)$/gm)].map((m) => m[1].trim());
+  if (items.length === 0) return null;
+  const item = ordinal.n === -1 ? items[items.length - 1] : items[ordinal.n - 1];
+  return item ? item.replace(/[*_`]/g, "").slice(0, 150) : null;
+}
+
+/**
+ * Most salient entities across recent turns: frequency, weighted toward
+ * the latest turns, excluding ones already in the prompt.
+ * @param {Array<{role: string, text: string}>} turns - Oldest first
+ * @param {string} prompt
+ * @param {string[]} knownProjects
+ * @returns {string[]}
+ */
+function _salientEntities(turns, prompt, knownProjects) {
+  const scores = new Map();
+  turns.forEach((turn, i) => {
+    const recency = (i + 1) / turns.length; // latest turn weighs 1
+    const roleWeight = turn.role === "user" ? 1.2 : 1;
+    for (const entity of extractEntities(turn.text, knownProjects)) {
+      const key = entity.toLowerCase();
+      const prev = scores.get(key) || { entity, score: 0 };
+      prev.score += recency * roleWeight;
+      scores.set(key, prev);
+    }
+  });
+  const promptLower = prompt.toLowerCase();
+  const picked = [];
+  for (const { entity } of [...scores.values()].sort((a, b) => b.score - a.score)) {
+    const lower = entity.toLowerCase();
+    if (promptLower.includes(lower)) continue;
+    // "Grafana" adds nothing next to "Grafana Cloud"
+    if (picked.some((p) => p.toLowerCase().includes(lower) || lower.includes(p.toLowerCase()))) continue;
+    picked.push(entity);
+    if (picked.length >= MAX_ENTITIES) break;
+  }
+  return picked;
+}
+
+/**
+ * Split a multi-question prompt into standalone parts.
+ * @param {string} core
+ * @returns {string[]}
+ */
+function _splitQuestions(core) {
+  return core
+    .split(/(?<=[?？])\s+|;\s+/)
+    .map((p) => p.trim())
+    .filter((p) => p.split(/\s+/).length >= 3);
+}
+
+/**
+ * Build search queries from the prompt and the recent conversation.
+ *
+ * Context-dependent prompts ("and what about the second one?", "fix it the
+ * same way") get the referenced list item and the salient entities / project
+ * names of the last `contextTurns` turns appended; the raw prompt, the list
+ * item and the previous user turn follow as sub-queries. Multi-question prompts are split into sub-queries.
+ * Callers fuse sub-query results (see searchFused in lib/search.js).
+ *
+ * With `temporal`, a time reference in the prompt ("last week", "с января")
+ * is parsed into `timeRange` and removed from the query text, so callers
+ * can filter by `created_at` instead of matching the words.
+ *
+ * @param {string} prompt
+ * @param {Array} [messages] - Raw OpenClaw messages (event.messages)
+ * @param {{ contextTurns?: number, maxSubQueries?: number, isPostCompaction?: boolean, knownProjects?: string[], temporal?: boolean }} [opts]
+ * @returns {{ query: string, subQueries: string[], contextual: boolean, entities: string[], timeRange: import("./temporal.js").TemporalRange|null }}
+ *   `query` is the primary query; `subQueries[0] === query`
+ */
+export function buildSearchQueries(prompt, messages, opts = {}) {
+  const { contextTurns = 4, maxSubQueries = 3, isPostCompaction = false, knownProjects = [], temporal = false } = opts;
+  let core = prompt.slice(0, MAX_QUERY_CHARS).replace(/\s+/g, " ").trim();
+
+  const timeRange = temporal ? parseTemporalRange(core) : null;
+  if (timeRange) {
+    const stripped = core.replace(timeRange.expression, " ").replace(/\s+/g, " ").replace(/\s+([?!.,;])/g, "$1").trim();
+    // Keep the words if nothing meaningful is left ("what happened yesterday?")
+    if ((stripped.match(/[\p{L}\p{N}]+/gu) || []).length >= 3) core = stripped;
+  }
+
+  let turns = flattenMessages(messages, 1000);
+  // event.messages may or may not already include the current prompt
+  if (turns.length && turns[turns.length - 1].role === "user" && turns[turns.length - 1].text.trim() === prompt.trim()) {
+    turns = turns.slice(0, -1);
+  }
+  turns = turns.slice(-contextTurns);
+
+  const contextual = turns.length > 0 && isContextDependent(core);
+  let query = core;
+  let entities = [];
+  const subQueries = [];
+
+  if (contextual) {
+    const lastAssistant = [...turns].reverse().find((t) => t.role === "assistant")?.text;
+    const item = _resolveOrdinal(core, lastAssistant);
+    entities = _salientEntities(turns, `${core} ${item || ""}`, knownProjects);
+    query = [core, item, entities.join(" ")].filter(Boolean).join(" ").slice(0, MAX_QUERY_CHARS * 1.5);
+
+    // The raw prompt stays a sub-query in case the reference was misread
+    subQueries.push(query, core);
+    if (item) subQueries.push(item);
+    const lastUser = [...turns].reverse().find((t) => t.role === "user")?.text;
+    if (lastUser) subQueries.push(lastUser.replace(/\s+/g, " ").slice(0, 200));
+  } else {
+    subQueries.push(core, ..._splitQuestions(core));
+  }
+
+  const prefix = isPostCompaction ? "decisions progress pending tasks " : "";
+  const unique = [...new Set(subQueries.map((q) => prefix + q))].slice(0, Math.max(1, maxSubQueries));
+  return { query: prefix + query, subQueries: unique, contextual, entities, timeRange };
+}
+
 /**
  * Rewrite a search query for MemOS semantic search.
  *
- * Simplified: server-side BM25, VEC_COT, and fulltext search now handle
- * keyword expansion and sub-query generation. Client just sends a clean
- * truncated prompt. Post-compaction adds continuity keywords.
+ * Server-side BM25, VEC_COT and fulltext search handle keyword expansion;
+ * the client resolves references against the recent conversation (see
+ * {@link buildSearchQueries}). Post-compaction adds continuity keywords.
  *
  * @param {string} prompt - User's prompt
  * @param {boolean} isPostCompaction - Whether we're in post-compaction mode
+ * @param {Array} [messages] - Recent raw messages for reference resolution
  * @returns {string} Search query
  */
-export function rewriteQuery(prompt, isPostCompaction = false) {
-  const core = prompt.slice(0, 300).replace(/\s+/g, " ").trim();
-
-  if (isPostCompaction) {
-    return `decisions progress pending tasks ${core}`;
-  }
-
-  return core;
+export function rewriteQuery(prompt, isPostCompaction = false, messages = undefined) {
+  return buildSearchQueries(prompt, messages, { isPostCompaction, maxSubQueries: 1 }).query;
 }
 
 // ─── Sufficiency Filtering ──────────────────────────────────────────
@@ -110,11 +341,12 @@ export function rewriteQuery(prompt, isPostCompaction = false) {
  * Drops duplicates, near-duplicates, and low-value entries.
  *
  * @param {Array} memories - Raw memories from MemOS
- * @param {{ minLength?: number, maxDuplicateOverlap?: number }} [opts]
+ * @param {{ minLength?: number, maxDuplicateOverlap?: number, onDrop?: (mem: object, reason: string) => void }} [opts]
+ *   onDrop — called with each removed memory and why
  * @returns {Array} Filtered memories
  */
 export function filterBySufficiency(memories, opts = {}) {
-  const { minLength = 20, maxDuplicateOverlap = 0.7 } = opts;
+  const { minLength = 20, maxDuplicateOverlap = 0.7, onDrop } = opts;
   if (!memories?.length) return [];
 
   const accepted = [];
@@ -122,10 +354,16 @@ export function filterBySufficiency(memories, opts = {}) {
 
   for (const mem of memories) {
     const content = getMemoryContent(mem);
-    if (!content || content.length < minLength) continue;
+    if (!content || content.length < minLength) {
+      onDrop?.(mem, `shorter than ${minLength} chars`);
+      continue;
+    }
 
     // Skip system/meta memories that leak into results
-    if (content.startsWith("{") && content.includes('"type"')) continue;
+    if (content.startsWith("{") && content.includes('"type"')) {
+      onDrop?.(mem, "system/meta record");
+      continue;
+    }
 
     // Deduplicate by overlap ratio
     const contentLower = content.toLowerCase().slice(0, 200);
@@ -136,7 +374,10 @@ export function filterBySufficiency(memories, opts = {}) {
         break;
       }
     }
-    if (isDupe) continue;
+    if (isDupe) {
+      onDrop?.(mem, `near-duplicate of a higher-ranked memory (> ${maxDuplicateOverlap} overlap)`);
+      continue;
+    }
 
     seenTexts.push(contentLower);
     accepted.push(mem);
@@ -0,0 +1,145 @@
+/**
+ * Search Result Cache
+ *
+ * In-process cache of {@link module:lib/search.searchMemories} results, so
+ * rapid turns on the same topic (and the extra post-compaction searches)
+ * don't repeat identical backend searches. Concurrent identical searches
+ * share one in-flight request.
+ *
+ * Key: user + normalized query + topK + filter + read cubes (with weights).
+ *
+ * Write-aware invalidation: after a write lands, every entry that reads the
+ * written cube is dropped unless its filter provably excludes the written
+ * memory (e.g. a `{ _type: "task" }` search survives a `tool_trace` write).
+ * Filters with operator values (ranges etc.) are treated as "may match".
+ *
+ * @module lib/search-cache
+ */
+import { inc } from "./stats.js";
+
+const _settings = {
+  enabled: true,
+  ttlMs: 60_000,
+  maxEntries: 100,
+};
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {number} at - Insert time (ms)
+ * @property {Promise<object>} promise - Search result (shared while in flight)
+ * @property {Set<string>} cubeIds
+ * @property {object|undefined} filter
+ */
+
+/** @type {Map<string, CacheEntry>} insertion order = LRU order */
+const _cache = new Map();
+
+/**
+ * Apply cache settings from plugin config (`searchCache` block).
+ * Disabling the cache empties it.
+ * @param {{ enabled?: boolean, ttlMs?: number, maxEntries?: number }} [cfg]
+ */
+export function configureSearchCache(cfg = {}) {
+  if (typeof cfg.enabled === "boolean") _settings.enabled = cfg.enabled;
+  if (cfg.ttlMs >= 0) _settings.ttlMs = cfg.ttlMs;
+  if (cfg.maxEntries >= 0) _settings.maxEntries = cfg.maxEntries;
+  if (!_settings.enabled) _cache.clear();
+  _trim();
+}
+
+function _trim() {
+  while (_cache.size > _settings.maxEntries) _cache.delete(_cache.keys().next().value);
+}
+
+/** Deterministic JSON (sorted object keys) so equal filters give equal keys. */
+function _stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(_stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${_stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * @param {{ userId: string, query: string, topK: number, filter?: object, cubes: Array<{ cubeId: string, weight?: number }> }} req
+ * @returns {string}
+ */
+function _key({ userId, query, topK, filter, cubes }) {
+  const normalized = (query || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const cubePart = cubes.map((c) => `${c.cubeId}*${c.weight ?? 1}`).sort().join(",");
+  return `${userId}\n${normalized}\n${topK}\n${_stableStringify(filter)}\n${cubePart}`;
+}
+
+/**
+ * Run `search` through the cache.
+ *
+ * @param {{ userId: string, query: string, topK: number, filter?: object, cubes: Array<{ cubeId: string, weight?: number }> }} req
+ * @param {() => Promise<object>} search - Performs the real search on a miss
+ * @returns {Promise<{textMemories: Array, skillMemories: Array, prefMemories: Array}>}
+ *   A fresh copy of the result lists (callers may reorder or filter them)
+ */
+export async function cachedSearch(req, search) {
+  if (!_settings.enabled || _settings.maxEntries === 0) return search();
+
+  const key = _key(req);
+  const hit = _cache.get(key);
+  let promise;
+  if (hit && Date.now() - hit.at <= _settings.ttlMs) {
+    inc("searchCache.hits");
+    _cache.delete(key);
+    _cache.set(key, hit);
+    promise = hit.promise;
+  } else {
+    inc("searchCache.misses");
+    promise = search();
+    const entry = { at: Date.now(), promise, cubeIds: new Set(req.cubes.map((c) => c.cubeId)), filter: req.filter };
+    _cache.set(key, entry);
+    _trim();
+    // Failed searches are not cached
+    promise.catch(() => { if (_cache.get(key) === entry) _cache.delete(key); });
+  }
+
+  const result = await promise;
+  return {
+    ...result,
+    textMemories: [...(result.textMemories || [])],
+    skillMemories: [...(result.skillMemories || [])],
+    prefMemories: [...(result.prefMemories || [])],
+  };
+}
+
+/**
+ * Could a memory with this `info` match the filter? Exact-match keys must
+ * agree (array-valued info fields contain the value); operator objects
+ * are assumed to match.
+ * @param {object|undefined} filter
+ * @param {object} info
+ * @returns {boolean}
+ */
+function _mayMatch(filter, info) {
+  if (!filter) return true;
+  for (const [k, v] of Object.entries(filter)) {
+    if (v && typeof v === "object") continue;
+    const actual = info?.[k];
+    if (Array.isArray(actual) ? !actual.includes(v) : actual !== v) return false;
+  }
+  return true;
+}
+
+/**
+ * Drop cached searches a write could have changed.
+ * Call after a write (add / update / delete) has reached the backend.
+ * Without a cube the whole cache is cleared.
+ *
+ * @param {{ cubeId?: string, info?: object }} [write]
+ */
+export function invalidateSearchCache({ cubeId, info } = {}) {
+  let dropped = 0;
+  for (const [key, entry] of _cache) {
+    if (cubeId && !entry.cubeIds.has(cubeId)) continue;
+    if (cubeId && info && !_mayMatch(entry.filter, info)) continue;
+    _cache.delete(key);
+    dropped++;
+  }
+  if (dropped) inc("searchCache.invalidated", dropped);
+}
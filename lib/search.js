@@ -6,38 +6,113 @@
  *
  * @module lib/search
  */
-import { callApi, getMemosUserId, getMemosCubeId, Timeouts } from "./client.js";
-import { getMemoryContent } from "./utils.js";
+import { Timeouts, getMemosUserId } from "./client.js";
+import { getBackend } from "./backend.js";
+import { getReadCubes } from "./cube-routing.js";
+import { cachedSearch } from "./search-cache.js";
+import { getCreatedAt, inTimeRange } from "./temporal.js";
+import { memoryRef } from "./usage-tracking.js";
+import { loadTombstones, isTombstoned } from "./tombstones.js";
+import { loadSupersessions, supersededBy } from "./supersession.js";
+import { getMemoryContent, getRelevance, getMemoryKey, fuseRankedLists, truncateAtSentence } from "./utils.js";
+
+/** Over-fetch factor when a time range has to be applied after the search. */
+const DATE_POSTFILTER_OVERFETCH = 3;
 
 /**
- * Search memories by semantic similarity.
+ * Search memories by semantic similarity via the active backend.
+ *
+ * Reads from every routed cube (see {@link module:lib/cube-routing}).
+ * With more than one cube, text hits are re-ranked by
+ * `relevance × cube weight` and trimmed back to `topK`.
+ * Results are cached until a write to one of the read cubes
+ * (see {@link module:lib/search-cache}). Forgotten memories and tombstone
+ * records are never returned (see {@link module:lib/tombstones}); memories
+ * replaced by a correction are dropped unless `includeSuperseded`
+ * (see {@link module:lib/supersession}).
  *
  * @param {string} query
  * @param {number} [topK=5]
- * @param {{ filter?: object, timeoutMs?: number }} [opts] - Optional structured filter (MemOS APISearchRequest.filter)
+ * @param {{ filter?: object, timeoutMs?: number, cubes?: Array<{ cubeId: string, weight?: number }>, project?: string, includeSuperseded?: boolean }} [opts]
+ *   filter  — structured filter (MemOS APISearchRequest.filter); `created_at: { gte, lt }`
+ *             restricts hits by creation time (see {@link module:lib/temporal})
+ *   cubes   — explicit cubes + weights (default: {@link getReadCubes})
+ *   project — also read this project's cube
+ *   includeSuperseded — keep older versions of corrected memories (history)
  * @returns {Promise<{textMemories: Array, skillMemories: Array, prefMemories: Array}>}
  */
-export async function searchMemories(query, topK = 5, { filter, timeoutMs } = {}) {
-  const body = {
-    query,
-    user_id: getMemosUserId(),
-    readable_cube_ids: [getMemosCubeId()],
-    top_k: topK,
-    include_skill_memory: true,
-    skill_mem_top_k: 3,
-    include_preference: true,
-    dedup: "mmr",
-    internet_search: true,
-  };
-  if (filter) body.filter = filter;
-
-  const result = await callApi("/product/search", body, {
-    timeoutMs: timeoutMs || Timeouts.SEARCH,
+export async function searchMemories(query, topK = 5, { filter, timeoutMs, cubes, project, includeSuperseded = false } = {}) {
+  const readCubes = cubes?.length ? cubes : getReadCubes({ project });
+  await Promise.all([loadTombstones(), loadSupersessions()]);
+  const result = await cachedSearch({ userId: getMemosUserId(), query, topK, filter, cubes: readCubes }, async () => {
+    const backend = getBackend();
+    const { created_at: timeRange, ...infoFilter } = filter || {};
+    // Backends without date filtering get the rest of the filter and an
+    // over-fetch; the time range is applied to the hits afterwards.
+    const postFilter = timeRange && typeof timeRange === "object" && !backend.capabilities?.dateFilter;
+    const result = await backend.search(
+      {
+        query,
+        topK: postFilter ? topK * DATE_POSTFILTER_OVERFETCH : topK,
+        filter: postFilter ? (Object.keys(infoFilter).length > 0 ? infoFilter : undefined) : filter,
+        cubeIds: readCubes.map((c) => c.cubeId),
+      },
+      { timeoutMs: timeoutMs || Timeouts.SEARCH },
+    );
+    let textMemories = result.textMemories;
+    if (postFilter) textMemories = textMemories.filter((m) => inTimeRange(getCreatedAt(m), timeRange));
+    if (readCubes.length > 1) {
+      const weights = new Map(readCubes.map((c) => [c.cubeId, c.weight ?? 1]));
+      textMemories = _mergeByCubeWeight(textMemories, weights);
+    }
+    if (textMemories === result.textMemories) return result;
+    return { ...result, textMemories: textMemories.slice(0, topK) };
   });
+  const visible = result.textMemories.filter((m) => !isTombstoned(m) && (includeSuperseded || !supersededBy(m)));
+  return visible.length === result.textMemories.length ? result : { ...result, textMemories: visible };
+}
+
+/**
+ * Stable sort of hits by relevance × weight of the cube they came from.
+ * @param {Array} memories
+ * @param {Map<string, number>} weights
+ * @returns {Array}
+ */
+function _mergeByCubeWeight(memories, weights) {
+  return memories
+    .map((mem, i) => ({ mem, i, score: getRelevance(mem) * (weights.get(mem.cube_id) ?? 1) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(({ mem }) => mem);
+}
+
+/**
+ * Run several queries (e.g. conversation-aware sub-queries) in parallel and
+ * fuse the text hits with Reciprocal Rank Fusion. Skill and preference hits
+ * are concatenated and deduplicated. Fails only if every query fails.
+ *
+ * @param {string[]} queries - First query is the primary one
+ * @param {number} [topK=5] - Per query, and size of the fused list
+ * @param {object} [opts] - Passed to {@link searchMemories}
+ * @returns {Promise<{textMemories: Array, skillMemories: Array, prefMemories: Array}>}
+ */
+export async function searchFused(queries, topK = 5, opts = {}) {
+  if (queries.length <= 1) return searchMemories(queries[0], topK, opts);
+
+  const settled = await Promise.allSettled(queries.map((q) => searchMemories(q, topK, opts)));
+  const results = settled.filter((s) => s.status === "fulfilled").map((s) => s.value);
+  if (results.length === 0) throw settled[0].reason;
+
+  const dedupe = (mems) => {
+    const seen = new Set();
+    return mems.filter((m) => {
+      const key = getMemoryKey(m);
+      return !seen.has(key) && seen.add(key);
+    });
+  };
   return {
-    textMemories: result?.data?.text_mem?.[0]?.memories || [],
-    skillMemories: result?.data?.skill_mem?.[0]?.memories || [],
-    prefMemories: result?.data?.pref_mem?.[0]?.memories || [],
+    textMemories: fuseRankedLists(results.map((r) => r.textMemories)).slice(0, topK),
+    skillMemories: dedupe(results.flatMap((r) => r.skillMemories || [])),
+    prefMemories: dedupe(results.flatMap((r) => r.prefMemories || [])),
   };
 }
 
@@ -55,11 +130,85 @@ export async function searchTextMemories(query, topK = 5, opts = {}) {
   return result.textMemories;
 }
 
+/**
+ * @typedef {object} ContextEntry
+ * @property {string} prefix - Bullet / label, never truncated
+ * @property {string} text - Body, truncated to fit
+ * @property {string} [suffix] - Tags etc., never truncated
+ */
+
+export const CONTEXT_HEADER = "Relevant memories from MemOS:";
+export const SKILL_HEADER = "Relevant skills from MemOS:";
+export const PREF_HEADER = "User preferences from MemOS:";
+
+/** @param {ContextEntry} entry @returns {string} */
+export function renderEntry(entry) {
+  return `${entry.prefix}${entry.text}${entry.suffix || ""}`;
+}
+
+/**
+ * Text memories as context entries (`- [2h ago] content [tags]`, with
+ * `refs`: `- [m3f9a2] [2h ago] …`, see {@link module:lib/usage-tracking}).
+ * @param {Array} memories
+ * @param {{ maxChars?: number, refs?: boolean }} [opts]
+ * @returns {ContextEntry[]}
+ */
+export function contextEntries(memories, { maxChars = 500, refs = false } = {}) {
+  const entries = [];
+  for (const mem of memories || []) {
+    const content = getMemoryContent(mem);
+    if (!content) continue;
+    const recency = _formatRecency(mem);
+    entries.push({
+      prefix: `- ${refs ? `[${memoryRef(mem)}] ` : ""}${recency ? recency + " " : ""}`,
+      text: truncateAtSentence(content, maxChars),
+      suffix: mem.tags?.length ? ` [${mem.tags.join(", ")}]` : "",
+    });
+  }
+  return entries;
+}
+
+/**
+ * Skill memories as context entries (`- [Skill: name] description` + procedure).
+ * @param {Array} skillMemories
+ * @returns {ContextEntry[]}
+ */
+export function skillEntries(skillMemories) {
+  return (skillMemories || []).map((mem) => {
+    const meta = mem.metadata || mem;
+    const name = meta.name || meta.key || "unnamed";
+    const desc = meta.description || getMemoryContent(mem) || "";
+    const procedure = meta.procedure || "";
+    return {
+      prefix: `- [Skill: ${name}] `,
+      text: procedure ? `${desc}\n  Procedure: ${truncateAtSentence(procedure, 300)}` : desc,
+    };
+  });
+}
+
+/**
+ * Preference memories as context entries (`- [Preference] content`).
+ * @param {Array} prefMemories
+ * @param {{ maxChars?: number }} [opts]
+ * @returns {ContextEntry[]}
+ */
+export function prefEntries(prefMemories, { maxChars = 300 } = {}) {
+  const entries = [];
+  for (const mem of prefMemories || []) {
+    const content = getMemoryContent(mem);
+    if (!content) continue;
+    entries.push({ prefix: "- [Preference] ", text: truncateAtSentence(content, maxChars) });
+  }
+  return entries;
+}
+
 /**
  * Format an array of text memories into a human-readable context block.
+ * For a token-budgeted block across all sections use
+ * {@link module:lib/context-assembler.assembleContext}.
  *
  * @param {Array} memories
- * @param {{ maxItems?: number, maxChars?: number, header?: string }} [opts]
+ * @param {{ maxItems?: number, maxChars?: number, budget?: number, header?: string }} [opts]
  * @returns {string} Empty string when there is nothing to inject.
  */
 export function formatContextBlock(memories, opts = {}) {
@@ -67,26 +216,16 @@ export function formatContextBlock(memories, opts = {}) {
     maxItems = 10,
     maxChars = 500,
     budget = 3000,
-    header = "Relevant memories from MemOS:",
+    header = CONTEXT_HEADER,
   } = opts;
   if (!memories?.length) return "";
 
   const items = memories.slice(0, maxItems);
   // Adaptive truncation: distribute budget across items
   const perItem = Math.min(maxChars, Math.floor(budget / Math.max(items.length, 1)));
+  const entries = contextEntries(items, { maxChars: perItem });
 
-  const parts = [header];
-  for (const mem of items) {
-    const content = getMemoryContent(mem);
-    if (!content) continue;
-    const truncated =
-      content.length > perItem ? content.slice(0, perItem) + "…" : content;
-    const recency = _formatRecency(mem);
-    const tags = mem.tags?.length ? ` [${mem.tags.join(", ")}]` : "";
-    parts.push(`- ${recency ? recency + " " : ""}${truncated}${tags}`);
-  }
-
-  return parts.length <= 1 ? "" : parts.join("\n");
+  return entries.length === 0 ? "" : [header, ...entries.map(renderEntry)].join("\n");
 }
 
 /**
@@ -121,21 +260,8 @@ function _formatRecency(mem) {
  */
 export function formatSkillBlock(skillMemories, opts = {}) {
   const { maxItems = 3 } = opts;
-  if (!skillMemories?.length) return "";
-
-  const parts = ["Relevant skills from MemOS:"];
-  for (const mem of skillMemories.slice(0, maxItems)) {
-    const meta = mem.metadata || mem;
-    const name = meta.name || meta.key || "unnamed";
-    const desc = meta.description || getMemoryContent(mem) || "";
-    const procedure = meta.procedure || "";
-
-    let entry = `- [Skill: ${name}] ${desc}`;
-    if (procedure) entry += `\n  Procedure: ${procedure.length > 300 ? procedure.slice(0, 300) + "…" : procedure}`;
-    parts.push(entry);
-  }
-
-  return parts.length <= 1 ? "" : parts.join("\n");
+  const entries = skillEntries(skillMemories?.slice(0, maxItems));
+  return entries.length === 0 ? "" : [SKILL_HEADER, ...entries.map(renderEntry)].join("\n");
 }
 
 /**
@@ -147,15 +273,6 @@ export function formatSkillBlock(skillMemories, opts = {}) {
  */
 export function formatPrefBlock(prefMemories, opts = {}) {
   const { maxItems = 3, maxChars = 300 } = opts;
-  if (!prefMemories?.length) return "";
-
-  const parts = ["User preferences from MemOS:"];
-  for (const mem of prefMemories.slice(0, maxItems)) {
-    const content = getMemoryContent(mem);
-    if (!content) continue;
-    const truncated = content.length > maxChars ? content.slice(0, maxChars) + "…" : content;
-    parts.push(`- [Preference] ${truncated}`);
-  }
-
-  return parts.length <= 1 ? "" : parts.join("\n");
+  const entries = prefEntries(prefMemories?.slice(0, maxItems), { maxChars });
+  return entries.length === 0 ? "" : [PREF_HEADER, ...entries.map(renderEntry)].join("\n");
 }
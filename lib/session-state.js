@@ -0,0 +1,153 @@
+/**
+ * Session- and Agent-Scoped State
+ *
+ * Per-conversation hook state (compaction window, todo-remind cooldown,
+ * extraction throttle) keyed by agent ID + session key from the hook
+ * event/context, so one session's compaction does not put every other
+ * session on the gateway into post-compaction mode.
+ *
+ * Idle sessions are evicted after {@link configureSessionState} `idleTtlMs`.
+ *
+ * @module lib/session-state
+ */
+import { runWithAgentScope } from "./client.js";
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+const _settings = {
+  idleTtlMs: 60 * 60 * 1000,
+  maxSessions: 500,
+  postCompactionWindowMs: 2 * 60 * 1000,
+};
+
+/** @type {Map<string, SessionState>} */
+const _sessions = new Map();
+let _lastSweep = 0;
+
+/**
+ * @typedef {object} SessionState
+ * @property {string} agentId
+ * @property {string} sessionKey
+ * @property {number} lastSeen
+ * @property {number} lastCompactionTime
+ * @property {number} compactionCount
+ * @property {number} lastTodoRemindTime
+ * @property {number} lastExtractionTime
+ * @property {import("./usage-tracking.js").InjectedMemory[]|null} injected - Memories shown this turn, until agent_end
+ * @property {() => boolean} isPostCompaction
+ */
+
+/**
+ * Apply session tunables from plugin config.
+ * @param {{ idleTtlMs?: number, maxSessions?: number, postCompactionWindowMs?: number }} [cfg]
+ */
+export function configureSessionState(cfg = {}) {
+  if (cfg.idleTtlMs > 0) _settings.idleTtlMs = cfg.idleTtlMs;
+  if (cfg.maxSessions > 0) _settings.maxSessions = cfg.maxSessions;
+  if (cfg.postCompactionWindowMs >= 0) _settings.postCompactionWindowMs = cfg.postCompactionWindowMs;
+}
+
+/**
+ * Pull agent + session identity out of a hook invocation.
+ * OpenClaw passes these on the hook context; some events carry them too.
+ *
+ * @param {object} [event]
+ * @param {object} [ctx]
+ * @returns {{ agentId: string, sessionKey: string }}
+ */
+export function resolveScope(event, ctx) {
+  const agentId = ctx?.agentId || event?.agentId || "default";
+  const sessionKey =
+    ctx?.sessionKey || ctx?.sessionId || event?.sessionKey || event?.sessionId || event?.session?.id || "default";
+  return { agentId, sessionKey };
+}
+
+/** Drop sessions idle past the TTL; if still over the cap, drop least recently seen. */
+function _sweep(now) {
+  _lastSweep = now;
+  const cutoff = now - _settings.idleTtlMs;
+  for (const [key, s] of _sessions) {
+    if (s.lastSeen < cutoff) _sessions.delete(key);
+  }
+  if (_sessions.size > _settings.maxSessions) {
+    const byAge = [..._sessions.entries()].sort((a, b) => a[1].lastSeen - b[1].lastSeen);
+    for (const [key] of byAge.slice(0, _sessions.size - _settings.maxSessions)) _sessions.delete(key);
+  }
+}
+
+/**
+ * Get (or create) the state for the session a hook fired in.
+ *
+ * @param {object} [event]
+ * @param {object} [ctx]
+ * @returns {SessionState}
+ */
+export function getSessionState(event, ctx) {
+  const now = Date.now();
+  if (now - _lastSweep > SWEEP_INTERVAL_MS || _sessions.size > _settings.maxSessions) _sweep(now);
+
+  const { agentId, sessionKey } = resolveScope(event, ctx);
+  const key = `${agentId}:${sessionKey}`;
+  let s = _sessions.get(key);
+  if (!s) {
+    s = {
+      agentId,
+      sessionKey,
+      lastSeen: now,
+      lastCompactionTime: 0,
+      compactionCount: 0,
+      lastTodoRemindTime: 0,
+      lastExtractionTime: 0,
+      injected: null,
+      isPostCompaction() {
+        return (
+          this.lastCompactionTime > 0 &&
+          Date.now() - this.lastCompactionTime < _settings.postCompactionWindowMs
+        );
+      },
+    };
+    _sessions.set(key, s);
+  }
+  s.lastSeen = now;
+  return s;
+}
+
+/**
+ * Number of live sessions (for stats).
+ * @returns {number}
+ */
+export function getSessionCount() {
+  return _sessions.size;
+}
+
+/**
+ * Wrap a hook handler so everything it does runs in the calling agent's
+ * scope — memory user/cube IDs resolve per agent when agent scoping is on.
+ *
+ * @template {(event: object, ctx?: object) => any} H
+ * @param {H} handler
+ * @returns {H}
+ */
+export function scopedHandler(handler) {
+  return (event, ctx) => {
+    const { agentId } = resolveScope(event, ctx);
+    return runWithAgentScope(agentId, () => handler(event, ctx));
+  };
+}
+
+/**
+ * Wrap a tool so it is registered as a factory: OpenClaw builds it per run
+ * with the calling agent/session on the tool context, and `execute` runs in
+ * that agent's scope. `execute` receives the resolved scope as its second
+ * argument.
+ *
+ * @template {{ execute: (params: object, scope: { agentId: string, sessionKey: string }) => any }} T
+ * @param {T} tool
+ * @returns {(ctx?: object) => T}
+ */
+export function scopedTool(tool) {
+  return (ctx) => {
+    const scope = resolveScope(null, ctx);
+    return { ...tool, execute: (params) => runWithAgentScope(scope.agentId, () => tool.execute(params, scope)) };
+  };
+}
@@ -10,12 +10,22 @@
 export const stats = {
   startedAt: Date.now(),
   search:     { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, errors: 0 },
-  rerank:     { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, errors: 0, kept: 0, total: 0 },
-  injection:  { count: 0, skip: 0, retrieve: 0, force: 0, memoriesInjected: 0, postCompaction: 0 },
-  extraction: { count: 0, throttled: 0, byType: {}, dedupSkips: 0, memoriesSaved: 0 },
-  compaction: { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, entriesSaved: 0, entriesSkipped: 0, entriesFailed: 0 },
+  searchCache: { hits: 0, misses: 0, invalidated: 0 },
+  rerank:     { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, errors: 0, kept: 0, total: 0, lexical: 0, llmSkipped: 0, cacheHits: 0, scores: {} },
+  injection:  { count: 0, skip: 0, retrieve: 0, force: 0, memoriesInjected: 0, postCompaction: 0, tokens: 0, omitted: 0, temporal: 0 },
+  extraction: { count: 0, throttled: 0, byType: {}, dedupSkips: 0, memoriesSaved: 0, corrections: 0, contradictions: 0, refinements: 0 },
+  compaction: { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, entriesSaved: 0, entriesQueued: 0, entriesSkipped: 0, entriesFailed: 0 },
   toolTrace:  { count: 0 },
   ticktick:   { taskCreated: 0, taskCompleted: 0, projectsResolved: 0, projectsCreated: 0, errors: 0 },
+  outbox:     { queued: 0, replayed: 0, dropped: 0 },
+  circuit:    { opened: 0, rejected: 0 },
+  writeBatch: { flushes: 0, items: 0 },
+  dedup:      { indexHits: 0, backendHits: 0, seenAgain: 0 },
+  llm:        { calls: 0, fallbacks: 0, errors: 0 },
+  intent:     { routed: 0, llm: 0, typedSearches: 0 },
+  ranking:    { count: 0, superseded: 0 },
+  usage:      { used: 0, ignored: 0 },
+  tools:      { search: 0, remember: 0, forgotten: 0, corrected: 0 },
   hooks:      { totalMs: 0, count: 0, minMs: Infinity, maxMs: 0 },
 };
 
@@ -67,12 +77,22 @@ export function getStats() {
 export function resetStats() {
   stats.startedAt = Date.now();
   stats.search     = { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, errors: 0 };
-  stats.rerank     = { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, errors: 0, kept: 0, total: 0 };
-  stats.injection  = { count: 0, skip: 0, retrieve: 0, force: 0, memoriesInjected: 0, postCompaction: 0 };
-  stats.extraction = { count: 0, throttled: 0, byType: {}, dedupSkips: 0, memoriesSaved: 0 };
-  stats.compaction = { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, entriesSaved: 0, entriesSkipped: 0, entriesFailed: 0 };
+  stats.searchCache = { hits: 0, misses: 0, invalidated: 0 };
+  stats.rerank     = { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, errors: 0, kept: 0, total: 0, lexical: 0, llmSkipped: 0, cacheHits: 0, scores: {} };
+  stats.injection  = { count: 0, skip: 0, retrieve: 0, force: 0, memoriesInjected: 0, postCompaction: 0, tokens: 0, omitted: 0, temporal: 0 };
+  stats.extraction = { count: 0, throttled: 0, byType: {}, dedupSkips: 0, memoriesSaved: 0, corrections: 0, contradictions: 0, refinements: 0 };
+  stats.compaction = { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0, entriesSaved: 0, entriesQueued: 0, entriesSkipped: 0, entriesFailed: 0 };
   stats.toolTrace  = { count: 0, skillsExtracted: 0 };
   stats.ticktick   = { taskCreated: 0, taskCompleted: 0, projectsResolved: 0, projectsCreated: 0, errors: 0 };
+  stats.outbox     = { queued: 0, replayed: 0, dropped: 0 };
+  stats.circuit    = { opened: 0, rejected: 0 };
+  stats.writeBatch = { flushes: 0, items: 0 };
+  stats.dedup      = { indexHits: 0, backendHits: 0, seenAgain: 0 };
+  stats.llm        = { calls: 0, fallbacks: 0, errors: 0 };
+  stats.intent     = { routed: 0, llm: 0, typedSearches: 0 };
+  stats.ranking    = { count: 0, superseded: 0 };
+  stats.usage      = { used: 0, ignored: 0 };
+  stats.tools      = { search: 0, remember: 0, forgotten: 0, corrected: 0 };
   stats.hooks      = { totalMs: 0, count: 0, minMs: Infinity, maxMs: 0 };
 }
 
@@ -100,23 +120,80 @@ export function formatStats() {
 
   lines.push(`Search: ${s.count} calls, avg ${fmtAvg(s.totalMs, s.count)}${fmtRange(s)}, ${s.errors} errors`);
 
+  const sc = stats.searchCache;
+  if (sc.hits + sc.misses > 0) {
+    lines.push(`Search cache: ${sc.hits} hits / ${sc.misses} misses (${Math.round(sc.hits / (sc.hits + sc.misses) * 100)}%), ${sc.invalidated} invalidated by writes`);
+  }
+
   const rerankPct = r.total > 0 ? `${Math.round(r.kept / r.total * 100)}%` : "0%";
   lines.push(`Rerank: ${r.count} calls, avg ${fmtAvg(r.totalMs, r.count)}${fmtRange(r)}, ${r.errors} errors, kept ${r.kept}/${r.total} (${rerankPct})`);
+  const scoreDist = Object.entries(r.scores).sort(([a], [b]) => a - b).map(([k, v]) => `${k}:${v}`).join(" ");
+  if (scoreDist || r.cacheHits > 0) {
+    lines.push(`Rerank scores: ${scoreDist || "none"}, ${r.cacheHits} cache hits`);
+  }
+  if (r.lexical > 0) {
+    lines.push(`Lexical rerank: ${r.lexical} passes, ${r.llmSkipped} LLM calls skipped`);
+  }
 
-  lines.push(`Injection: ${inj.count} total (${inj.retrieve} retrieve, ${inj.skip} skip, ${inj.force} force), ${inj.postCompaction} post-compaction, ${inj.memoriesInjected} memories`);
+  lines.push(`Injection: ${inj.count} total (${inj.retrieve} retrieve, ${inj.skip} skip, ${inj.force} force), ${inj.postCompaction} post-compaction, ${inj.memoriesInjected} memories, avg ~${Math.round(avg(inj.tokens, inj.count))} tokens, ${inj.omitted} omitted, ${inj.temporal} time-filtered`);
 
   const byTypeStr = Object.entries(ext.byType).map(([k, v]) => `${k}:${v}`).join(", ") || "none";
-  lines.push(`Extraction: ${ext.count} runs (${ext.throttled} throttled), ${ext.memoriesSaved} saved, ${ext.dedupSkips} dedup skips [${byTypeStr}]`);
+  lines.push(`Extraction: ${ext.count} runs (${ext.throttled} throttled), ${ext.memoriesSaved} saved, ${ext.dedupSkips} dedup skips, ${ext.corrections} corrections, ${ext.contradictions} contradictions, ${ext.refinements} refinements [${byTypeStr}]`);
 
-  lines.push(`Compaction: ${c.count} runs, avg ${fmtAvg(c.totalMs, c.count)}${fmtRange(c)}, ${c.entriesSaved} saved / ${c.entriesSkipped} skipped / ${c.entriesFailed} failed`);
+  lines.push(`Compaction: ${c.count} runs, avg ${fmtAvg(c.totalMs, c.count)}${fmtRange(c)}, ${c.entriesSaved} saved / ${c.entriesQueued} queued / ${c.entriesSkipped} skipped / ${c.entriesFailed} failed`);
 
   lines.push(`Tool traces: ${tt.count} captured`);
 
+  const rk = stats.ranking;
+  if (rk.count > 0) {
+    lines.push(`Ranking: ${rk.count} passes, ${rk.superseded} older conflicting memories dropped`);
+  }
+
+  const us = stats.usage;
+  if (us.used + us.ignored > 0) {
+    lines.push(`Memory usage: ${us.used} injected memories used, ${us.ignored} ignored (${Math.round(us.used / (us.used + us.ignored) * 100)}% used)`);
+  }
+
+  const tl = stats.tools;
+  if (tl.search + tl.remember + tl.forgotten + tl.corrected > 0) {
+    lines.push(`Memory tools: ${tl.search} searches, ${tl.remember} remembered, ${tl.forgotten} forgotten, ${tl.corrected} corrected`);
+  }
+
+  const it = stats.intent;
+  if (it.routed + it.llm > 0) {
+    lines.push(`Intent routing: ${it.routed} prompts routed, ${it.typedSearches} typed searches, ${it.llm} LLM classifications`);
+  }
+
+  const wb = stats.writeBatch;
+  if (wb.flushes > 0) {
+    lines.push(`Writes: ${wb.items} adds in ${wb.flushes} batches (avg ${(wb.items / wb.flushes).toFixed(1)}/batch)`);
+  }
+
+  const llm = stats.llm;
+  if (llm.calls > 0) {
+    lines.push(`LLM: ${llm.calls} calls, ${llm.fallbacks} fallbacks, ${llm.errors} failed on every provider`);
+  }
+
+  const dd = stats.dedup;
+  if (dd.seenAgain > 0) {
+    lines.push(`Dedup: ${dd.seenAgain} re-seen facts not rewritten (${dd.indexHits} index hits, ${dd.backendHits} backend hits)`);
+  }
+
   const tick = stats.ticktick;
   if (tick.taskCreated || tick.errors) {
     lines.push(`TickTick: ${tick.taskCreated} created, ${tick.taskCompleted} completed, ${tick.projectsResolved} resolved, ${tick.projectsCreated} new projects, ${tick.errors} errors`);
   }
 
+  const ob = stats.outbox;
+  if (ob.queued || ob.replayed || ob.dropped) {
+    lines.push(`Outbox: ${ob.queued} queued, ${ob.replayed} replayed, ${ob.dropped} dropped`);
+  }
+
+  const cb = stats.circuit;
+  if (cb.opened || cb.rejected) {
+    lines.push(`Circuit breaker: ${cb.opened} opened, ${cb.rejected} calls rejected`);
+  }
+
   const h = stats.hooks;
   if (h.count > 0) {
     lines.push(`Hooks: ${h.count} total, avg ${fmtAvg(h.totalMs, h.count)}${fmtRange(h)}`);
@@ -6,7 +6,8 @@
  *
  * @module lib/summarize
  */
-import { callApi, getMemosUserId, getMemosCubeId, Timeouts, LOG_PREFIX } from "./client.js";
+import { Timeouts, LOG_PREFIX } from "./client.js";
+import { complete } from "./llm.js";
 import { parseJSON } from "./utils.js";
 
 // ─── Message helpers ────────────────────────────────────────────────
@@ -132,13 +133,11 @@ Conversation:
 ${transcript}`;
 
   try {
-    const result = await callApi(
-      "/product/chat/complete",
-      { query: prompt, user_id: getMemosUserId(), readable_cube_ids: [getMemosCubeId()], enable_memory: false },
-      { retries: 1, timeoutMs: Timeouts.SUMMARIZE },
-    );
-
-    const text = result?.data?.response || result?.response || "";
+    const text = await complete("summarize", prompt, {
+      retries: 1,
+      timeoutMs: Timeouts.SUMMARIZE,
+      json: true,
+    });
     const parsed = parseJSON(text, "summarization");
     if (!Array.isArray(parsed)) return [];
 
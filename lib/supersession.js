@@ -0,0 +1,155 @@
+/**
+ * Supersession Chains
+ *
+ * Append-only corrections: a memory that replaces an older one ("The user
+ * lives in Berlin" after "… in Munich") is written as a new record with
+ * `info.correction = true`, `info.supersedes` (old ID) and
+ * `info.supersedes_hash` (old `content_hash`). Nothing is changed on the
+ * old record — like task updates in {@link module:lib/task-manager}, the
+ * state is reconciled at read time: retrieval collapses each chain to its
+ * newest member ({@link module:lib/search}), and the older versions stay
+ * in the backend as history (`memos_search` with `include_superseded`).
+ *
+ * Corrections are loaded from the backend on first use and refreshed every
+ * REFRESH_MS; corrections written by this process apply immediately. The
+ * index is kept per read scope (agent user + read cubes): a correction
+ * keyed by `content_hash` must not hide the same text in another agent's
+ * cubes.
+ *
+ * @module lib/supersession
+ */
+import { LOG_PREFIX, Timeouts } from "./client.js";
+import { getBackend } from "./backend.js";
+import { getReadCubes, getReadScopeKey } from "./cube-routing.js";
+import { getInfo } from "./utils.js";
+
+const REFRESH_MS = 10 * 60_000;
+const RETRY_MS = 60_000;
+/** Most corrections read back from the backend per refresh. */
+const LOAD_LIMIT = 500;
+/** Guard against cycles in malformed chains. */
+const MAX_CHAIN = 50;
+
+/**
+ * @typedef {object} ScopeIndex
+ * @property {Map<string, string>} next - Older ID / content_hash → newer ID (or content_hash)
+ * @property {Map<string, string>} prev - Newer → older, for history
+ * @property {number} nextLoad
+ * @property {Promise<void>|null} loading
+ */
+
+/** @type {Map<string, ScopeIndex>} read scope → index */
+const _scopes = new Map();
+
+/** @returns {ScopeIndex} Index of the active read scope */
+function _index() {
+  const key = getReadScopeKey();
+  let index = _scopes.get(key);
+  if (!index) _scopes.set(key, (index = { next: new Map(), prev: new Map(), nextLoad: 0, loading: null }));
+  return index;
+}
+
+/**
+ * @typedef {object} Supersession
+ * @property {string} [id] - Newer memory's ID (may be unknown for queued writes)
+ * @property {string} [hash] - Newer memory's `content_hash`
+ * @property {string} [supersedes] - Older memory's ID
+ * @property {string} [supersedes_hash] - Older memory's `content_hash`
+ */
+
+/**
+ * Info fields marking a memory as the correction of `old`.
+ * @param {{ id?: string|null, info?: object }} old - The superseded memory
+ * @param {{ reason?: string }} [opts]
+ * @returns {object}
+ */
+export function correctionInfo(old, { reason } = {}) {
+  const info = { correction: true, corrected_at: new Date().toISOString() };
+  if (old.id) info.supersedes = old.id;
+  if (old.info?.content_hash) info.supersedes_hash = old.info.content_hash;
+  if (reason) info.correction_reason = reason;
+  return info;
+}
+
+/**
+ * Register supersessions in the active scope's in-process index.
+ * @param {Supersession[]} entries
+ */
+export function addSupersessions(entries) {
+  const { next, prev } = _index();
+  for (const e of entries) {
+    const newer = e.id || e.hash;
+    if (!newer) continue;
+    for (const older of [e.supersedes, e.supersedes_hash]) {
+      if (!older || older === newer) continue;
+      next.set(older, newer);
+      if (!prev.has(newer)) prev.set(newer, older);
+    }
+  }
+}
+
+/**
+ * Load (or refresh) corrections from the active scope's read cubes.
+ * Failures keep the current index and retry after RETRY_MS.
+ * @returns {Promise<void>}
+ */
+export async function loadSupersessions() {
+  const index = _index();
+  if (Date.now() < index.nextLoad) return;
+  if (!index.loading) {
+    index.loading = (async () => {
+      try {
+        const result = await getBackend().search(
+          {
+            query: "corrected memory",
+            topK: LOAD_LIMIT,
+            filter: { correction: true },
+            cubeIds: getReadCubes().map((c) => c.cubeId),
+          },
+          { timeoutMs: Timeouts.SEARCH },
+        );
+        addSupersessions((result?.textMemories || []).map((mem) => {
+          const info = getInfo(mem);
+          return { id: mem.id || mem.memory_id, hash: info.content_hash, supersedes: info.supersedes, supersedes_hash: info.supersedes_hash };
+        }));
+        index.nextLoad = Date.now() + REFRESH_MS;
+      } catch (err) {
+        index.nextLoad = Date.now() + RETRY_MS;
+        console.warn(LOG_PREFIX, "Supersession load failed:", err.message);
+      } finally {
+        index.loading = null;
+      }
+    })();
+  }
+  return index.loading;
+}
+
+/**
+ * The memory that replaced this one, if any.
+ * @param {object} mem
+ * @returns {string|null} Newer memory's ID (or content_hash)
+ */
+export function supersededBy(mem) {
+  const id = mem.id || mem.memory_id;
+  const hash = getInfo(mem).content_hash;
+  const { next } = _index();
+  return (id && next.get(id)) || (hash && next.get(hash)) || null;
+}
+
+/**
+ * Versions of a memory, newest first, as far as the index knows them.
+ * @param {string} key - ID or content_hash of any member of the chain
+ * @returns {string[]}
+ */
+export function supersessionChain(key) {
+  const { next, prev } = _index();
+  let newest = key;
+  for (let i = 0; i < MAX_CHAIN && next.has(newest); i++) newest = next.get(newest);
+  const chain = [newest];
+  for (let cur = newest; chain.length < MAX_CHAIN && prev.has(cur);) {
+    cur = prev.get(cur);
+    if (chain.includes(cur)) break;
+    chain.push(cur);
+  }
+  return chain;
+}
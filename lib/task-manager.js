@@ -15,6 +15,7 @@ import { searchTextMemories } from "./search.js";
 import { LOG_PREFIX, isDuplicateMemory, markMemoryAdded, Timeouts } from "./client.js";
 import { getInfo, generateTaskId } from "./utils.js";
 import { normalizeDate } from "./ticktick.js";
+import { importanceFor } from "./memory-types.js";
 
 // ── Create ──
 
@@ -38,6 +39,7 @@ export async function createTask(title, { priority = "P2", due_date, start_date,
     title,
     priority,
     task_created_at: normalizeDate(new Date()),
+    importance: importanceFor("task", { priority }),
   };
   if (due_date) info.due_date = normalizeDate(due_date) || due_date;
   if (start_date) info.start_date = normalizeDate(start_date) || start_date;
@@ -142,6 +144,8 @@ export async function completeTask(taskId, outcome = "") {
 
 // ── Format ──
 
+export const TASK_HEADER = "\u{1F4CB} Tasks:";
+
 /**
  * Format a task list for context injection.
  * @param {Array} tasks
@@ -149,12 +153,21 @@ export async function completeTask(taskId, outcome = "") {
  */
 export function formatTaskList(tasks) {
   if (!tasks?.length) return "";
-  const lines = ["\u{1F4CB} Tasks:"];
-  for (const t of tasks.slice(0, 8)) {
-    const emoji = t.priority === "P0" ? "\u{1F534}" : t.priority === "P1" ? "\u{1F7E0}" : "\u{1F7E1}";
-    const proj = t.project ? ` [${t.project}]` : "";
-    lines.push(`${emoji} ${t.title} [${t.priority}]${proj}${t.due_date ? " \u23F0 " + t.due_date : ""}`);
-  }
+  const lines = [TASK_HEADER, ...taskEntries(tasks.slice(0, 8)).map((e) => `${e.prefix}${e.text}`)];
   if (tasks.length > 8) lines.push(`  ... and ${tasks.length - 8} more`);
   return lines.join("\n");
 }
+
+/**
+ * Tasks as context entries for the context assembler
+ * (see {@link module:lib/context-assembler}).
+ * @param {Array} tasks
+ * @returns {Array<{ prefix: string, text: string }>}
+ */
+export function taskEntries(tasks) {
+  return (tasks || []).map((t) => {
+    const emoji = t.priority === "P0" ? "\u{1F534}" : t.priority === "P1" ? "\u{1F7E0}" : "\u{1F7E1}";
+    const proj = t.project ? ` [${t.project}]` : "";
+    return { prefix: `${emoji} `, text: `${t.title} [${t.priority}]${proj}${t.due_date ? " \u23F0 " + t.due_date : ""}` };
+  });
+}
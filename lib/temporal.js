@@ -0,0 +1,322 @@
+/**
+ * Temporal Expression Parser (EN / RU)
+ *
+ * Turns time references in a prompt into a date range for retrieval:
+ *   "yesterday", "last week", "in the past 3 days", "2 weeks ago",
+ *   "last Tuesday", "in January", "since the release in January",
+ *   "before March 2025", "2026-01-15", "recently"
+ *   "вчера", "на прошлой неделе", "за последние 3 дня", "неделю назад",
+ *   "в прошлый вторник", "в январе", "с января", "до марта", "недавно"
+ *
+ * Ranges are half-open `[from, to)` in local time; weeks start on Monday.
+ * "since …" / "с …" keeps the start and runs to now, "before …" / "до …"
+ * ends where the expression starts.
+ *
+ * The range becomes a `created_at` filter (`{ gte, lt }` ISO strings) on
+ * {@link module:lib/search.searchMemories}, which post-filters by hit
+ * timestamps when the backend can't filter by date itself.
+ *
+ * @module lib/temporal
+ */
+import { getInfo } from "./utils.js";
+
+const RECENT_DAYS = 14;
+
+/** Unicode-aware word edges (`\b` is ASCII-only). */
+const L = "(?<![\\p{L}\\p{N}])";
+const R = "(?![\\p{L}\\p{N}])";
+
+const MONTHS_EN = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const MONTHS_EN_SHORT = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+/** Stems that cover the nominative / genitive / prepositional forms. */
+const MONTHS_RU = ["январ", "феврал", "март", "апрел", "ма[йяе]", "июн", "июл", "август", "сентябр", "октябр", "ноябр", "декабр"];
+
+const WEEKDAYS_EN = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+/** Accusative forms as in "в прошлый вторник", "в среду". */
+const WEEKDAYS_RU = ["воскресенье", "понедельник", "вторник", "среду", "четверг", "пятницу", "субботу"];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  couple: 2, few: 3, several: 3,
+  один: 1, одну: 1, два: 2, две: 2, три: 3, четыре: 4, пять: 5, шесть: 6, семь: 7, восемь: 8, девять: 9, десять: 10,
+  пару: 2, несколько: 3,
+};
+const NUM = "(\\d{1,3}|a|an|one|two|three|four|five|six|seven|eight|nine|ten|a couple of|couple of|a few|few|several|один|одну|два|две|три|четыре|пять|шесть|семь|восемь|девять|десять|пару|несколько)";
+
+const UNIT_EN = "(day|week|month|year)s?";
+const UNIT_RU = "(день|дня|дней|сутки|суток|недел[юиья]|недель|месяц|месяца|месяцев|год|года|лет)";
+
+/**
+ * @typedef {object} TemporalRange
+ * @property {Date|null} from - Inclusive start (null = open)
+ * @property {Date|null} to - Exclusive end (null = now / open)
+ * @property {string} expression - Matched text, e.g. "last week"
+ */
+
+// ── Date helpers (local time) ──
+
+function _startOfDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function _addDays(d, n) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+function _startOfWeek(d) {
+  const day = _startOfDay(d);
+  return _addDays(day, -((day.getDay() + 6) % 7));
+}
+
+function _dayRange(d) {
+  const from = _startOfDay(d);
+  return { from, to: _addDays(from, 1) };
+}
+
+function _monthRange(year, month) {
+  return { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
+}
+
+/** @param {string} word @returns {number} */
+function _number(word) {
+  const w = word.toLowerCase().replace(/^a (?=couple|few)|(?<=couple) of$/g, "").trim();
+  return /^\d+$/.test(w) ? parseInt(w, 10) : NUMBER_WORDS[w] ?? NUMBER_WORDS[w.split(" ")[0]] ?? 1;
+}
+
+/** @param {string} unit @returns {"day"|"week"|"month"|"year"} */
+function _unit(unit) {
+  const u = unit.toLowerCase();
+  if (/^(day|дн|ден|сут)/.test(u)) return "day";
+  if (/^(week|недел)/.test(u)) return "week";
+  if (/^(month|месяц)/.test(u)) return "month";
+  return "year";
+}
+
+/** Start of "n units back from today". */
+function _back(now, n, unit) {
+  const today = _startOfDay(now);
+  if (unit === "day") return _addDays(today, -n);
+  if (unit === "week") return _addDays(today, -7 * n);
+  if (unit === "month") return new Date(today.getFullYear(), today.getMonth() - n, today.getDate());
+  return new Date(today.getFullYear() - n, today.getMonth(), today.getDate());
+}
+
+/** Most recent `weekday` strictly before today (`inclusive`: today counts). */
+function _lastWeekday(now, weekday, inclusive) {
+  const today = _startOfDay(now);
+  let diff = (today.getDay() - weekday + 7) % 7;
+  if (diff === 0 && !inclusive) diff = 7;
+  return _addDays(today, -diff);
+}
+
+/** Month without a year: the current one or the most recent past one. */
+function _pastMonth(now, month, year) {
+  if (year) return _monthRange(year, month);
+  return _monthRange(month > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear(), month);
+}
+
+function _monthIndexEn(word) {
+  const w = word.toLowerCase();
+  const i = MONTHS_EN.indexOf(w);
+  return i >= 0 ? i : MONTHS_EN_SHORT.indexOf(w.slice(0, 3));
+}
+
+function _monthIndexRu(word) {
+  const w = word.toLowerCase();
+  return MONTHS_RU.findIndex((stem) => new RegExp(`^${stem}`, "u").test(w));
+}
+
+// ── Rules: most specific first ──
+
+const MONTH_EN_RE = `(${MONTHS_EN.join("|")}|${MONTHS_EN_SHORT.join("|")})\\.?`;
+const MONTH_RU_RE = `((?:${MONTHS_RU.join("|")})[\\p{L}]{0,3})`;
+
+/** @type {Array<{ re: RegExp, range: (m: RegExpMatchArray, now: Date) => { from: Date|null, to: Date|null }|null }>} */
+const RULES = [
+  // ISO date
+  {
+    re: new RegExp(`${L}(\\d{4})-(\\d{2})-(\\d{2})${R}`, "u"),
+    range: (m) => _dayRange(new Date(+m[1], +m[2] - 1, +m[3])),
+  },
+  // "Jan 15", "January 15th 2026", "15 January", "15 января"
+  {
+    re: new RegExp(`${L}${MONTH_EN_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${R}`, "iu"),
+    range: (m, now) => _dayOf(now, _monthIndexEn(m[1]), +m[2], m[3]),
+  },
+  {
+    re: new RegExp(`${L}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_EN_RE}(?:,?\\s+(\\d{4}))?${R}`, "iu"),
+    range: (m, now) => _dayOf(now, _monthIndexEn(m[2]), +m[1], m[3]),
+  },
+  {
+    re: new RegExp(`${L}(\\d{1,2})\\s+${MONTH_RU_RE}(?:\\s+(\\d{4}))?${R}`, "iu"),
+    range: (m, now) => _dayOf(now, _monthIndexRu(m[2]), +m[1], m[3]),
+  },
+  // today / yesterday / day before yesterday
+  { re: new RegExp(`${L}(?:the )?day before yesterday${R}|${L}позавчера${R}`, "iu"), range: (m, now) => _dayRange(_addDays(now, -2)) },
+  { re: new RegExp(`${L}(?:yesterday|вчера)${R}`, "iu"), range: (m, now) => _dayRange(_addDays(now, -1)) },
+  { re: new RegExp(`${L}(?:today|this morning|earlier today|сегодня|утром)${R}`, "iu"), range: (m, now) => _dayRange(now) },
+  // last/past N units, за последние N дней
+  {
+    re: new RegExp(`${L}(?:in |over |during |for )?(?:the )?(?:last|past)\\s+${NUM}\\s+${UNIT_EN}${R}`, "iu"),
+    range: (m, now) => ({ from: _back(now, _number(m[1]), _unit(m[2])), to: null }),
+  },
+  {
+    re: new RegExp(`${L}за\\s+(?:последние|последних|прошедшие)\\s+${NUM}\\s+${UNIT_RU}${R}`, "iu"),
+    range: (m, now) => ({ from: _back(now, _number(m[1]), _unit(m[2])), to: null }),
+  },
+  {
+    re: new RegExp(`${L}за\\s+(?:последн(?:юю|ий|ие)|прошедш(?:ую|ий))\\s+(недел[юи]|месяц|год)${R}`, "iu"),
+    range: (m, now) => ({ from: _back(now, 1, _unit(m[1])), to: null }),
+  },
+  // N units ago
+  {
+    re: new RegExp(`${L}${NUM}\\s+${UNIT_EN}\\s+ago${R}`, "iu"),
+    range: (m, now) => _agoRange(now, _number(m[1]), _unit(m[2])),
+  },
+  {
+    re: new RegExp(`${L}(?:${NUM}\\s+)?${UNIT_RU}\\s+назад${R}`, "iu"),
+    range: (m, now) => _agoRange(now, m[1] ? _number(m[1]) : 1, _unit(m[2])),
+  },
+  // this/last week|month|year
+  {
+    re: new RegExp(`${L}(this|last|previous|past)\\s+(week|month|year)${R}`, "iu"),
+    range: (m, now) => _calendarRange(now, m[2].toLowerCase(), /^this$/i.test(m[1]) ? 0 : 1),
+  },
+  {
+    re: new RegExp(`${L}(?:на|в|за)\\s+(эт(?:ой|ом|у)|прошл(?:ой|ом|ую|ый))\\s+(неделе|неделю|месяце|месяц|году|год)${R}`, "iu"),
+    range: (m, now) => _calendarRange(now, _unit(m[2]), /^эт/i.test(m[1]) ? 0 : 1),
+  },
+  // last Tuesday / on Tuesday / в прошлый вторник / во вторник
+  {
+    re: new RegExp(`${L}(last|on|this past)\\s+(${WEEKDAYS_EN.join("|")})${R}`, "iu"),
+    range: (m, now) => _dayRange(_lastWeekday(now, WEEKDAYS_EN.indexOf(m[2].toLowerCase()), /^on$/i.test(m[1]))),
+  },
+  {
+    re: new RegExp(`${L}в(?:о)?\\s+(прошл(?:ый|ую|ое)\\s+)?(${WEEKDAYS_RU.join("|")})${R}`, "iu"),
+    range: (m, now) => _dayRange(_lastWeekday(now, WEEKDAYS_RU.indexOf(m[2].toLowerCase()), !m[1])),
+  },
+  // in January [2025] / в январе [2025] / January 2025 — a bare "may" / "март…" is too ambiguous
+  {
+    re: new RegExp(`${L}(?:in|during|since|before|until|till|from|after|of)\\s+${MONTH_EN_RE}(?:\\s+(\\d{4}))?${R}`, "iu"),
+    range: (m, now) => _pastMonth(now, _monthIndexEn(m[1]), m[2] ? +m[2] : null),
+  },
+  {
+    re: new RegExp(`${L}${MONTH_EN_RE}\\s+(\\d{4})${R}`, "iu"),
+    range: (m, now) => _pastMonth(now, _monthIndexEn(m[1]), +m[2]),
+  },
+  {
+    re: new RegExp(`${L}(?:в|во|с|со|до|после|к|начиная с)\\s+${MONTH_RU_RE}(?:\\s+(\\d{4}))?${R}`, "iu"),
+    range: (m, now) => _pastMonth(now, _monthIndexRu(m[1]), m[2] ? +m[2] : null),
+  },
+  {
+    re: new RegExp(`${L}${MONTH_RU_RE}\\s+(\\d{4})${R}`, "iu"),
+    range: (m, now) => _pastMonth(now, _monthIndexRu(m[1]), +m[2]),
+  },
+  // recently / недавно
+  {
+    re: new RegExp(`${L}(?:recently|lately|the other day|недавно|на днях)${R}`, "iu"),
+    range: (m, now) => ({ from: _addDays(_startOfDay(now), -RECENT_DAYS), to: null }),
+  },
+];
+
+function _dayOf(now, month, day, year) {
+  if (month < 0 || day < 1 || day > 31) return null;
+  let y = year ? +year : now.getFullYear();
+  const d = new Date(y, month, day);
+  // "Dec 20" in January means last year
+  if (!year && d > now) d.setFullYear(--y);
+  return _dayRange(d);
+}
+
+function _agoRange(now, n, unit) {
+  const at = _back(now, n, unit);
+  if (unit === "day") return _dayRange(at);
+  // "2 weeks ago" — that week, give or take: [at - unit/2, at + unit/2)
+  const half = { week: 3, month: 15, year: 182 }[unit];
+  return { from: _addDays(at, -half), to: _addDays(at, half + 1) };
+}
+
+function _calendarRange(now, unit, back) {
+  if (unit === "week") {
+    const from = _addDays(_startOfWeek(now), -7 * back);
+    return { from, to: _addDays(from, 7) };
+  }
+  if (unit === "month") return _monthRange(now.getFullYear(), now.getMonth() - back);
+  if (unit === "year") return { from: new Date(now.getFullYear() - back, 0, 1), to: new Date(now.getFullYear() - back + 1, 0, 1) };
+  return _dayRange(_addDays(now, -back));
+}
+
+const SINCE_EN = /(?:^|[^\p{L}])(since|after|starting|from)(?![\p{L}])[^.?!;]{0,40}$/iu;
+const BEFORE_EN = /(?:^|[^\p{L}])(before|until|till|prior to|up to)(?![\p{L}])[^.?!;]{0,40}$/iu;
+const SINCE_RU = /(?:^|[^\p{L}])(с|со|после|начиная с)\s*$/iu;
+const BEFORE_RU = /(?:^|[^\p{L}])(до|перед)\s*$/iu;
+
+/**
+ * Find the first time reference in `text` and turn it into a date range.
+ *
+ * @param {string} text
+ * @param {Date} [now=new Date()]
+ * @returns {TemporalRange|null}
+ */
+export function parseTemporalRange(text, now = new Date()) {
+  if (!text) return null;
+  for (const rule of RULES) {
+    const m = text.match(rule.re);
+    if (!m) continue;
+    const range = rule.range(m, now);
+    if (!range) continue;
+
+    const expression = m[0].trim();
+    const lead = `${text.slice(0, m.index)}${m[0].slice(0, m[0].length - m[0].trimStart().length)}`;
+    const word = expression.split(/\s+/)[0].toLowerCase();
+    if (SINCE_EN.test(lead) || SINCE_RU.test(lead) || ["since", "с", "со", "после", "начиная"].includes(word)) {
+      return { from: range.from, to: null, expression };
+    }
+    if (BEFORE_EN.test(lead) || BEFORE_RU.test(lead) || ["before", "until", "до"].includes(word)) {
+      return { from: null, to: range.from, expression };
+    }
+    return { from: range.from, to: range.to && range.to > now ? null : range.to, expression };
+  }
+  return null;
+}
+
+/**
+ * Range as a `created_at` filter value.
+ * @param {TemporalRange} range
+ * @returns {{ gte?: string, lt?: string }}
+ */
+export function toCreatedAtFilter(range) {
+  const f = {};
+  if (range.from) f.gte = range.from.toISOString();
+  if (range.to) f.lt = range.to.toISOString();
+  return f;
+}
+
+/**
+ * When a memory was created: `created_at` from the hit metadata (or the
+ * record itself, or info), falling back to `updated_at`.
+ * @param {object} mem
+ * @returns {number|null} epoch ms
+ */
+export function getCreatedAt(mem) {
+  const ts = mem?.metadata?.created_at ?? mem?.created_at ?? getInfo(mem).created_at
+    ?? mem?.metadata?.updated_at ?? mem?.updated_at;
+  const t = typeof ts === "number" ? ts : Date.parse(ts ?? "");
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * Does a timestamp satisfy a range filter (`gte` / `gt` / `lte` / `lt`)?
+ * @param {number|null} t - epoch ms
+ * @param {{ gte?: string, gt?: string, lte?: string, lt?: string }} range
+ * @returns {boolean} false when `t` is unknown
+ */
+export function inTimeRange(t, range) {
+  if (t == null) return false;
+  const at = (v) => Date.parse(v);
+  if (range.gte != null && !(t >= at(range.gte))) return false;
+  if (range.gt != null && !(t > at(range.gt))) return false;
+  if (range.lte != null && !(t <= at(range.lte))) return false;
+  if (range.lt != null && !(t < at(range.lt))) return false;
+  return true;
+}
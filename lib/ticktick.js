@@ -16,6 +16,7 @@ import { readFileSync } from "node:fs";
 import { join } from "node:path";
 import { homedir } from "node:os";
 import { LOG_PREFIX } from "./client.js";
+import { isDryRun, recordDryRun } from "./dry-run.js";
 
 // ─── Constants ──────────────────────────────────────────────────────
 const TICKTICK_API = "https://api.ticktick.com/open/v1";
@@ -72,6 +73,12 @@ let _projectCache = null;   // { projects: [...], fetchedAt: number }
  * @returns {Promise<any>}
  */
 async function ticktickFetch(method, endpoint, body) {
+  // Dry-run: reads go through, writes are logged with a synthetic result
+  if (method !== "GET" && isDryRun()) {
+    await recordDryRun("ticktick", { method, endpoint, payload: body ?? null });
+    return { id: `dry-run-${Date.now().toString(36)}`, ...body };
+  }
+
   const token = getToken();
   if (!token) throw new Error("No TICKTICK_ACCESS_TOKEN found");
 
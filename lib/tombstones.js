@@ -0,0 +1,87 @@
+/**
+ * Memory Tombstones
+ *
+ * Append-only "forget": instead of deleting a memory, a
+ * `_type: "memory_tombstone"` record naming it (`info.target_id`) is
+ * written, and retrieval drops the target from every search
+ * ({@link module:lib/search}). Used by `memos_forget` when `forget.mode`
+ * is "tombstone" or the backend cannot delete.
+ *
+ * The tombstone set is loaded from the backend on first use and refreshed
+ * every REFRESH_MS, separately for each read scope (agent user + read
+ * cubes); tombstones written by this process apply immediately. Targets
+ * are memory IDs, unique across cubes, so one set serves every scope.
+ * Tombstone records never contain the forgotten text.
+ *
+ * @module lib/tombstones
+ */
+import { LOG_PREFIX, Timeouts } from "./client.js";
+import { getBackend } from "./backend.js";
+import { getReadCubes, getReadScopeKey } from "./cube-routing.js";
+import { getInfo } from "./utils.js";
+
+export const TOMBSTONE_TYPE = "memory_tombstone";
+
+const REFRESH_MS = 10 * 60_000;
+const RETRY_MS = 60_000;
+/** Most tombstones read back from the backend per refresh. */
+const LOAD_LIMIT = 500;
+
+const _ids = new Set();
+/** @type {Map<string, { nextLoad: number, loading: Promise<void>|null }>} read scope → load state */
+const _loads = new Map();
+
+/**
+ * Add tombstoned targets to the in-process set.
+ * @param {string[]} ids - Forgotten memory IDs
+ */
+export function addTombstones(ids) {
+  for (const id of ids) if (id) _ids.add(id);
+}
+
+/**
+ * Load (or refresh) tombstones from the active scope's read cubes.
+ * Failures keep the current set and retry after RETRY_MS.
+ * @returns {Promise<void>}
+ */
+export async function loadTombstones() {
+  const scope = getReadScopeKey();
+  let state = _loads.get(scope);
+  if (!state) _loads.set(scope, (state = { nextLoad: 0, loading: null }));
+  if (Date.now() < state.nextLoad) return;
+  if (!state.loading) {
+    state.loading = (async () => {
+      try {
+        const result = await getBackend().search(
+          {
+            query: "forgotten memory tombstone",
+            topK: LOAD_LIMIT,
+            filter: { _type: TOMBSTONE_TYPE },
+            cubeIds: getReadCubes().map((c) => c.cubeId),
+          },
+          { timeoutMs: Timeouts.SEARCH },
+        );
+        addTombstones((result?.textMemories || []).map(getInfo).filter((info) => info._type === TOMBSTONE_TYPE).map((info) => info.target_id));
+        state.nextLoad = Date.now() + REFRESH_MS;
+      } catch (err) {
+        state.nextLoad = Date.now() + RETRY_MS;
+        console.warn(LOG_PREFIX, "Tombstone load failed:", err.message);
+      } finally {
+        state.loading = null;
+      }
+    })();
+  }
+  return state.loading;
+}
+
+/**
+ * Should this hit be hidden from retrieval? True for tombstone records
+ * themselves and for the memories they name.
+ * @param {object} mem
+ * @returns {boolean}
+ */
+export function isTombstoned(mem) {
+  if (getInfo(mem)._type === TOMBSTONE_TYPE) return true;
+  const id = mem.id || mem.memory_id;
+  return !!id && _ids.has(id);
+}
@@ -6,19 +6,27 @@
  *
  * @module lib/typed-extraction
  */
-import { callApi, getMemosUserId, getMemosCubeId, Timeouts, LOG_PREFIX } from "./client.js";
-import { parseJSON } from "./utils.js";
+import { Timeouts, LOG_PREFIX } from "./client.js";
+import { complete } from "./llm.js";
+import { parseJSON, getMemoryContent } from "./utils.js";
+import { searchMemories } from "./search.js";
+import { isTombstoned } from "./tombstones.js";
+import { supersededBy } from "./supersession.js";
 import {
   TypedExtractionPrompts,
+  FactReconcilePrompt,
   getTagsForType,
   detectRelevantTypes,
 } from "./memory-types.js";
 
+const RELATIONS = new Set(["duplicate", "refinement", "contradiction", "unrelated"]);
+
 /**
  * Extract memories of a specific type
  * @param {string} type - Memory type from MemoryTypes
  * @param {string} conversationText - Conversation to analyze
- * @returns {Promise<Array<{content: string, tags: string[], type: string}>>}
+ * @returns {Promise<Array<{content: string, tags: string[], type: string, replaces?: string}>>}
+ *   `replaces` — the earlier fact a profile / behavior correction replaces
  */
 export async function extractTypedMemories(type, conversationText) {
   const promptTemplate = TypedExtractionPrompts[type];
@@ -30,27 +38,31 @@ export async function extractTypedMemories(type, conversationText) {
   const prompt = promptTemplate.replace("{conversation}", conversationText.slice(0, 6000));
 
   try {
-    const result = await callApi(
-      "/product/chat/complete",
-      { query: prompt, user_id: getMemosUserId(), readable_cube_ids: [getMemosCubeId()], enable_memory: false },
-      { retries: 1, timeoutMs: Timeouts.EXTRACTION },
-    );
-
-    const text = result?.data?.response || result?.response || "";
+    const text = await complete("extraction", prompt, {
+      retries: 1,
+      timeoutMs: Timeouts.EXTRACTION,
+      json: true,
+    });
     const parsed = parseJSON(text, `${type} extraction`);
     if (!Array.isArray(parsed)) return [];
 
-    // Handle string arrays and task objects
+    // Handle string arrays, corrections and task objects
     return parsed
       .filter((item) => {
         if (typeof item === "string") return item.length > 10;
-        if (typeof item === "object" && item.title) return true;
+        if (typeof item === "object" && typeof item?.fact === "string") return item.fact.length > 10;
+        if (typeof item === "object" && item?.title) return true;
         return false;
       })
       .map((item) => {
         if (typeof item === "string") {
           return { content: item, tags: getTagsForType(type, ["typed_extraction"]), type };
         }
+        if (typeof item.fact === "string") {
+          const result = { content: item.fact, tags: getTagsForType(type, ["typed_extraction"]), type };
+          if (typeof item.replaces === "string" && item.replaces.trim()) result.replaces = item.replaces.trim();
+          return result;
+        }
         // Structured task object
         const result = {
           content: item.title,
@@ -97,3 +109,66 @@ export async function extractAllTypedMemories(conversationText) {
   return allMemories;
 }
 
+/**
+ * Neither forgotten nor replaced by a correction.
+ * @param {object} mem
+ * @returns {boolean}
+ */
+function _isCurrent(mem) {
+  return !isTombstoned(mem) && !supersededBy(mem);
+}
+
+/**
+ * @typedef {object} Reconciliation
+ * @property {"new"|"duplicate"|"refinement"|"contradiction"} relation
+ * @property {object} [existing] - The stored memory it relates to
+ * @property {string} content - What to store: the fact itself, or the merged fact for a refinement
+ */
+
+/**
+ * Compare a new fact with the most similar stored facts of the same type
+ * and let the LLM judge each pair (duplicate / refinement / contradiction /
+ * unrelated). A duplicate anywhere wins; otherwise the best-ranked
+ * refinement or contradiction is returned. No similar facts, or an
+ * unparseable answer, means "new".
+ *
+ * Only the latest, unforgotten version of a fact is judged against —
+ * a correction of a forgotten or already-corrected memory would fork its
+ * chain. The check is repeated on the LLM's answer, since a correction
+ * saved in the meantime only registers once its write lands.
+ *
+ * @param {string} content - Extracted fact
+ * @param {string} type - Memory type (profile, behavior)
+ * @param {{ topK?: number }} [opts]
+ * @returns {Promise<Reconciliation>}
+ * @throws {Error} When the search or every LLM provider fails
+ */
+export async function reconcileWithStored(content, type, { topK = 3 } = {}) {
+  const { textMemories } = await searchMemories(content, topK, { filter: { _type: type } });
+  const candidates = textMemories.filter((m) => getMemoryContent(m).trim() && _isCurrent(m));
+  if (candidates.length === 0) return { relation: "new", content };
+
+  const existing = candidates.map((m, i) => `${i + 1}. ${getMemoryContent(m).slice(0, 300)}`).join("\n");
+  const prompt = FactReconcilePrompt.replace("{fact}", () => content).replace("{existing}", () => existing);
+  const text = await complete("extraction", prompt, {
+    retries: 1,
+    timeoutMs: Timeouts.EXTRACTION,
+    temperature: 0,
+    json: true,
+  });
+  const parsed = parseJSON(text, "fact reconciliation");
+  if (!Array.isArray(parsed)) return { relation: "new", content };
+
+  const judged = parsed
+    .filter((j) => candidates[j?.index - 1] && RELATIONS.has(j.relation) && _isCurrent(candidates[j.index - 1]))
+    .sort((a, b) => a.index - b.index);
+  const duplicate = judged.find((j) => j.relation === "duplicate");
+  if (duplicate) return { relation: "duplicate", existing: candidates[duplicate.index - 1], content };
+
+  const change = judged.find((j) => j.relation === "refinement" || j.relation === "contradiction");
+  if (!change) return { relation: "new", content };
+  const merged = change.relation === "refinement" && typeof change.merged === "string" && change.merged.trim().length > 10
+    ? change.merged.trim()
+    : content;
+  return { relation: change.relation, existing: candidates[change.index - 1], content: merged };
+}
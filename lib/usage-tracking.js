@@ -0,0 +1,141 @@
+/**
+ * Memory Usage Tracking
+ *
+ * Each injected memory is tagged with a short reference ("[m3f9a2]",
+ * derived from its backend ID, so the same memory keeps the same ref
+ * across turns). The session remembers what was injected; at agent_end
+ * the assistant's reply is checked for each memory — by its ref or by
+ * sharing most of its distinctive words — and the memory's
+ * `info.used_count` / `info.ignored_count` are bumped via the backend's
+ * `update()` (for MemOS, a local info overlay). The ranking stage
+ * ({@link module:lib/decay-rank}) favours used memories and demotes ones
+ * that keep getting injected and ignored.
+ *
+ * @module lib/usage-tracking
+ */
+import { createHash } from "node:crypto";
+import { LOG_PREFIX } from "./client.js";
+import { getBackend } from "./backend.js";
+import { invalidateSearchCache } from "./search-cache.js";
+import { getMemoryContent, getMemoryKey, getInfo } from "./utils.js";
+import { inc } from "./stats.js";
+
+/**
+ * @typedef {object} InjectedMemory
+ * @property {string} ref - e.g. "m3f9a2"
+ * @property {string|null} id - Backend ID (null: can't be updated)
+ * @property {string} [cubeId]
+ * @property {number} usedCount
+ * @property {number} ignoredCount
+ * @property {Set<string>} words - Distinctive words of the content
+ */
+
+/** Words shorter than this don't count towards content overlap. */
+const MIN_WORD_LENGTH = 4;
+/** Memories with fewer distinctive words are only matched by ref. */
+const MIN_DISTINCT_WORDS = 3;
+
+/**
+ * Short stable reference for a memory.
+ * @param {object} mem
+ * @returns {string} "m" + 5 hex chars
+ */
+export function memoryRef(mem) {
+  return "m" + createHash("sha1").update(String(getMemoryKey(mem))).digest("hex").slice(0, 5);
+}
+
+/** @param {string} text @returns {Set<string>} */
+function _words(text) {
+  return new Set(((text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter((w) => w.length >= MIN_WORD_LENGTH));
+}
+
+/**
+ * Remember which memories were shown to the agent this turn.
+ * @param {import("./session-state.js").SessionState} session
+ * @param {Array} memories - The text memories actually rendered in the block
+ */
+export function rememberInjected(session, memories) {
+  session.injected = memories.map((mem) => {
+    const info = getInfo(mem);
+    return {
+      ref: memoryRef(mem),
+      id: mem.id || mem.memory_id || null,
+      cubeId: mem.cube_id,
+      usedCount: info.used_count || 0,
+      ignoredCount: info.ignored_count || 0,
+      words: _words(getMemoryContent(mem)),
+    };
+  });
+}
+
+/**
+ * Split injected memories into used / ignored by the reply.
+ * @param {string} reply - Assistant text for the turn
+ * @param {InjectedMemory[]} injected
+ * @param {{ minOverlap?: number }} [opts]
+ * @returns {{ used: InjectedMemory[], ignored: InjectedMemory[] }}
+ */
+export function detectUsage(reply, injected, { minOverlap = 0.6 } = {}) {
+  const lower = (reply || "").toLowerCase();
+  const replyWords = _words(reply);
+  const used = [];
+  const ignored = [];
+  for (const mem of injected) {
+    let hit = lower.includes(mem.ref);
+    if (!hit && mem.words.size >= MIN_DISTINCT_WORDS) {
+      let shared = 0;
+      for (const w of mem.words) if (replyWords.has(w)) shared++;
+      hit = shared / mem.words.size >= minOverlap;
+    }
+    (hit ? used : ignored).push(mem);
+  }
+  return { used, ignored };
+}
+
+/**
+ * The assistant's reply to the last user message.
+ * @param {Array<{ role: string, text: string }>} flat - Flattened messages
+ * @returns {string}
+ */
+export function lastReply(flat) {
+  let i = flat.length;
+  while (i > 0 && flat[i - 1].role === "assistant") i--;
+  return flat.slice(i).map((m) => m.text).join("\n");
+}
+
+/**
+ * Record use / ignore counts for the memories injected this turn and
+ * forget them. Backend updates are fire-and-forget and don't move
+ * `updated_at` (that would make ignored memories look fresh).
+ *
+ * @param {import("./session-state.js").SessionState} session
+ * @param {string} reply
+ * @param {{ minOverlap?: number }} [opts]
+ * @returns {{ used: number, ignored: number }}
+ */
+export function recordUsage(session, reply, opts = {}) {
+  const injected = session.injected || [];
+  session.injected = null;
+  if (injected.length === 0 || !reply) return { used: 0, ignored: 0 };
+
+  const { used, ignored } = detectUsage(reply, injected, opts);
+  inc("usage.used", used.length);
+  inc("usage.ignored", ignored.length);
+
+  const backend = getBackend();
+  if (typeof backend.update === "function") {
+    const now = new Date().toISOString();
+    const patches = [
+      ...used.map((m) => [m, { used_count: m.usedCount + 1, last_used: now }]),
+      ...ignored.map((m) => [m, { ignored_count: m.ignoredCount + 1 }]),
+    ];
+    for (const [mem, info] of patches) {
+      if (!mem.id) continue;
+      backend
+        .update(mem.id, { info }, { cubeId: mem.cubeId, touch: false })
+        .then(() => invalidateSearchCache({ cubeId: mem.cubeId }))
+        .catch((err) => console.warn(LOG_PREFIX, `Usage update for ${mem.id} failed:`, err.message));
+    }
+  }
+  return { used: used.length, ignored: ignored.length };
+}
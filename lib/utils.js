@@ -54,6 +54,96 @@ export function getInfo(mem) {
   return mem?.metadata?.info || mem?.info || {};
 }
 
+/**
+ * Extract the backend relevance score from a search hit.
+ * MemOS reports it as metadata.relativity; other shapes fall back to score.
+ *
+ * @param {object} mem - Memory result object
+ * @returns {number} 0 when absent
+ */
+export function getRelevance(mem) {
+  const v = mem?.metadata?.relativity ?? mem?.relativity ?? mem?.score;
+  return typeof v === "number" && Number.isFinite(v) ? v : 0;
+}
+
+/**
+ * Stable identity of a search hit for dedup / fusion across result lists.
+ * Backend ID when present, else the first 100 chars of content.
+ *
+ * @param {object} mem - Memory result object
+ * @returns {string}
+ */
+export function getMemoryKey(mem) {
+  return mem?.id || mem?.memory_id || getMemoryContent(mem).slice(0, 100);
+}
+
+/**
+ * Reciprocal Rank Fusion of several ranked lists into one.
+ * score(d) = Σ weight_l / (k + rank_l(d)); ties keep first-seen order.
+ *
+ * @param {Array<Array<object>>} lists - Ranked hit lists (best first)
+ * @param {{ k?: number, weights?: number[] }} [opts]
+ * @returns {Array<object>} Unique hits, best fused score first
+ */
+export function fuseRankedLists(lists, { k = 60, weights } = {}) {
+  const fused = new Map();
+  lists.forEach((list, l) => {
+    const w = weights?.[l] ?? 1;
+    (list || []).forEach((mem, rank) => {
+      const key = getMemoryKey(mem);
+      if (!key) return;
+      const entry = fused.get(key) || { mem, score: 0, order: fused.size };
+      entry.score += w / (k + rank + 1);
+      fused.set(key, entry);
+    });
+  });
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ mem }) => mem);
+}
+
+/**
+ * Rough token count without a tokenizer: ~4 ASCII chars per token,
+ * ~2.5 for other scripts (Cyrillic etc.), 1 per CJK character.
+ * Errs slightly high, which is the safe side for a budget.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let ascii = 0, cjk = 0, other = 0;
+  for (const ch of text) {
+    const c = ch.codePointAt(0);
+    if (c < 0x80) ascii++;
+    else if ((c >= 0x2E80 && c <= 0x9FFF) || (c >= 0xAC00 && c <= 0xD7AF) || (c >= 0xF900 && c <= 0xFAFF)) cjk++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4 + other / 2.5 + cjk);
+}
+
+/**
+ * Shorten text to at most `maxChars`, preferring to cut after the last
+ * sentence that fits, then at a word boundary. Marks the cut with "…".
+ *
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+export function truncateAtSentence(text, maxChars) {
+  if (!text || text.length <= maxChars) return text || "";
+  if (maxChars <= 1) return "…";
+  const cut = text.slice(0, maxChars - 1); // room for "…"
+  let end = -1;
+  // A sentence cut gets " …", so it must end one character earlier
+  for (const m of text.slice(0, maxChars).matchAll(/[.!?…。](?=\s|$)|\n/g)) {
+    if (m.index + 1 <= maxChars - 2) end = m.index + 1;
+  }
+  if (end >= cut.length / 2) return cut.slice(0, end).trimEnd() + " …";
+  const space = cut.search(/\s\S*$/);
+  return cut.slice(0, space >= cut.length / 2 ? space : cut.length).trimEnd() + "…";
+}
+
 /**
  * Generate a unique task ID.
  *
@@ -0,0 +1,131 @@
+/**
+ * Coalesced Write Batcher
+ *
+ * Collects memory adds issued within a short window (one agent turn can
+ * fire several: typed extraction, compaction entries, tool traces) and
+ * sends them together — as one batched request when the backend exposes
+ * `addBatch()`, otherwise as a bounded-concurrency stream of single adds.
+ *
+ * Every caller still gets its own promise, so per-item success/failure
+ * reporting (e.g. compaction saved/failed counters) stays accurate.
+ * Each written item invalidates the cached searches it could affect.
+ *
+ * @module lib/write-batcher
+ */
+import { LOG_PREFIX, Timeouts, getMemosCubeId } from "./client.js";
+import { getBackend } from "./backend.js";
+import { invalidateSearchCache } from "./search-cache.js";
+import { inc } from "./stats.js";
+
+const _settings = {
+  windowMs: 50,
+  maxBatchSize: 20,
+  concurrency: 3,
+};
+
+/** @type {Array<{ req: object, opts: object, resolve: Function, reject: Function }>} */
+let _pending = [];
+let _timer = null;
+
+/**
+ * Apply batcher tunables from plugin config.
+ * @param {{ windowMs?: number, maxBatchSize?: number, concurrency?: number }} [cfg]
+ */
+export function configureWriteBatcher(cfg = {}) {
+  if (cfg.windowMs >= 0) _settings.windowMs = cfg.windowMs;
+  if (cfg.maxBatchSize > 0) _settings.maxBatchSize = cfg.maxBatchSize;
+  if (cfg.concurrency > 0) _settings.concurrency = cfg.concurrency;
+}
+
+/**
+ * Queue one add for the next batch.
+ *
+ * @param {import("./backend.js").AddRequest} req
+ * @param {{ retries?: number, timeoutMs?: number }} [opts]
+ * @returns {Promise<{ id: string|null }>} Settles when this item is written (or fails)
+ */
+export function enqueueAdd(req, opts = {}) {
+  return new Promise((resolve, reject) => {
+    _pending.push({ req, opts, resolve, reject });
+    if (_pending.length >= _settings.maxBatchSize) {
+      flushWrites();
+    } else if (!_timer) {
+      _timer = setTimeout(flushWrites, _settings.windowMs);
+    }
+  });
+}
+
+/**
+ * Send everything queued so far. Safe to call at any time
+ * (e.g. before shutdown); a no-op when nothing is pending.
+ * @returns {Promise<void>}
+ */
+export async function flushWrites() {
+  if (_timer) {
+    clearTimeout(_timer);
+    _timer = null;
+  }
+  const batch = _pending;
+  _pending = [];
+  if (batch.length === 0) return;
+
+  inc("writeBatch.flushes");
+  inc("writeBatch.items", batch.length);
+
+  const backend = getBackend();
+  if (typeof backend.addBatch === "function" && batch.length > 1) {
+    await _sendBatched(backend, batch);
+  } else {
+    await _sendStreamed(backend, batch);
+  }
+}
+
+/** A written memory may change cached searches over its cube. */
+function _invalidate(req) {
+  invalidateSearchCache({ cubeId: req.cubeId || getMemosCubeId(), info: req.info || {} });
+}
+
+/**
+ * One request for the whole batch; the backend reports per-item results.
+ * @param {import("./backend.js").MemoryBackend} backend
+ * @param {Array} batch
+ */
+async function _sendBatched(backend, batch) {
+  const retries = Math.max(...batch.map((b) => b.opts.retries ?? 3));
+  const timeoutMs = Math.max(...batch.map((b) => b.opts.timeoutMs ?? Timeouts.ADD));
+  try {
+    const results = await backend.addBatch(batch.map((b) => b.req), { retries, timeoutMs });
+    batch.forEach((item, i) => {
+      const r = results?.[i];
+      if (r?.error) return item.reject(r.error);
+      _invalidate(item.req);
+      item.resolve({ id: r?.id ?? null });
+    });
+  } catch (err) {
+    console.warn(LOG_PREFIX, `Batched add of ${batch.length} memories failed: ${err.message}`);
+    for (const item of batch) item.reject(err);
+  }
+}
+
+/**
+ * Single adds with at most `concurrency` in flight.
+ * @param {import("./backend.js").MemoryBackend} backend
+ * @param {Array} batch
+ */
+async function _sendStreamed(backend, batch) {
+  let next = 0;
+  const worker = async () => {
+    while (next < batch.length) {
+      const item = batch[next++];
+      try {
+        const result = await backend.add(item.req, item.opts);
+        _invalidate(item.req);
+        item.resolve(result);
+      } catch (err) {
+        item.reject(err);
+      }
+    }
+  };
+  const workers = Math.min(_settings.concurrency, batch.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+}
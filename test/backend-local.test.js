@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createLocalBackend } from "../lib/backend-local.js";
+import { getMemosCubeId } from "../lib/client.js";
+
+async function storePath() {
+  return join(await mkdtemp(join(tmpdir(), "memos-local-")), "memories.jsonl");
+}
+
+test("add + search: lexical scoring, info filters, cube scoping", async () => {
+  const backend = createLocalBackend({ localStorePath: await storePath() });
+  await backend.add({ messages: "The user prefers dark roast coffee", tags: ["pref"], info: { _type: "profile" } });
+  await backend.add({ messages: "Deploy the API with docker compose", info: { _type: "event" } });
+  await backend.add({ messages: "The user drinks coffee in another cube", cubeId: "other" });
+
+  const { textMemories } = await backend.search({ query: "coffee roast", topK: 5 });
+  assert.deepEqual(textMemories.map((m) => m.memory), ["The user prefers dark roast coffee"]);
+  assert.equal(textMemories[0].metadata.relativity, 1);
+  assert.equal(textMemories[0].cube_id, getMemosCubeId());
+
+  const typed = await backend.search({ query: "unrelated words", filter: { _type: "event" } });
+  assert.deepEqual(typed.textMemories.map((m) => m.memory), ["Deploy the API with docker compose"]);
+
+  const other = await backend.search({ query: "coffee", cubeIds: ["other"] });
+  assert.deepEqual(other.textMemories.map((m) => m.memory), ["The user drinks coffee in another cube"]);
+});
+
+test("created_at range filter", async () => {
+  const backend = createLocalBackend({ localStorePath: await storePath() });
+  await backend.add({ messages: "fresh memory about builds" });
+  const future = new Date(Date.now() + 86_400_000).toISOString();
+  const past = new Date(Date.now() - 86_400_000).toISOString();
+
+  assert.equal((await backend.search({ query: "builds", filter: { created_at: { gte: past } } })).textMemories.length, 1);
+  assert.equal((await backend.search({ query: "builds", filter: { created_at: { gte: future } } })).textMemories.length, 0);
+});
+
+test("update merges info; touch: false keeps updated_at", async () => {
+  const backend = createLocalBackend({ localStorePath: await storePath() });
+  const { id } = await backend.add({ messages: "counter target memory", info: { _type: "fact", a: 1 } });
+  const before = (await backend.search({ query: "counter" })).textMemories[0].metadata.updated_at;
+
+  assert.deepEqual(await backend.update(id, { info: { seen_count: 2 } }, { touch: false }), { updated: true });
+  const hit = (await backend.search({ query: "counter" })).textMemories[0];
+  assert.deepEqual(hit.metadata.info, { _type: "fact", a: 1, seen_count: 2 });
+  assert.equal(hit.metadata.updated_at, before);
+
+  assert.deepEqual(await backend.update("missing", { info: { x: 1 } }), { updated: false });
+});
+
+test("state survives a reload; delete removes the text from disk", async () => {
+  const path = await storePath();
+  const backend = createLocalBackend({ localStorePath: path });
+  const { id } = await backend.add({ messages: "secret token abc123" });
+  await backend.add({ messages: "harmless note about tokens" });
+  await backend.update(id, { info: { seen_count: 3 } });
+
+  const reloaded = createLocalBackend({ localStorePath: path });
+  const hit = (await reloaded.search({ query: "secret" })).textMemories[0];
+  assert.equal(hit.id, id);
+  assert.equal(hit.metadata.info.seen_count, 3);
+
+  assert.deepEqual(await reloaded.delete([id, "unknown"]), { deleted: 1 });
+  assert.doesNotMatch(await readFile(path, "utf-8"), /abc123/);
+  const after = createLocalBackend({ localStorePath: path });
+  assert.deepEqual((await after.search({ query: "secret token tokens" })).textMemories.map((m) => m.memory), ["harmless note about tokens"]);
+});
+
+test("chatComplete throws so LLM callers fall back", async () => {
+  const backend = createLocalBackend({ localStorePath: await storePath() });
+  await assert.rejects(backend.chatComplete("hi"), /no chat model/);
+});
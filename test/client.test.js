@@ -0,0 +1,47 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { callApi, isRetryableError } from "../lib/client.js";
+import { configureCircuitBreaker, getOpenCircuits } from "../lib/circuit-breaker.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+/** Replace fetch with a stub answering `respond()`; returns the call counter. */
+function stubFetch(respond) {
+  const calls = { count: 0 };
+  globalThis.fetch = async () => {
+    calls.count++;
+    return respond();
+  };
+  return calls;
+}
+
+test("retryable errors", () => {
+  assert.equal(isRetryableError(new Error("fetch failed")), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 503 })), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 429 })), true);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { status: 422 })), false);
+  assert.equal(isRetryableError(Object.assign(new Error("x"), { code: "BAD_RESPONSE" })), false);
+});
+
+test("5xx is retried and counts towards the breaker", async () => {
+  configureCircuitBreaker({ failureThreshold: 2 });
+  const calls = stubFetch(() => new Response("down", { status: 502 }));
+  await assert.rejects(callApi("/test/flaky", {}, { retries: 1 }), (err) => err.status === 502);
+  assert.equal(calls.count, 2);
+  assert.deepEqual(getOpenCircuits().map((c) => c.endpoint), ["/test/flaky"]);
+});
+
+test("a malformed body is not retried and does not open the breaker", async () => {
+  configureCircuitBreaker({ failureThreshold: 1 });
+  const calls = stubFetch(() => new Response("<html>proxy error</html>", { status: 200 }));
+  await assert.rejects(callApi("/test/garbled", {}, { retries: 2 }), (err) => err.code === "BAD_RESPONSE");
+  assert.equal(calls.count, 1);
+  assert.ok(!getOpenCircuits().some((c) => c.endpoint === "/test/garbled"));
+});
+
+test("4xx is not retried", async () => {
+  const calls = stubFetch(() => new Response("bad request", { status: 400 }));
+  await assert.rejects(callApi("/test/invalid", {}, { retries: 2 }), (err) => err.status === 400);
+  assert.equal(calls.count, 1);
+});
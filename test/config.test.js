@@ -0,0 +1,67 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { validateConfig, resolveConfig, getConfig, setConfig, readPluginConfigFile, watchConfig } from "../lib/config.js";
+
+afterEach(() => setConfig({}));
+
+test("validation lists every problem with its path", () => {
+  const errors = validateConfig({
+    backend: "sqlite",
+    retrieval: { topK: 0, topk: 5 },
+    llmRerank: { threshold: "high" },
+  });
+  assert.deepEqual(errors.map((e) => e.split(":")[0]).sort(), [
+    "config.backend",
+    "config.llmRerank.threshold",
+    "config.retrieval.topK",
+    "config.retrieval.topk",
+  ]);
+  assert.ok(errors.some((e) => e.includes("unknown option") && e.includes("topK")));
+  assert.deepEqual(validateConfig({}), []);
+});
+
+test("defaults fill nested blocks without overriding set values", () => {
+  const cfg = resolveConfig({ retrieval: { topK: 3 } });
+  assert.equal(cfg.retrieval.topK, 3);
+  assert.equal(cfg.backend, "memos");
+  assert.equal(cfg.llmRerank.threshold, 2);
+  assert.equal(cfg.outbox.maxReplayAttempts, 5);
+});
+
+test("an invalid config is rejected and the current one kept", () => {
+  setConfig({ retrieval: { topK: 4 } });
+  assert.throws(() => setConfig({ retrieval: { topK: -1 } }), /Invalid plugin config:\n  - config\.retrieval\.topK/);
+  assert.equal(getConfig().retrieval.topK, 4);
+});
+
+test("the plugin entry is read from a commented config file and reloads on change", async (t) => {
+  const path = join(await mkdtemp(join(tmpdir(), "memos-config-")), "openclaw.json");
+  const write = (topK) => writeFile(path, `{
+    // OpenClaw config
+    "plugins": { "entries": { "memos": { "config": { "retrieval": { "topK": ${topK}, }, }, }, }, },
+  }`);
+  const prevPath = process.env.OPENCLAW_CONFIG_PATH;
+  process.env.OPENCLAW_CONFIG_PATH = path;
+  t.after(() => {
+    if (prevPath === undefined) delete process.env.OPENCLAW_CONFIG_PATH;
+    else process.env.OPENCLAW_CONFIG_PATH = prevPath;
+  });
+
+  await write(6);
+  assert.deepEqual(readPluginConfigFile("memos"), { retrieval: { topK: 6 } });
+  assert.deepEqual(readPluginConfigFile("other"), {});
+
+  const changes = [];
+  const stop = watchConfig(() => readPluginConfigFile("memos"), (cfg, prev) => changes.push([prev.retrieval.topK, cfg.retrieval.topK]), 5);
+  t.after(stop);
+  setConfig(readPluginConfigFile("memos"));
+  await write(0); // invalid — kept at 6
+  await new Promise((r) => setTimeout(r, 50));
+  await write(9);
+  await new Promise((r) => setTimeout(r, 50));
+  assert.deepEqual(changes, [[6, 9]]);
+  assert.equal(getConfig().retrieval.topK, 9);
+});
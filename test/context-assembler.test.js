@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assembleContext } from "../lib/context-assembler.js";
+import { estimateTokens } from "../lib/utils.js";
+
+function block(name, count, words = 12) {
+  return {
+    name,
+    header: `${name} header:`,
+    omittedLabel: `related ${name}`,
+    entries: Array.from({ length: count }, (_, i) => ({
+      prefix: "- ",
+      text: `${name} entry ${i} ` + "lorem ipsum dolor sit amet. ".repeat(Math.ceil(words / 5)),
+    })),
+  };
+}
+
+test("everything fits under a generous budget, in the given block order", () => {
+  const r = assembleContext([block("memories", 3), block("tasks", 2)], { maxTokens: 10_000 });
+  assert.deepEqual(r.blocks.map((b) => [b.name, b.shown, b.omitted]), [["memories", 3, 0], ["tasks", 2, 0]]);
+  assert.ok(r.text.indexOf("memories header:") < r.text.indexOf("tasks header:"));
+  assert.equal(r.tokens, estimateTokens(r.text));
+});
+
+test("a tight budget cuts entries and adds an omitted hint", () => {
+  const r = assembleContext([block("memories", 10, 40)], { maxTokens: 150 });
+  const [b] = r.blocks;
+  assert.ok(b.shown >= 1 && b.omitted > 0);
+  assert.equal(b.shown + b.omitted, 10);
+  assert.match(r.text, new RegExp(`- … ${b.omitted} more related memories omitted$`));
+  assert.ok(r.tokens <= 150);
+});
+
+test("priority decides who gets the budget; minShare guarantees a floor", () => {
+  const blocks = [block("memories", 10, 40), block("tasks", 10, 40)];
+  const prio = assembleContext(blocks, { maxTokens: 300, blocks: { tasks: { priority: 2 }, memories: { priority: 1 } } });
+  const byName = Object.fromEntries(prio.blocks.map((b) => [b.name, b]));
+  assert.ok(byName.tasks.tokens > byName.memories.tokens);
+
+  const floor = assembleContext(blocks, { maxTokens: 300, blocks: { tasks: { priority: 2 }, memories: { priority: 1, minShare: 0.4 } } });
+  assert.ok(floor.blocks.find((b) => b.name === "memories").shown >= 1);
+});
+
+test("empty blocks and blocks that cannot fit one entry are dropped", () => {
+  const r = assembleContext([block("skills", 0), block("memories", 2, 200)], { maxTokens: 10, minItemTokens: 24 });
+  assert.equal(r.text, "");
+  assert.deepEqual(r.blocks.map((b) => [b.name, b.shown, b.omitted]), [["skills", 0, 0], ["memories", 0, 2]]);
+});
@@ -0,0 +1,29 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { applyConfig, runWithAgentScope } from "../lib/client.js";
+import { validateConfig } from "../lib/config.js";
+import { configureCubeRouting, getReadCubes, resolveWriteCube } from "../lib/cube-routing.js";
+
+after(() => {
+  configureCubeRouting({});
+  applyConfig({ agentScope: { enabled: false } });
+});
+
+test("routed cubes are expanded per agent", () => {
+  applyConfig({ memosUserId: "alice", memosCubeId: "memos", agentScope: { enabled: true } });
+  configureCubeRouting({ personalCubeId: "personal-{agentId}", ephemeralCubeId: "{userId}-traces-{agentId}" });
+
+  runWithAgentScope("ops", () => {
+    assert.equal(resolveWriteCube({ _type: "profile" }), "personal-ops");
+    assert.equal(resolveWriteCube({ _type: "tool_trace" }), "alice-traces-ops");
+    assert.equal(resolveWriteCube({ _type: "fact" }), "memos-ops");
+    assert.deepEqual(getReadCubes().map((c) => c.cubeId), ["memos-ops", "personal-ops"]);
+  });
+  assert.equal(resolveWriteCube({ _type: "profile" }), "personal-default");
+});
+
+test("agentScope rejects fixed personal / ephemeral cubes", () => {
+  const errors = validateConfig({ agentScope: { enabled: true }, cubeRouting: { personalCubeId: "alice-personal", ephemeralCubeId: "scratch-{agentId}" } });
+  assert.deepEqual(errors, ['config.cubeRouting.personalCubeId: must contain {agentId} when agentScope is enabled, got "alice-personal"']);
+  assert.deepEqual(validateConfig({ cubeRouting: { personalCubeId: "alice-personal" } }), []);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decayRank } from "../lib/decay-rank.js";
+
+const NOW = Date.parse("2026-01-15T12:00:00Z");
+const DAY = 86_400_000;
+
+function mem(id, memory, { type = "fact", ageDays = 0, relativity = 1, ...info } = {}) {
+  const ts = new Date(NOW - ageDays * DAY).toISOString();
+  return { id, memory, metadata: { relativity, created_at: ts, updated_at: ts, info: { _type: type, ...info } } };
+}
+
+const ids = (r) => r.memories.map((m) => m.id);
+
+test("recent events outrank old ones of equal relevance", () => {
+  const r = decayRank([
+    mem("old", "Release of version one happened", { type: "event", ageDays: 60 }),
+    mem("new", "Team offsite was scheduled", { type: "event", ageDays: 1 }),
+  ], { now: NOW });
+  assert.deepEqual(ids(r), ["new", "old"]);
+});
+
+test("profile facts decay slowly", () => {
+  const r = decayRank([
+    mem("profile", "The user is vegetarian", { type: "profile", ageDays: 60 }),
+    mem("trace", "Ran npm install in the api folder", { type: "tool_trace", ageDays: 10 }),
+  ], { now: NOW });
+  assert.deepEqual(ids(r), ["profile", "trace"]);
+});
+
+test("importance and usage move memories up or down", () => {
+  const base = [
+    mem("plain", "Alpha service runs on port 8080", { ageDays: 1 }),
+    mem("important", "Beta service needs a VPN", { ageDays: 1, importance: 0.95 }),
+  ];
+  assert.deepEqual(ids(decayRank(base, { now: NOW })), ["important", "plain"]);
+  assert.deepEqual(ids(decayRank(base, { now: NOW, importanceWeight: 0 })), ["plain", "important"]);
+
+  const usage = [
+    mem("ignored", "Gamma cache is warmed nightly", { ageDays: 1, ignored_count: 10 }),
+    mem("used", "Delta queue retries three times", { ageDays: 1, used_count: 5 }),
+  ];
+  assert.deepEqual(ids(decayRank(usage, { now: NOW })), ["used", "ignored"]);
+});
+
+test("newest version of a same-type fact wins", () => {
+  const dropped = [];
+  const r = decayRank([
+    mem("v15", "The project uses Postgres 15 for storage", { ageDays: 30, relativity: 1 }),
+    mem("v16", "The project uses Postgres 16 for storage", { ageDays: 2, relativity: 0.5 }),
+    mem("profile", "The project uses Postgres 15 for storage", { type: "profile", ageDays: 40 }),
+  ], { now: NOW, onDrop: (m) => dropped.push(m.id) });
+  assert.equal(r.superseded, 1);
+  assert.deepEqual(dropped, ["v15"]);
+  assert.ok(ids(r).includes("v16") && ids(r).includes("profile"));
+});
+
+test("last_seen counts as a recent touch", () => {
+  const r = decayRank([
+    mem("stale", "Epsilon deploys from main", { type: "event", ageDays: 90 }),
+    mem("reconfirmed", "Zeta builds use pnpm", { type: "event", ageDays: 90, last_seen: new Date(NOW - DAY).toISOString() }),
+  ], { now: NOW });
+  assert.deepEqual(ids(r), ["reconfirmed", "stale"]);
+});
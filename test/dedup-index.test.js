@@ -0,0 +1,81 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { configureDedupIndex, findStoredMemory, recordStoredMemory, markSeenAgain, markMemorySeenAgain, forgetStoredMemories } from "../lib/dedup-index.js";
+import { setBackend } from "../lib/backend.js";
+
+/** Backend stub answering every search with `hits`. */
+function stubBackend(hits) {
+  const updates = [];
+  return {
+    updates,
+    name: "stub",
+    async search() {
+      return { textMemories: hits, skillMemories: [], prefMemories: [] };
+    },
+    async update(id, patch, opts) {
+      updates.push({ id, info: patch.info, opts });
+      return { updated: true };
+    },
+  };
+}
+
+beforeEach(async () => {
+  configureDedupIndex({ indexPath: join(await mkdtemp(join(tmpdir(), "memos-dedup-")), "index.json") });
+});
+
+test("index hit without a backend lookup", async () => {
+  setBackend(stubBackend([]));
+  await recordStoredMemory("hash-a", "cube", "mem-1");
+  const stored = await findStoredMemory("text", "hash-a", "cube", { lookupBackend: false });
+  assert.equal(stored.id, "mem-1");
+  assert.equal(stored.seen_count, 1);
+  assert.equal(await findStoredMemory("text", "hash-a", "other-cube", { lookupBackend: false }), null);
+});
+
+test("backend lookup matches on content_hash", async () => {
+  setBackend(stubBackend([{ id: "mem-2", memory: "text", metadata: { info: { content_hash: "hash-b", seen_count: 4 } } }]));
+  const stored = await findStoredMemory("text", "hash-b", "cube");
+  assert.equal(stored.id, "mem-2");
+  assert.equal(stored.seen_count, 4);
+
+  setBackend(stubBackend([{ id: "mem-3", memory: "text", metadata: { info: { content_hash: "other" } } }]));
+  assert.equal(await findStoredMemory("text", "hash-c", "cube"), null);
+
+  // A hit without a content_hash (backend ignored the filter) is not a duplicate
+  setBackend(stubBackend([{ id: "mem-4", memory: "text", metadata: { info: {} } }]));
+  assert.equal(await findStoredMemory("text", "hash-d", "cube"), null);
+});
+
+test("markSeenAgain bumps the counters and updates the backend", async () => {
+  const backend = stubBackend([]);
+  setBackend(backend);
+  await recordStoredMemory("hash-d", "cube", "mem-4");
+  const entry = await markSeenAgain(await findStoredMemory("text", "hash-d", "cube", { lookupBackend: false }));
+  assert.equal(entry.seen_count, 2);
+  assert.equal((await findStoredMemory("text", "hash-d", "cube", { lookupBackend: false })).seen_count, 2);
+  assert.equal(backend.updates[0].id, "mem-4");
+  assert.equal(backend.updates[0].info.seen_count, 2);
+});
+
+test("a memory matched by reconcile is marked seen by its search hit", async () => {
+  const backend = stubBackend([]);
+  setBackend(backend);
+  const hit = { id: "mem-7", memory: "text", metadata: { info: { content_hash: "hash-g", seen_count: 3 } } };
+  assert.equal((await markMemorySeenAgain(hit, "cube")).seen_count, 4);
+  assert.equal((await findStoredMemory("text", "hash-g", "cube", { lookupBackend: false })).seen_count, 4);
+
+  // No content_hash: only the backend learns about it
+  await markMemorySeenAgain({ id: "mem-8", memory: "old text", metadata: { info: {} } }, "cube");
+  assert.deepEqual(backend.updates.map((u) => [u.id, u.info.seen_count]), [["mem-7", 4], ["mem-8", 2]]);
+});
+
+test("forgotten memories leave the index", async () => {
+  setBackend(stubBackend([]));
+  await recordStoredMemory("hash-e", "cube", "mem-5");
+  await recordStoredMemory("hash-f", "cube", "mem-6");
+  assert.equal(await forgetStoredMemories({ ids: ["mem-5"], hashes: ["hash-f"] }), 2);
+  assert.equal(await findStoredMemory("text", "hash-e", "cube", { lookupBackend: false }), null);
+});
@@ -0,0 +1,43 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { configureDryRun, createDryRunBackend } from "../lib/dry-run.js";
+import { createLocalBackend } from "../lib/backend-local.js";
+import { configureOutbox, enqueueWrite, getOutboxSize } from "../lib/outbox.js";
+
+let dir;
+const logPath = () => join(dir, "dry-run.jsonl");
+const readLog = async () => (await readFile(logPath(), "utf-8")).trim().split("\n").map((l) => JSON.parse(l));
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "memos-dry-run-"));
+  configureDryRun({ enabled: true, logPath: logPath() });
+});
+afterEach(() => configureDryRun({}));
+
+test("writes are logged, not sent; reads still reach the backend", async () => {
+  const inner = createLocalBackend({ localStorePath: join(dir, "m.jsonl") });
+  const real = await inner.add({ messages: "Already stored before the shadow run" });
+  const backend = createDryRunBackend(inner);
+
+  const added = await backend.add({ messages: "Would-be memory", tags: ["t"], info: { _type: "fact" }, cubeId: "c1" });
+  assert.match(added.id, /^dry-run-/);
+  assert.equal((await backend.addBatch([{ messages: "a" }, { messages: "b" }])).length, 2);
+  await backend.update(real.id, { info: { seen_count: 2 } }, { cubeId: "c1" });
+  assert.deepEqual(await backend.delete([real.id]), { deleted: 1 });
+
+  const hits = (await backend.search({ query: "shadow run", topK: 10 })).textMemories.map((m) => m.memory);
+  assert.deepEqual(hits, ["Already stored before the shadow run"]);
+  const log = await readLog();
+  assert.deepEqual(log.map((r) => r.kind), ["add", "add", "add", "update", "delete"]);
+  assert.deepEqual([log[0].memory, log[0].cube_id, log[0].info._type], ["Would-be memory", "c1", "fact"]);
+});
+
+test("the outbox journals nothing while dry-run is on", async () => {
+  configureOutbox({ outboxPath: join(dir, "outbox.jsonl") });
+  await enqueueWrite("queued during a shadow run", [], { content_hash: "d1" }, { cubeId: "c1" });
+  assert.equal(await getOutboxSize(), 0);
+  assert.deepEqual((await readLog()).map((r) => [r.kind, r.entry.kind, r.entry.content]), [["outbox", "add", "queued during a shadow run"]]);
+});
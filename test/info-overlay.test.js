@@ -0,0 +1,46 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createMemosBackend } from "../lib/backend-memos.js";
+import { createInfoOverlay } from "../lib/info-overlay.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+/** Stub /product/search returning `memories` from one cube. */
+function stubSearch(memories) {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify({ data: { text_mem: [{ cube_id: "memos", memories: structuredClone(memories) }] } }), { status: 200 });
+}
+
+const tmpPath = async () => join(await mkdtemp(join(tmpdir(), "memos-overlay-")), "overlay.json");
+
+test("MemOS update() counters show up on later search hits", async () => {
+  const backend = createMemosBackend({ memosInfoPath: await tmpPath() });
+  stubSearch([
+    { id: "m1", memory: "The user prefers dark mode", metadata: { info: { _type: "profile", content_hash: "h1" } } },
+    { id: "m2", memory: "The user runs Arch Linux", metadata: { info: { _type: "profile" } } },
+  ]);
+
+  assert.deepEqual(await backend.update("m1", { info: { seen_count: 2 } }), { updated: true });
+  await backend.update("m1", { info: { used_count: 1 } }, { touch: false });
+
+  const [m1, m2] = (await backend.search({ query: "user" })).textMemories;
+  assert.deepEqual(m1.metadata.info, { _type: "profile", content_hash: "h1", seen_count: 2, used_count: 1 });
+  assert.deepEqual(m2.metadata.info, { _type: "profile" });
+});
+
+test("overlay survives a restart, is capped and forgets deleted memories", async () => {
+  const path = await tmpPath();
+  const overlay = createInfoOverlay({ path, maxSize: 2 });
+  await overlay.update("a", { seen_count: 2 });
+  await overlay.update("b", { seen_count: 3 });
+  await overlay.update("c", { seen_count: 4 });
+  await overlay.forget(["b"]);
+  await new Promise((r) => setTimeout(r, 1_100));
+
+  const hits = await createInfoOverlay({ path }).apply([{ id: "a" }, { id: "b" }, { id: "c", info: { _type: "fact" } }]);
+  assert.deepEqual(hits.map((m) => m.metadata?.info), [undefined, undefined, { _type: "fact", seen_count: 4 }]);
+});
@@ -0,0 +1,55 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  configureInjectionTrace,
+  createTrace,
+  dropRecorder,
+  getTraces,
+  recordTrace,
+  traceBlock,
+  traceHits,
+} from "../lib/injection-trace.js";
+
+beforeEach(() => {
+  configureInjectionTrace({ enabled: false });
+  configureInjectionTrace({ enabled: true, size: 20, snippetChars: 20 });
+});
+
+const trace = (prompt, agentId = "main", sessionKey = "s1") => createTrace({ prompt, agentId, sessionKey });
+
+test("a trace records hits, drops with their stage and the block", () => {
+  const t = trace("where do we deploy?");
+  const hits = [
+    { id: "m1", memory: "Deploys go to Fly.io since the March migration", relativity: 0.8123, cube_id: "memos", metadata: { info: { _type: "event" } } },
+    { id: "m2", memory: "Lunch is at noon", relativity: 0.2 },
+  ];
+  t.hits = traceHits(hits);
+  dropRecorder(t, "llm_rerank")(hits[1], "scored 0 (< 2)", 0);
+  dropRecorder(null, "lexical")(hits[0], "ignored without a trace");
+  traceBlock(t, "<user_memory_context>…</user_memory_context>", [{ name: "memories", shown: 1, omitted: 0, tokens: 9 }]);
+
+  assert.deepEqual(t.hits[0], { key: "m1", relevance: 0.812, snippet: "Deploys go to Fly.io…", type: "event", cube: "memos" });
+  assert.deepEqual(t.dropped, [{ stage: "llm_rerank", key: "m2", snippet: "Lunch is at noon", reason: "scored 0 (< 2)", score: 0 }]);
+  assert.equal(t.block.chars, 44);
+  assert.ok(t.block.tokens > 0);
+});
+
+test("the ring buffer keeps the newest traces, filtered by agent and session", () => {
+  configureInjectionTrace({ size: 3 });
+  for (const [prompt, agent, session] of [["p1", "main", "s1"], ["p2", "ops", "s9"], ["p3", "main", "s2"], ["p4", "main", "s1"]]) {
+    recordTrace(trace(prompt, agent, session));
+  }
+  assert.deepEqual(getTraces({ last: 5 }).map((t) => t.prompt), ["p4", "p3", "p2"]);
+  assert.deepEqual(getTraces({ last: 5, agentId: "main" }).map((t) => t.prompt), ["p4", "p3"]);
+  assert.deepEqual(getTraces({ agentId: "main", sessionKey: "s1" }).map((t) => t.prompt), ["p4"]);
+
+  configureInjectionTrace({ size: 1 });
+  assert.deepEqual(getTraces({ last: 5 }).map((t) => t.prompt), ["p4"]);
+});
+
+test("disabling tracing clears the buffer and stops recording", () => {
+  recordTrace(trace("kept?"));
+  configureInjectionTrace({ enabled: false });
+  recordTrace(trace("never stored"));
+  assert.deepEqual(getTraces({ last: 5 }), []);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyIntent, intentTypes, matchIntentRules } from "../lib/intent.js";
+import { configureLlm } from "../lib/llm.js";
+import { setBackend } from "../lib/backend.js";
+
+configureLlm({});
+
+/** Backend whose chat endpoint answers the intent prompt with `answer`; returns the call counter. */
+function llmAnswers(answer) {
+  const calls = { count: 0 };
+  setBackend({
+    name: "stub",
+    async chatComplete() {
+      calls.count++;
+      if (answer instanceof Error) throw answer;
+      return answer;
+    },
+  });
+  return calls;
+}
+
+test("rules match EN and RU phrasings, several intents at once", () => {
+  assert.deepEqual(matchIntentRules("What do you know about me?"), ["profile"]);
+  assert.deepEqual(matchIntentRules("When did we deploy the billing service?"), ["events"]);
+  assert.deepEqual(matchIntentRules("How do I usually structure a release?"), ["behavior"]);
+  assert.deepEqual(matchIntentRules("What’s on my plate today?"), ["tasks"]);
+  assert.deepEqual(matchIntentRules("Что мы решили про кэш и какие у меня задачи?"), ["events", "tasks"]);
+  assert.deepEqual(matchIntentRules("Refactor the parser for better errors"), []);
+  // Whole words only, also in Cyrillic
+  assert.deepEqual(matchIntentRules("Скажи, кто якорь проекта"), []);
+});
+
+test("intents map to the _type values they search", () => {
+  assert.deepEqual(intentTypes(["events", "profile", "events"]), ["event", "compaction_summary", "profile"]);
+  assert.deepEqual(intentTypes(["tasks"]), []);
+});
+
+test("the LLM step runs only when enabled, rules found nothing and the prompt is long enough", async () => {
+  const calls = llmAnswers('["behavior", "bogus"]');
+  assert.deepEqual(await classifyIntent("who am i", { llm: true }), { intents: ["profile"], source: "rules" });
+  assert.deepEqual(await classifyIntent("walk me through the deploy ritual", { llm: false }), { intents: [], source: null });
+  assert.deepEqual(await classifyIntent("deploy ritual?", { llm: true }), { intents: [], source: null });
+  assert.equal(calls.count, 0);
+  assert.deepEqual(await classifyIntent("walk me through the deploy ritual", { llm: true }), { intents: ["behavior"], source: "llm" });
+  assert.equal(calls.count, 1);
+});
+
+test("an LLM failure classifies as no intent", async () => {
+  llmAnswers(new Error("HTTP 503"));
+  assert.deepEqual(await classifyIntent("walk me through the deploy ritual", { llm: true }), { intents: [], source: null });
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { lexicalRerank } from "../lib/lexical-rerank.js";
+
+/** Hit with content, backend relevance and optional `_type`. */
+const hit = (memory, relativity = 0.5, _type) => ({ memory, relativity, metadata: { info: _type ? { _type } : {} } });
+
+test("query term matches outrank backend order", () => {
+  const hits = [
+    hit("The user likes long walks on the beach", 0.9),
+    hit("Postgres backups run nightly on db-2", 0.5),
+    hit("Restore Postgres backups with pg_restore from db-2", 0.4),
+  ];
+  const { memories } = lexicalRerank("how to restore postgres backups", hits, { weights: { recency: 0, type: 0 } });
+  assert.equal(memories[0].memory, "Restore Postgres backups with pg_restore from db-2");
+  const byScore = lexicalRerank("how to restore postgres backups", hits, { weights: { lexical: 0, recency: 0, type: 0 } });
+  assert.equal(byScore.memories[0].memory, "The user likes long walks on the beach");
+});
+
+test("a zero weight drops the signal; type weights break ties", () => {
+  const hits = [hit("deploy notes from the run", 0.5, "tool_trace"), hit("deploy notes of the user", 0.5, "profile")];
+  const byType = lexicalRerank("deploy", hits, { weights: { lexical: 0, relevance: 0, recency: 0, type: 1 } });
+  assert.deepEqual(byType.memories.map((m) => m.metadata.info._type), ["profile", "tool_trace"]);
+  const noType = lexicalRerank("deploy", hits, { weights: { lexical: 0, relevance: 0, recency: 0, type: 0 } });
+  assert.deepEqual(noType.memories.map((m) => m.metadata.info._type), ["tool_trace", "profile"]);
+});
+
+test("minCoverage drops hits and reports why", () => {
+  const dropped = [];
+  const { memories } = lexicalRerank("kubernetes ingress timeout", [hit("Ingress timeout raised to 120s on kubernetes"), hit("Lunch is at noon")], {
+    minCoverage: 0.5,
+    onDrop: (mem, reason) => dropped.push([mem.memory, reason]),
+  });
+  assert.deepEqual(memories.map((m) => m.memory), ["Ingress timeout raised to 120s on kubernetes"]);
+  assert.deepEqual(dropped, [["Lunch is at noon", "covers 0% of query terms (< 50%)"]]);
+});
+
+test("the LLM gate is confident only when the top hits cover the query", () => {
+  const hits = [hit("Fly.io deploy uses fly.toml"), hit("Render deploy uses render.yaml")];
+  assert.equal(lexicalRerank("fly deploy", hits, { llmGate: { topN: 1, minCoverage: 1 } }).confident, true);
+  assert.equal(lexicalRerank("fly deploy", hits, { llmGate: { topN: 2, minCoverage: 1 } }).confident, false);
+  // Only stopwords: nothing to judge coverage by
+  assert.equal(lexicalRerank("what was that", hits).confident, false);
+});
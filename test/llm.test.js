@@ -0,0 +1,69 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureLlm, complete } from "../lib/llm.js";
+import { configureCircuitBreaker, getOpenCircuits } from "../lib/circuit-breaker.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+/** Route each provider's /chat/completions to its own stub; returns the request bodies per host. */
+function stubProviders(responders) {
+  const bodies = {};
+  globalThis.fetch = async (url, init) => {
+    const host = new URL(url).host;
+    (bodies[host] ||= []).push(JSON.parse(init.body));
+    return responders[host]();
+  };
+  return bodies;
+}
+
+const chat = (content) => Response.json({ choices: [{ message: { role: "assistant", content } }] });
+
+test("falls back to the next provider and unwraps JSON-mode answers", async () => {
+  configureLlm({
+    providers: {
+      down: { type: "openai", baseUrl: "http://down.test/v1" },
+      local: { type: "openai", baseUrl: "http://local.test/v1/", model: "qwen" },
+    },
+    jobs: { rerank: { providers: ["down", "local"], temperature: 0 } },
+  });
+  const bodies = stubProviders({
+    "down.test": () => new Response("overloaded", { status: 503 }),
+    "local.test": () => chat('{"result": [2, 0, 3]}'),
+  });
+  assert.equal(await complete("rerank", "grade these", { json: true }), "[2,0,3]");
+  assert.equal(bodies["down.test"].length, 1);
+  const [sent] = bodies["local.test"];
+  assert.equal(sent.model, "qwen");
+  assert.equal(sent.temperature, 0);
+  assert.deepEqual(sent.response_format, { type: "json_object" });
+});
+
+test("a malformed body falls through without counting towards the provider breaker", async () => {
+  configureCircuitBreaker({ failureThreshold: 1 });
+  configureLlm({
+    providers: {
+      garbled: { type: "openai", baseUrl: "http://garbled.test/v1" },
+      empty: { type: "openai", baseUrl: "http://empty.test/v1" },
+    },
+    jobs: { summarize: { providers: ["garbled", "empty"] } },
+  });
+  stubProviders({
+    "garbled.test": () => new Response("<html>proxy error</html>", { status: 200 }),
+    "empty.test": () => Response.json({ choices: [] }),
+  });
+  await assert.rejects(complete("summarize", "sum up"), (err) => err.code === "BAD_RESPONSE");
+  const open = getOpenCircuits().map((c) => c.endpoint);
+  assert.ok(!open.includes("llm:garbled") && !open.includes("llm:empty"));
+});
+
+test("a 5xx counts towards the provider breaker", async () => {
+  configureCircuitBreaker({ failureThreshold: 1 });
+  configureLlm({
+    providers: { flaky: { type: "openai", baseUrl: "http://flaky.test/v1" } },
+    jobs: { intent: { providers: ["flaky"] } },
+  });
+  stubProviders({ "flaky.test": () => new Response("down", { status: 502 }) });
+  await assert.rejects(complete("intent", "route"), (err) => err.status === 502);
+  assert.ok(getOpenCircuits().some((c) => c.endpoint === "llm:flaky"));
+});
@@ -0,0 +1,125 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { applyConfig, getMemosCubeId, runWithAgentScope } from "../lib/client.js";
+import { setBackend } from "../lib/backend.js";
+import { createLocalBackend } from "../lib/backend-local.js";
+import { configureDedupIndex } from "../lib/dedup-index.js";
+import { configureOutbox } from "../lib/outbox.js";
+import { configureSearchCache } from "../lib/search-cache.js";
+import { correctMemory, forgetMemories, recallMemories, rememberMemory } from "../lib/memory-tools.js";
+
+let backend;
+
+before(async () => {
+  const dir = await mkdtemp(join(tmpdir(), "memos-tools-"));
+  backend = createLocalBackend({ localStorePath: join(dir, "m.jsonl") });
+  setBackend(backend);
+  configureDedupIndex({ indexPath: join(dir, "dedup.json") });
+  configureOutbox({ outboxPath: join(dir, "outbox.jsonl") });
+  configureSearchCache({ enabled: false });
+});
+
+const remaining = async (query) => (await backend.search({ query, topK: 10 })).textMemories.map((m) => m.memory);
+
+test("confirm forgets only ids from the last preview", async () => {
+  const keep = await rememberMemory({ content: "The staging database lives on host db-2" });
+  const drop = await rememberMemory({ content: "The staging password is hunter2" });
+
+  const early = await forgetMemories({ ids: [drop.id], confirm: true });
+  assert.match(early.error, /last memos_forget preview/);
+
+  const preview = await forgetMemories({ ids: [drop.id, "never-seen"] });
+  assert.deepEqual(preview.candidates.map((c) => c.id), [drop.id]);
+  assert.deepEqual(preview.unknown_ids, ["never-seen"]);
+
+  const done = await forgetMemories({ ids: [drop.id, keep.id], confirm: true });
+  assert.deepEqual(done.ids, [drop.id]);
+  assert.deepEqual(done.not_forgotten, [{ id: keep.id, reason: "not in the last memos_forget preview" }]);
+  assert.deepEqual(await remaining("staging"), ["The staging database lives on host db-2"]);
+
+  // The preview is used up
+  assert.ok((await forgetMemories({ ids: [keep.id], confirm: true })).error);
+});
+
+test("an agent cannot forget another agent's memories", async () => {
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  const other = await runWithAgentScope("research", () => rememberMemory({ content: "Research notes live in the wiki" }));
+  assert.equal(other.cube, "memos-research");
+
+  const preview = await runWithAgentScope("ops", () => forgetMemories({ ids: [other.id] }));
+  assert.deepEqual(preview.candidates, []);
+  assert.deepEqual(preview.unknown_ids, [other.id]);
+  assert.ok((await runWithAgentScope("ops", () => forgetMemories({ ids: [other.id], confirm: true }))).error);
+  applyConfig({ agentScope: { enabled: false } });
+});
+
+test("only memories shown to the agent can be corrected", async () => {
+  assert.match((await correctMemory({ id: "never-seen", content: "anything" })).error, /unknown here/);
+
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  const theirs = await runWithAgentScope("research", () => rememberMemory({ content: "The user reads papers on Fridays", type: "behavior" }));
+  const hijack = await runWithAgentScope("ops", () => correctMemory({ id: theirs.id, content: "The user never reads papers" }));
+  assert.match(hijack.error, /unknown here/);
+
+  const own = await runWithAgentScope("ops", () => rememberMemory({ content: "Deploys happen on Tuesdays", type: "event" }));
+  const fixed = await runWithAgentScope("ops", () => correctMemory({ id: own.id, content: "Deploys happen on Thursdays" }));
+  assert.equal(fixed.supersedes, own.id);
+  applyConfig({ agentScope: { enabled: false } });
+});
+
+test("memos_search filters by type, tags and date range", async () => {
+  const add = (messages, _type, tags = []) => backend.add({ messages, tags, info: { _type }, cubeId: getMemosCubeId() });
+  await add("Kafka brokers restart every Sunday night", "event", ["infra"]);
+  await add("The user prefers Kafka over RabbitMQ", "profile", ["infra", "prefs"]);
+  await add("Kafka topic retention is seven days", "fact");
+
+  const all = await recallMemories({ query: "kafka" });
+  assert.equal(all.count, 3);
+  assert.ok(all.results.every((r) => r.id && r.ref && r.cube === getMemosCubeId()));
+
+  const typed = await recallMemories({ query: "kafka", types: ["event", "profile"] });
+  assert.deepEqual(typed.results.map((r) => r.type).sort(), ["event", "profile"]);
+  const tagged = await recallMemories({ query: "kafka", tags: ["infra", "prefs"] });
+  assert.deepEqual(tagged.results.map((r) => r.content), ["The user prefers Kafka over RabbitMQ"]);
+
+  assert.equal((await recallMemories({ query: "kafka", since: "2000-01-01", top_k: 2 })).count, 2);
+  const old = await recallMemories({ query: "kafka", until: "2000-01-01" });
+  assert.equal(old.count, 0);
+  assert.deepEqual(old.time_range, { expression: "until 2000-01-01", from: null, to: "2000-01-01T00:00:00.000Z" });
+});
+
+test("memos_search rejects bad arguments and unreadable cubes", async () => {
+  assert.match((await recallMemories({ query: " " })).error, /query is required/);
+  assert.match((await recallMemories({ query: "kafka", since: "someday" })).error, /since must be a date/);
+  assert.match((await recallMemories({ query: "kafka", when: "qwerty" })).error, /could not understand/);
+  assert.match((await recallMemories({ query: "kafka", cube: "someone-elses" })).error, /not one of the cubes/);
+});
+
+test("memos_remember stores typed memories once", async () => {
+  const saved = await rememberMemory({ content: "The user's laptop runs NixOS", type: "profile", tags: ["os"] });
+  assert.equal(saved.status, "saved");
+  assert.equal(saved.importance, 0.8);
+  const [stored] = (await backend.search({ query: "laptop NixOS", topK: 5 })).textMemories;
+  assert.equal(stored.id, saved.id);
+  assert.ok(stored.metadata.tags.includes("os"));
+  assert.equal(stored.metadata.info.source, "agent_tool");
+
+  const again = await rememberMemory({ content: "The user's laptop runs NixOS", type: "profile" });
+  assert.deepEqual([again.status, again.id], ["duplicate", saved.id]);
+
+  const task = await rememberMemory({ content: "Renew the TLS certificate", type: "task", importance: 0.9 });
+  const [taskMem] = (await backend.search({ query: "TLS certificate", topK: 5 })).textMemories;
+  assert.equal(taskMem.id, task.id);
+  assert.equal(taskMem.memory, "TASK: Renew the TLS certificate");
+  const { info } = taskMem.metadata;
+  assert.deepEqual([info.task_status, info.title, info.importance], ["pending", "Renew the TLS certificate", 0.9]);
+});
+
+test("memos_remember rejects bad arguments", async () => {
+  assert.match((await rememberMemory({ content: "" })).error, /content is required/);
+  assert.match((await rememberMemory({ content: "x", type: "gossip" })).error, /type must be one of/);
+  assert.match((await rememberMemory({ content: "x", importance: 2 })).error, /importance must be between 0 and 1/);
+});
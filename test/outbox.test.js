@@ -0,0 +1,116 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { configureOutbox, enqueueWrite, getOutboxSize, replayOutbox } from "../lib/outbox.js";
+import { configureDedupIndex, findStoredMemory } from "../lib/dedup-index.js";
+import { setBackend } from "../lib/backend.js";
+import { addMemoryDurable } from "../lib/memory.js";
+import { configureHealth } from "../lib/health.js";
+import { setConfig } from "../lib/config.js";
+
+/** @param {number} [status] - HTTP status; none = network error */
+function failure(status) {
+  const err = new Error(status ? `HTTP ${status}` : "fetch failed");
+  if (status) err.status = status;
+  return err;
+}
+
+/** Backend stub recording adds; `fail(content)` returns the error to throw, if any. */
+function stubBackend(fail = () => null) {
+  const added = [];
+  return {
+    added,
+    name: "stub",
+    async add(req) {
+      const err = fail(req.messages);
+      if (err) throw err;
+      added.push(req);
+      return { id: `id-${added.length}` };
+    },
+    async search() {
+      return { textMemories: [], skillMemories: [], prefMemories: [] };
+    },
+    async ping() {
+      return true;
+    },
+  };
+}
+
+beforeEach(async () => {
+  const dir = await mkdtemp(join(tmpdir(), "memos-outbox-"));
+  configureOutbox({ outboxPath: join(dir, "outbox.jsonl") });
+  configureDedupIndex({ indexPath: join(dir, "dedup.json") });
+});
+
+test("replay sends journaled writes in order with their info and target", async () => {
+  const backend = stubBackend();
+  setBackend(backend);
+  await enqueueWrite("first queued fact", ["a"], { _type: "fact", content_hash: "h1" }, { userId: "u1", cubeId: "c1" });
+  await enqueueWrite("second queued fact", ["b"], { _type: "fact", content_hash: "h2" }, { userId: "u1", cubeId: "c1" });
+  assert.equal(await getOutboxSize(), 2);
+
+  assert.deepEqual(await replayOutbox(), { replayed: 2, remaining: 0 });
+  assert.deepEqual(backend.added.map((r) => [r.messages, r.userId, r.cubeId, r.info.content_hash]), [
+    ["first queued fact", "u1", "c1", "h1"],
+    ["second queued fact", "u1", "c1", "h2"],
+  ]);
+  assert.equal(await getOutboxSize(), 0);
+  // Replayed writes are known to the dedup index
+  assert.equal((await findStoredMemory("first queued fact", "h1", "c1", { lookupBackend: false }))?.id, "id-1");
+});
+
+test("a failing entry stays queued without blocking the ones behind it", async () => {
+  const backend = stubBackend((content) => (content === "flaky fact" ? failure(503) : null));
+  setBackend(backend);
+  await enqueueWrite("flaky fact", [], { content_hash: "h3" }, { cubeId: "c1" });
+  await enqueueWrite("healthy fact", [], { content_hash: "h4" }, { cubeId: "c1" });
+
+  assert.deepEqual(await replayOutbox(), { replayed: 1, remaining: 1 });
+  assert.deepEqual(backend.added.map((r) => r.messages), ["healthy fact"]);
+
+  // Kept with its attempt count; dropped after the fifth failure
+  for (let i = 0; i < 3; i++) await replayOutbox();
+  assert.equal(await getOutboxSize(), 1);
+  assert.deepEqual(await replayOutbox(), { replayed: 0, remaining: 0 });
+});
+
+test("the replay attempt limit follows outbox.maxReplayAttempts", async () => {
+  setBackend(stubBackend(() => failure(503)));
+  setConfig({ outbox: { maxReplayAttempts: 2 } });
+  try {
+    await enqueueWrite("flaky fact", [], { content_hash: "h8" }, { cubeId: "c1" });
+    assert.deepEqual(await replayOutbox(), { replayed: 0, remaining: 1 });
+    assert.deepEqual(await replayOutbox(), { replayed: 0, remaining: 0 });
+  } finally {
+    setConfig({});
+  }
+});
+
+test("entries the backend rejects outright are dropped at once", async () => {
+  setBackend(stubBackend(() => failure(422)));
+  await enqueueWrite("invalid fact", [], { content_hash: "h5" }, { cubeId: "c1" });
+  assert.deepEqual(await replayOutbox(), { replayed: 0, remaining: 0 });
+});
+
+test("an open circuit pauses replay without spending attempts", async () => {
+  setBackend(stubBackend(() => Object.assign(new Error("Circuit open for /product/add"), { code: "CIRCUIT_OPEN" })));
+  await enqueueWrite("fact one", [], { content_hash: "h6" }, { cubeId: "c1" });
+  await enqueueWrite("fact two", [], { content_hash: "h7" }, { cubeId: "c1" });
+  for (let i = 0; i < 6; i++) await replayOutbox();
+  assert.equal(await getOutboxSize(), 2);
+});
+
+test("durable writes journal transient failures only", async () => {
+  let next = failure();
+  setBackend(stubBackend(() => next));
+  configureHealth({ replayIntervalMs: 0 });
+
+  assert.equal(await addMemoryDurable("fact during a network blip", [], { _type: "fact" }), "queued");
+  assert.equal(await getOutboxSize(), 1);
+
+  next = failure(400);
+  await assert.rejects(addMemoryDurable("fact the backend refuses", [], { _type: "fact" }), /HTTP 400/);
+  assert.equal(await getOutboxSize(), 1);
+});
@@ -0,0 +1,60 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureReranker, rerankMemories } from "../lib/reranker.js";
+import { configureLlm } from "../lib/llm.js";
+import { setBackend } from "../lib/backend.js";
+
+/** Backend whose chat endpoint answers every rerank prompt with `scores`. */
+function gradeWith(scores) {
+  const calls = { count: 0 };
+  setBackend({
+    name: "stub",
+    async chatComplete() {
+      calls.count++;
+      return JSON.stringify(scores.map((score, i) => ({ i, score })));
+    },
+  });
+  return calls;
+}
+
+const hits = (...texts) => texts.map((memory, i) => ({ id: `m${i}`, memory }));
+
+beforeEach(() => {
+  configureLlm({});
+  configureReranker({ threshold: 2, minKeep: 1, cacheSize: 0 });
+});
+
+test("keeps hits at or above the threshold, best first", async () => {
+  gradeWith([2, 0, 3, 1]);
+  const dropped = [];
+  const kept = await rerankMemories("deploy target", hits("Fly.io", "cats", "Render", "Heroku"), {
+    onDrop: (mem, reason, score) => dropped.push([mem.id, score]),
+  });
+  assert.deepEqual(kept.map((m) => [m.id, m.rerank.score]), [["m2", 3], ["m0", 2]]);
+  assert.deepEqual(dropped, [["m3", 1], ["m1", 0]]);
+});
+
+test("minKeep applies even when every hit scored 0", async () => {
+  configureReranker({ minKeep: 2 });
+  gradeWith([0, 0, 0]);
+  const kept = await rerankMemories("anything", hits("a", "b", "c"));
+  assert.deepEqual(kept.map((m) => m.id), ["m0", "m1"]);
+
+  configureReranker({ minKeep: 0 });
+  assert.deepEqual(await rerankMemories("anything", hits("a", "b", "c")), []);
+});
+
+test("judgements are cached per query and memory set", async () => {
+  configureReranker({ cacheSize: 10 });
+  const calls = gradeWith([3, 0, 2]);
+  await rerankMemories("cached query", hits("a", "b", "c"));
+  const kept = await rerankMemories("Cached query ", hits("a", "b", "c").reverse());
+  assert.equal(calls.count, 1);
+  assert.deepEqual(kept.map((m) => m.id), ["m0", "m2"]);
+});
+
+test("an unparseable answer keeps every hit", async () => {
+  setBackend({ name: "stub", async chatComplete() { return "I cannot grade these"; } });
+  const all = hits("a", "b", "c");
+  assert.equal(await rerankMemories("q", all), all);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchQueries, isContextDependent } from "../lib/retrieval.js";
+
+const HOSTING = [
+  { role: "user", content: "Where can I host a small Node app cheaply?" },
+  { role: "assistant", content: "Options:\n1. Hetzner VPS\n2. Fly.io app\n3. Render free tier" },
+];
+
+test("ordinal reference resolves the list item and pulls recent entities", () => {
+  const q = buildSearchQueries("and what about the second one?", HOSTING);
+  assert.equal(q.contextual, true);
+  assert.match(q.query, /^and what about the second one\? Fly\.io app/);
+  assert.ok(q.entities.includes("VPS"));
+  assert.deepEqual(q.subQueries.slice(1), ["and what about the second one?", "Fly.io app"]);
+  assert.equal(buildSearchQueries("and what about the second one?", HOSTING, { maxSubQueries: 4 }).subQueries[3],
+    "Where can I host a small Node app cheaply?");
+});
+
+test("weekdays are not ordinals", () => {
+  const q = buildSearchQueries("что было в прошлый вторник и в пятницу", HOSTING);
+  assert.equal(q.contextual, false);
+  assert.ok(!q.subQueries.includes("Fly.io app") && !q.subQueries.includes("Render free tier"));
+  assert.deepEqual(buildSearchQueries("а вторую?", HOSTING).subQueries[2], "Fly.io app");
+});
+
+test("ordinals in ordinary prose are not references", () => {
+  for (const prompt of ["Explain the second law of thermodynamics", "What is the first step to deploy Kubernetes"]) {
+    const q = buildSearchQueries(prompt, HOSTING);
+    assert.equal(q.contextual, false, prompt);
+    assert.equal(q.subQueries[0], prompt);
+  }
+  assert.match(buildSearchQueries("go with the 2nd option", HOSTING).query, /Fly\.io app/);
+  assert.match(buildSearchQueries("tell me more about number three", HOSTING).query, /Render free tier/);
+});
+
+test("only real back-references make an English prompt contextual", () => {
+  assert.equal(isContextDependent("How should I configure nginx so that caching works"), false);
+  assert.equal(isContextDependent("Is there a way to run one migration at a time in Django"), false);
+  assert.equal(isContextDependent("please fix the tests the same way"), true);
+  assert.equal(isContextDependent("That didn't work, the build still fails on CI"), true);
+  assert.equal(isContextDependent("ok, let's go with that one for the staging cluster"), true);
+});
+
+test("the current prompt is not counted as context when it is the last message", () => {
+  const q = buildSearchQueries("and the last one?", [...HOSTING, { role: "user", content: "and the last one?" }]);
+  assert.equal(q.subQueries[2], "Render free tier");
+});
+
+test("standalone multi-question prompt is split into sub-queries", () => {
+  const q = buildSearchQueries("How do I rotate Postgres credentials? Which tool audits access?", HOSTING);
+  assert.equal(q.contextual, false);
+  assert.deepEqual(q.subQueries, [
+    "How do I rotate Postgres credentials? Which tool audits access?",
+    "How do I rotate Postgres credentials?",
+    "Which tool audits access?",
+  ]);
+});
+
+test("maxSubQueries and the post-compaction prefix", () => {
+  const q = buildSearchQueries("How do I rotate Postgres credentials? Which tool audits access?", [], { maxSubQueries: 1, isPostCompaction: true });
+  assert.deepEqual(q.subQueries, ["decisions progress pending tasks How do I rotate Postgres credentials? Which tool audits access?"]);
+});
+
+test("temporal expressions become a time range and leave the query", () => {
+  const q = buildSearchQueries("What did we decide about the deploy pipeline last week?", [], { temporal: true });
+  assert.equal(q.query, "What did we decide about the deploy pipeline?");
+  assert.equal(q.timeRange.expression, "last week");
+
+  const bare = buildSearchQueries("what happened yesterday?", [], { temporal: true });
+  assert.equal(bare.query, "what happened yesterday?");
+  assert.equal(bare.timeRange.expression, "yesterday");
+
+  assert.equal(buildSearchQueries("What did we decide last week?", []).timeRange, null);
+});
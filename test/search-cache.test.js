@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { cachedSearch, configureSearchCache, invalidateSearchCache } from "../lib/search-cache.js";
+
+/** Search stub counting calls; each result names the call that produced it. */
+function counter() {
+  const calls = { count: 0 };
+  calls.search = async () => ({ textMemories: [{ memory: `result ${++calls.count}` }], skillMemories: [], prefMemories: [] });
+  return calls;
+}
+
+const req = (over = {}) => ({ userId: "u", query: "deploy target", topK: 5, cubes: [{ cubeId: "memos" }], ...over });
+const first = async (r, calls) => (await cachedSearch(r, calls.search)).textMemories[0].memory;
+
+beforeEach(() => {
+  configureSearchCache({ enabled: false });
+  configureSearchCache({ enabled: true, ttlMs: 60_000, maxEntries: 100 });
+});
+
+test("identical searches share one backend call; any key part changes it", async () => {
+  const calls = counter();
+  await Promise.all([cachedSearch(req(), calls.search), cachedSearch(req({ query: "  Deploy   TARGET " }), calls.search)]);
+  await cachedSearch(req({ filter: { b: 1, a: 2 } }), calls.search);
+  await cachedSearch(req({ filter: { a: 2, b: 1 } }), calls.search);
+  assert.equal(calls.count, 2);
+  await cachedSearch(req({ topK: 6 }), calls.search);
+  await cachedSearch(req({ userId: "v" }), calls.search);
+  await cachedSearch(req({ cubes: [{ cubeId: "memos", weight: 0.5 }] }), calls.search);
+  assert.equal(calls.count, 5);
+});
+
+test("callers get copies they may reorder", async () => {
+  const calls = counter();
+  const a = await cachedSearch(req(), calls.search);
+  a.textMemories.length = 0;
+  assert.equal(await first(req(), calls), "result 1");
+});
+
+test("a write drops only searches over its cube that its info could match", async () => {
+  const calls = counter();
+  const tasks = req({ filter: { _type: "task" } });
+  const other = req({ cubes: [{ cubeId: "other" }] });
+  for (const r of [req(), tasks, other]) await cachedSearch(r, calls.search);
+
+  invalidateSearchCache({ cubeId: "memos", info: { _type: "tool_trace" } });
+  assert.equal(await first(req(), calls), "result 4");
+  assert.equal(await first(tasks, calls), "result 2");
+  assert.equal(await first(other, calls), "result 3");
+
+  invalidateSearchCache();
+  assert.equal(await first(other, calls), "result 5");
+});
+
+test("expired and failed searches are not served", async () => {
+  configureSearchCache({ ttlMs: 0 });
+  const calls = counter();
+  await cachedSearch(req(), calls.search);
+  await new Promise((r) => setTimeout(r, 5));
+  assert.equal(await first(req(), calls), "result 2");
+
+  configureSearchCache({ ttlMs: 60_000 });
+  const failing = req({ query: "flaky" });
+  await assert.rejects(cachedSearch(failing, async () => { throw new Error("fetch failed"); }));
+  assert.equal(await first(failing, calls), "result 3");
+});
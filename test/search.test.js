@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { applyConfig, runWithAgentScope } from "../lib/client.js";
+import { setBackend } from "../lib/backend.js";
+import { createLocalBackend } from "../lib/backend-local.js";
+import { searchMemories } from "../lib/search.js";
+import { addSupersessions, correctionInfo, supersessionChain } from "../lib/supersession.js";
+import { addTombstones, TOMBSTONE_TYPE } from "../lib/tombstones.js";
+import { configureSearchCache } from "../lib/search-cache.js";
+
+configureSearchCache({ enabled: false });
+
+async function freshBackend() {
+  const backend = createLocalBackend({ localStorePath: join(await mkdtemp(join(tmpdir(), "memos-search-")), "m.jsonl") });
+  setBackend(backend);
+  return backend;
+}
+
+test("corrections already in the backend are loaded on the first search", async () => {
+  const backend = await freshBackend();
+  const old = await backend.add({ messages: "The user drinks tea", info: { _type: "profile", content_hash: "t-old" } });
+  await backend.add({
+    messages: "The user drinks coffee now",
+    info: { _type: "profile", content_hash: "t-new", correction: true, supersedes: old.id, supersedes_hash: "t-old" },
+  });
+  // First search of the process loads the corrections
+  assert.deepEqual((await searchMemories("user drinks", 10)).textMemories.map((m) => m.memory), ["The user drinks coffee now"]);
+});
+
+test("a correction hides the memory it supersedes unless includeSuperseded", async () => {
+  const backend = await freshBackend();
+  const old = await backend.add({ messages: "The user lives in Munich", info: { _type: "profile", content_hash: "h-old" } });
+  const info = { _type: "profile", content_hash: "h-new", ...correctionInfo({ id: old.id, info: { content_hash: "h-old" } }) };
+  const next = await backend.add({ messages: "The user lives in Berlin", info });
+  addSupersessions([{ id: next.id, hash: "h-new", supersedes: info.supersedes, supersedes_hash: info.supersedes_hash }]);
+
+  const current = await searchMemories("user lives", 10);
+  assert.deepEqual(current.textMemories.map((m) => m.memory), ["The user lives in Berlin"]);
+
+  const history = await searchMemories("user lives", 10, { includeSuperseded: true });
+  assert.equal(history.textMemories.length, 2);
+  assert.deepEqual(supersessionChain(old.id), [next.id, old.id]);
+});
+
+test("tombstoned memories are never returned", async () => {
+  const backend = await freshBackend();
+  const gone = await backend.add({ messages: "Forget this deployment note" });
+  await backend.add({ messages: "Keep this deployment note" });
+  addTombstones([gone.id]);
+  assert.deepEqual((await searchMemories("deployment note", 10)).textMemories.map((m) => m.memory), ["Keep this deployment note"]);
+});
+
+test("each agent loads the tombstones of its own cubes", async () => {
+  const backend = await freshBackend();
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  const target = await runWithAgentScope("alpha", () => backend.add({ messages: "Alpha rollout checklist lives in Notion" }));
+  await runWithAgentScope("alpha", () =>
+    backend.add({ messages: `Forgotten memory ${target.id}`, info: { _type: TOMBSTONE_TYPE, target_id: target.id } }));
+
+  // Another agent loads first; alpha still reads its own tombstones
+  await runWithAgentScope("beta", () => searchMemories("rollout checklist", 10));
+  const hits = await runWithAgentScope("alpha", () => searchMemories("rollout checklist", 10));
+  assert.deepEqual(hits.textMemories, []);
+  applyConfig({ agentScope: { enabled: false } });
+});
+
+test("a correction only applies in the scope that made it", async () => {
+  const backend = await freshBackend();
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  const info = { _type: "profile", content_hash: "h-tz" };
+  await runWithAgentScope("alpha", () => backend.add({ messages: "The user works in UTC", info }));
+  await runWithAgentScope("beta", () => backend.add({ messages: "The user works in UTC", info }));
+  runWithAgentScope("alpha", () => addSupersessions([{ id: "alpha-fix", supersedes_hash: "h-tz" }]));
+
+  assert.equal((await runWithAgentScope("alpha", () => searchMemories("user works", 10))).textMemories.length, 0);
+  assert.equal((await runWithAgentScope("beta", () => searchMemories("user works", 10))).textMemories.length, 1);
+  applyConfig({ agentScope: { enabled: false } });
+});
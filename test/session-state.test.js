@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyConfig, getMemosCubeId } from "../lib/client.js";
+import { configureCubeRouting, isReadableCube } from "../lib/cube-routing.js";
+import { configureSessionState, getSessionCount, getSessionState, resolveScope, scopedHandler, scopedTool } from "../lib/session-state.js";
+
+test("state is kept per agent and session", () => {
+  configureSessionState({ postCompactionWindowMs: 60_000 });
+  const a = getSessionState({}, { agentId: "main", sessionKey: "chat-1" });
+  a.lastCompactionTime = Date.now();
+  assert.equal(getSessionState({ sessionId: "chat-1" }, { agentId: "main" }), a);
+  assert.equal(getSessionState({}, { agentId: "main", sessionKey: "chat-1" }).isPostCompaction(), true);
+  assert.equal(getSessionState({}, { agentId: "main", sessionKey: "chat-2" }).isPostCompaction(), false);
+  assert.equal(getSessionState({}, { agentId: "ops", sessionKey: "chat-1" }).isPostCompaction(), false);
+  assert.deepEqual(resolveScope({ session: { id: "s9" } }), { agentId: "default", sessionKey: "s9" });
+});
+
+test("the least recently seen sessions are evicted past maxSessions", () => {
+  configureSessionState({ maxSessions: 2 });
+  const first = getSessionState({}, { agentId: "cap", sessionKey: "1" });
+  first.lastSeen -= 1000;
+  getSessionState({}, { agentId: "cap", sessionKey: "2" });
+  getSessionState({}, { agentId: "cap", sessionKey: "3" });
+  getSessionState({}, { agentId: "cap", sessionKey: "4" });
+  assert.ok(getSessionCount() <= 3);
+  assert.notEqual(getSessionState({}, { agentId: "cap", sessionKey: "1" }), first);
+  configureSessionState({ maxSessions: 500 });
+});
+
+test("hooks run in the agent scope of their context", async () => {
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  const hook = scopedHandler(async () => getMemosCubeId());
+  assert.equal(await hook({}, { agentId: "ops" }), "memos-ops");
+  assert.equal(await hook({ agentId: "research" }), "memos-research");
+  applyConfig({ agentScope: { enabled: false } });
+});
+
+test("tools run in the calling agent's scope", async () => {
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  const tool = scopedTool({ name: "t", execute: async (params, scope) => ({ cube: getMemosCubeId(), scope, params }) });
+
+  assert.deepEqual(await tool({ agentId: "ops", sessionKey: "s1" }).execute({ q: 1 }), {
+    cube: "memos-ops",
+    scope: { agentId: "ops", sessionKey: "s1" },
+    params: { q: 1 },
+  });
+  assert.equal((await tool(undefined).execute({})).cube, "memos");
+  applyConfig({ agentScope: { enabled: false } });
+});
+
+test("an explicit cube must be one the agent reads from", async () => {
+  applyConfig({ memosCubeId: "memos", agentScope: { enabled: true } });
+  configureCubeRouting({ personalCubeId: "personal", ephemeralCubeId: "traces" });
+  const check = scopedTool({ execute: async (params) => isReadableCube(params.cube) });
+  const as = (agentId, cube) => check({ agentId }).execute({ cube });
+
+  assert.equal(await as("ops", "memos-ops"), true);
+  assert.equal(await as("ops", "personal"), true);
+  assert.equal(await as("ops", "traces"), true);
+  assert.equal(await as("ops", "memos-research"), false);
+  assert.equal(await as("ops", "memos"), false);
+  configureCubeRouting({});
+  applyConfig({ agentScope: { enabled: false } });
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTemporalRange, toCreatedAtFilter } from "../lib/temporal.js";
+
+// Thursday, 15 January 2026, noon local time
+const NOW = new Date(2026, 0, 15, 12);
+
+/** @returns {[Date|null, Date|null, string]|null} */
+function parse(text) {
+  const r = parseTemporalRange(text, NOW);
+  return r && [r.from, r.to, r.expression];
+}
+
+test("days and weeks (EN)", () => {
+  assert.deepEqual(parse("what happened yesterday"), [new Date(2026, 0, 14), new Date(2026, 0, 15), "yesterday"]);
+  assert.deepEqual(parse("2 days ago"), [new Date(2026, 0, 13), new Date(2026, 0, 14), "2 days ago"]);
+  // Weeks start on Monday
+  assert.deepEqual(parse("what did we do last week"), [new Date(2026, 0, 5), new Date(2026, 0, 12), "last week"]);
+});
+
+test("weekdays and months (RU)", () => {
+  assert.deepEqual(parse("что было в прошлый вторник"), [new Date(2026, 0, 13), new Date(2026, 0, 14), "в прошлый вторник"]);
+  assert.deepEqual(parse("вчера"), [new Date(2026, 0, 14), new Date(2026, 0, 15), "вчера"]);
+});
+
+test("since / before keep one end open", () => {
+  assert.deepEqual(parse("everything since January"), [new Date(2026, 0, 1), null, "since January"]);
+  // A month after now is taken from the previous year
+  assert.deepEqual(parse("всё до марта"), [null, new Date(2025, 2, 1), "до марта"]);
+});
+
+test("ranges reaching into the future end now", () => {
+  const [from, to] = parse("today");
+  assert.deepEqual(from, new Date(2026, 0, 15));
+  assert.equal(to, null);
+});
+
+test("no time reference", () => {
+  assert.equal(parse("how do I configure nginx caching"), null);
+  assert.equal(parseTemporalRange("", NOW), null);
+});
+
+test("created_at filter", () => {
+  const range = parseTemporalRange("yesterday", NOW);
+  assert.deepEqual(toCreatedAtFilter(range), { gte: range.from.toISOString(), lt: range.to.toISOString() });
+  assert.deepEqual(toCreatedAtFilter({ from: null, to: null }), {});
+});
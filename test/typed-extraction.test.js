@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setBackend } from "../lib/backend.js";
+import { createLocalBackend } from "../lib/backend-local.js";
+import { configureLlm } from "../lib/llm.js";
+import { configureSearchCache } from "../lib/search-cache.js";
+import { reconcileWithStored } from "../lib/typed-extraction.js";
+import { addSupersessions } from "../lib/supersession.js";
+import { addTombstones } from "../lib/tombstones.js";
+
+configureSearchCache({ enabled: false });
+configureLlm({});
+
+/**
+ * Local store with a chat model answering every prompt via `answer(prompt)`.
+ * @returns {Promise<{ backend: object, prompts: string[] }>}
+ */
+async function storeWithJudge(answer) {
+  const local = createLocalBackend({ localStorePath: join(await mkdtemp(join(tmpdir(), "memos-reconcile-")), "m.jsonl") });
+  const prompts = [];
+  const backend = {
+    ...local,
+    async chatComplete(prompt) {
+      prompts.push(prompt);
+      return JSON.stringify(await answer(prompt));
+    },
+  };
+  setBackend(backend);
+  return { backend, prompts };
+}
+
+const profile = (content_hash) => ({ _type: "profile", content_hash });
+
+test("a contradiction of a stored fact is returned with the fact it replaces", async () => {
+  const { backend } = await storeWithJudge(() => [{ index: 1, relation: "contradiction" }]);
+  const stored = await backend.add({ messages: "The user lives in Munich", info: profile("r-munich") });
+  const result = await reconcileWithStored("The user lives in Berlin", "profile");
+  assert.equal(result.relation, "contradiction");
+  assert.equal(result.existing.id, stored.id);
+  assert.equal(result.content, "The user lives in Berlin");
+});
+
+test("forgotten and superseded facts are never candidates", async () => {
+  const { backend, prompts } = await storeWithJudge(() => [{ index: 1, relation: "contradiction" }]);
+  const forgotten = await backend.add({ messages: "The user works at Initech", info: profile("r-initech") });
+  await backend.add({ messages: "The user works at Globex", info: profile("r-globex") });
+  addTombstones([forgotten.id]);
+  addSupersessions([{ hash: "r-umbrella", supersedes_hash: "r-globex" }]);
+
+  assert.deepEqual(await reconcileWithStored("The user works at Umbrella", "profile"), { relation: "new", content: "The user works at Umbrella" });
+  assert.equal(prompts.length, 0);
+});
+
+test("a fact corrected while the LLM judges is not corrected again", async () => {
+  const { backend } = await storeWithJudge(() => {
+    // Another correction of the same fact lands during the LLM call
+    addSupersessions([{ hash: "r-rust", supersedes_hash: "r-go" }]);
+    return [{ index: 1, relation: "contradiction" }];
+  });
+  await backend.add({ messages: "The user prefers Go for backend services", info: profile("r-go") });
+  const result = await reconcileWithStored("The user prefers Kotlin for backend services", "profile");
+  assert.equal(result.relation, "new");
+});
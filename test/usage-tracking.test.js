@@ -0,0 +1,34 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setBackend } from "../lib/backend.js";
+import { createMemosBackend } from "../lib/backend-memos.js";
+import { memoryRef, rememberInjected, recordUsage } from "../lib/usage-tracking.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+const MEMORIES = [
+  { id: "m1", memory: "Staging deploys run through the Hetzner runner", metadata: { info: { _type: "fact" } } },
+  { id: "m2", memory: "The user prefers tabs over spaces in Makefiles", metadata: { info: { _type: "behavior", ignored_count: 2 } } },
+];
+
+test("used / ignored counts persist with the MemOS backend", async () => {
+  const backend = createMemosBackend({ memosInfoPath: join(await mkdtemp(join(tmpdir(), "memos-usage-")), "overlay.json") });
+  setBackend(backend);
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify({ data: { text_mem: [{ cube_id: "memos", memories: structuredClone(MEMORIES) }] } }), { status: 200 });
+
+  const session = {};
+  rememberInjected(session, MEMORIES);
+  assert.deepEqual(recordUsage(session, `Per [${memoryRef(MEMORIES[0])}], I pushed to staging.`), { used: 1, ignored: 1 });
+  await new Promise((r) => setTimeout(r, 50));
+
+  const [m1, m2] = (await backend.search({ query: "deploys" })).textMemories;
+  assert.equal(m1.metadata.info.used_count, 1);
+  assert.ok(m1.metadata.info.last_used);
+  assert.equal(m2.metadata.info.ignored_count, 3);
+});
+
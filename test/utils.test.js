@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { truncateAtSentence } from "../lib/utils.js";
+
+test("truncateAtSentence prefers a sentence end, then a word boundary", () => {
+  const text = "Deploys go to Fly.io. Staging runs on Render with a nightly reset.";
+  assert.equal(truncateAtSentence(text, 100), text);
+  assert.equal(truncateAtSentence(text, 40), "Deploys go to Fly.io. …");
+  assert.equal(truncateAtSentence("one two three four five six", 15), "one two three…");
+});
+
+test("truncateAtSentence never exceeds maxChars", () => {
+  // The sentence end fits, but " …" after it would not
+  assert.equal(truncateAtSentence("Short one. Tail", 11), "Short…");
+  assert.equal(truncateAtSentence("Short one. Tail", 12), "Short one. …");
+  const text = "Ab. Cd ef. Gh ij kl. Mn op qr st. Uv wx yz.\nNext line here. 1.5 is a number.";
+  for (let max = 1; max <= text.length; max++) {
+    assert.ok(truncateAtSentence(text, max).length <= max, `maxChars ${max}`);
+  }
+});
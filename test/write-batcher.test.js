@@ -0,0 +1,57 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureWriteBatcher, enqueueAdd, flushWrites } from "../lib/write-batcher.js";
+import { setBackend } from "../lib/backend.js";
+
+beforeEach(() => configureWriteBatcher({ windowMs: 10, maxBatchSize: 20, concurrency: 3 }));
+
+test("adds within the window go out as one batch with per-item results", async () => {
+  const batches = [];
+  setBackend({
+    name: "stub",
+    async addBatch(reqs) {
+      batches.push(reqs.map((r) => r.messages));
+      return reqs.map((r, i) => (r.messages === "rejected" ? { error: new Error("HTTP 422") } : { id: `b${i}` }));
+    },
+  });
+  const results = await Promise.allSettled([enqueueAdd({ messages: "one" }), enqueueAdd({ messages: "rejected" }), enqueueAdd({ messages: "three" })]);
+  assert.deepEqual(batches, [["one", "rejected", "three"]]);
+  assert.deepEqual(results[0], { status: "fulfilled", value: { id: "b0" } });
+  assert.match(results[1].reason.message, /422/);
+  assert.deepEqual(results[2], { status: "fulfilled", value: { id: "b2" } });
+});
+
+test("a full batch flushes without waiting for the window", async () => {
+  configureWriteBatcher({ windowMs: 60_000, maxBatchSize: 2 });
+  const sizes = [];
+  setBackend({ name: "stub", async addBatch(reqs) { sizes.push(reqs.length); return reqs.map(() => ({ id: "x" })); } });
+  await Promise.all([enqueueAdd({ messages: "a" }), enqueueAdd({ messages: "b" })]);
+  assert.deepEqual(sizes, [2]);
+});
+
+test("without addBatch, single adds stream with bounded concurrency", async () => {
+  configureWriteBatcher({ concurrency: 2 });
+  let inFlight = 0;
+  let peak = 0;
+  setBackend({
+    name: "stub",
+    async add(req) {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise((r) => setTimeout(r, 5));
+      inFlight--;
+      if (req.messages === "bad") throw new Error("fetch failed");
+      return { id: req.messages };
+    },
+  });
+  const settled = Promise.allSettled(["a", "bad", "c", "d"].map((messages) => enqueueAdd({ messages })));
+  await flushWrites();
+  const results = await settled;
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map((r) => r.value?.id ?? r.reason.message), ["a", "fetch failed", "c", "d"]);
+});
+
+test("a failed batch request rejects every item", async () => {
+  setBackend({ name: "stub", async addBatch() { throw new Error("HTTP 503"); } });
+  const results = await Promise.allSettled([enqueueAdd({ messages: "x" }), enqueueAdd({ messages: "y" })]);
+  assert.deepEqual(results.map((r) => r.status), ["rejected", "rejected"]);
+});